@@ -0,0 +1,50 @@
+// Permissions granted to each kind of principal. Routes declare what they
+// need with authorize() from middleware/auth.js; ownership of individual
+// records is checked separately (see utils/ownership.js).
+const ROLE_PERMISSIONS = {
+  driver: [
+    'driver:profile',
+    'deliveries:drive',
+    'deliveries:participate',
+    'chats:use',
+    'routes:manage',
+    'wallet:read',
+    'wallet:payout',
+    'referrals:read',
+    'notifications:manage',
+    'sessions:manage'
+  ],
+  customer: [
+    'customer:profile',
+    'deliveries:book',
+    'deliveries:participate',
+    'chats:use',
+    'wallet:read',
+    'wallet:tip',
+    'wallet:redeem',
+    'notifications:manage',
+    'sessions:manage'
+  ],
+  // Back-office staff who can look things up but not change them
+  support: [
+    'drivers:read',
+    'deliveries:read_any',
+    'sessions:manage'
+  ],
+  admin: [
+    'drivers:read',
+    'drivers:verify',
+    'deliveries:read_any',
+    'accounts:suspend',
+    'sessions:manage',
+    'system:debug'
+  ]
+};
+
+const PRINCIPAL_TYPES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (principal, permission) => (
+  !!principal && (ROLE_PERMISSIONS[principal.type] || []).includes(permission)
+);
+
+module.exports = { ROLE_PERMISSIONS, PRINCIPAL_TYPES, hasPermission };
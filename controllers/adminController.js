@@ -0,0 +1,287 @@
+// adminController.js
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const Sender = require('../models/senderReceiver');
+const { NotificationService } = require('../services/NotificationService');
+const { DriverVerificationService } = require('../services/DriverVerificationService');
+const { SessionService, deviceFromRequest } = require('../services/SessionService');
+const { SchedulerService } = require('../services/SchedulerService');
+const { deliveryFilter } = require('../utils/ownership');
+
+// HTTP status for each verification error code
+const VERIFICATION_ERROR_STATUS = {
+  DRIVER_NOT_FOUND: 404,
+  INVALID_DOCUMENT_TYPE: 400,
+  DOCUMENT_NOT_UPLOADED: 409,
+  REASON_REQUIRED: 400,
+  INVALID_TRANSITION: 409,
+  DOCUMENTS_NOT_APPROVED: 409,
+  CONFLICT: 409
+};
+
+const sendVerificationError = (res, error, fallbackMessage) => {
+  if (VERIFICATION_ERROR_STATUS[error.code]) {
+    return res.status(VERIFICATION_ERROR_STATUS[error.code]).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Email/password sign-in for back-office staff
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: 'Email and password are required' });
+    }
+
+    const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() });
+    if (!admin || !admin.active || !await bcrypt.compare(password, admin.password)) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    const session = await SessionService.issueSession('admin', admin, deviceFromRequest(req));
+    res.json({ success: true, ...session, admin });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed', error: error.message });
+  }
+};
+
+// Drivers by background check status (pending by default)
+exports.listDrivers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+
+    const { drivers, total } = await DriverVerificationService.listDrivers({ status, page, limit });
+    res.json({
+      success: true,
+      drivers,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Admin list drivers error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list drivers', error: error.message });
+  }
+};
+
+// One driver's profile and documents for review
+exports.getDriver = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driver ID format' });
+    }
+
+    const driver = await DriverVerificationService.getDriver(req.params.driverId);
+    res.json({
+      success: true,
+      driver,
+      documents: DriverVerificationService.summarizeDocuments(driver)
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'Failed to get driver');
+  }
+};
+
+// Approve or reject one uploaded document
+exports.reviewDocument = async (req, res) => {
+  try {
+    const { driverId, documentType } = req.params;
+    if (!isValidObjectId(driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driver ID format' });
+    }
+
+    const driver = await DriverVerificationService.reviewDocument(driverId, documentType, {
+      decision: req.body.decision,
+      reason: req.body.reason,
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Document ${req.body.decision === 'approve' ? 'approved' : 'rejected'}`,
+      documents: DriverVerificationService.summarizeDocuments(driver)
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'Failed to review document');
+  }
+};
+
+// Move the driver's background check to pending, approved or rejected
+exports.setBackgroundCheckStatus = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    if (!isValidObjectId(driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driver ID format' });
+    }
+
+    const driver = await DriverVerificationService.setBackgroundCheckStatus(driverId, req.body.status, {
+      reason: req.body.reason,
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Background check ${driver.backgroundCheckStatus}`,
+      driver
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'Failed to update background check');
+  }
+};
+
+// Deliveries that passed their scheduled time without being accepted or started
+exports.listOverdueDeliveries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { deliveries, total } = await SchedulerService.listOverdue({ page, limit });
+    res.json({
+      success: true,
+      deliveries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Admin list overdue deliveries error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list overdue deliveries', error: error.message });
+  }
+};
+
+// Full delivery record for back-office staff
+exports.getDelivery = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid delivery ID format' });
+    }
+
+    const delivery = await Delivery.findOne({ _id: req.params.deliveryId, ...deliveryFilter(req.principal) })
+      .populate('senderId', 'fullName phoneNumber email')
+      .populate('driverId', 'name phone email rating');
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    res.json({ success: true, delivery });
+  } catch (error) {
+    console.error('Admin get delivery error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get delivery', error: error.message });
+  }
+};
+
+// Suspend a driver: takes them offline and signs them out everywhere
+exports.suspendDriver = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driver ID format' });
+    }
+
+    const driver = await Driver.findByIdAndUpdate(
+      req.params.driverId,
+      { suspended: true, suspendedAt: new Date(), suspensionReason: req.body.reason, available: false },
+      { new: true }
+    ).select('-password');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    await SessionService.revokeAll('driver', driver._id, 'suspended');
+
+    try {
+      await NotificationService.notifyAccountSuspended(driver._id, req.body.reason);
+    } catch (notificationError) {
+      console.error('Failed to send suspension notification:', notificationError);
+    }
+
+    res.json({ success: true, message: 'Driver suspended', driver });
+  } catch (error) {
+    console.error('Admin suspend driver error:', error);
+    res.status(500).json({ success: false, message: 'Failed to suspend driver', error: error.message });
+  }
+};
+
+// Lift a driver's suspension; they sign in again as normal
+exports.reactivateDriver = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driver ID format' });
+    }
+
+    const driver = await Driver.findOneAndUpdate(
+      { _id: req.params.driverId, suspended: true },
+      { suspended: false, suspendedAt: null, suspensionReason: null },
+      { new: true }
+    ).select('-password');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'No suspended driver with this ID' });
+    }
+
+    try {
+      await NotificationService.notifyAccountReactivated(driver._id);
+    } catch (notificationError) {
+      console.error('Failed to send reactivation notification:', notificationError);
+    }
+
+    res.json({ success: true, message: 'Driver reactivated', driver });
+  } catch (error) {
+    console.error('Admin reactivate driver error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reactivate driver', error: error.message });
+  }
+};
+
+// Block or unblock a customer. Blocking signs them out everywhere.
+exports.setCustomerBlocked = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.customerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid customer ID format' });
+    }
+
+    const blocked = req.body.blocked === true;
+    const customer = await Sender.findOneAndUpdate(
+      { _id: req.params.customerId, deleted: { $ne: true } },
+      { isBlocked: blocked },
+      { new: true }
+    ).select('fullName phoneNumber email isBlocked');
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    if (blocked) {
+      await SessionService.revokeAll('customer', customer._id, 'blocked');
+    }
+
+    res.json({ success: true, message: blocked ? 'Customer blocked' : 'Customer unblocked', customer });
+  } catch (error) {
+    console.error('Admin block customer error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update customer', error: error.message });
+  }
+};
+
+// Sign an account out of every device without suspending it
+exports.revokeSessions = async (req, res) => {
+  try {
+    const { ownerType, ownerId } = req.params;
+    if (!['driver', 'customer'].includes(ownerType)) {
+      return res.status(400).json({ success: false, message: 'ownerType must be driver or customer' });
+    }
+    if (!isValidObjectId(ownerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid account ID format' });
+    }
+
+    const sessionsRevoked = await SessionService.revokeAll(ownerType, ownerId, 'revoked_by_admin');
+    res.json({ success: true, message: 'Sessions revoked', sessionsRevoked });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke sessions', error: error.message });
+  }
+};
@@ -1,8 +1,17 @@
 const Chat = require('../models/Chat');
+const Delivery = require('../models/Delivery');
 const mongoose = require('mongoose');
+const { ChatService } = require('../services/ChatService');
+const { SocketService } = require('../services/SocketService');
+const { deliveryFilter } = require('../utils/ownership');
 
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+const CHAT_ERROR_STATUS = {
+  CHAT_NOT_FOUND: 404,
+  NOT_PARTICIPANT: 403
+};
+
 const chatController = {
 
   // Create or get a chat between two users
@@ -19,7 +28,30 @@ const chatController = {
       if (!isValidObjectId(user2Id))
         return res.status(400).json({ success: false, message: 'Invalid user2Id' });
 
-      const chat = await Chat.createOrFindChat(user1Id, user2Id, deliveryId, chatType);
+      if (deliveryId && !isValidObjectId(deliveryId))
+        return res.status(400).json({ success: false, message: 'Invalid deliveryId' });
+
+      // Only the sender and driver of a shared delivery may chat: the given
+      // delivery, or any delivery between them for general inquiries
+      const counterpartField = req.actorType === 'customer' ? 'driverId' : 'senderId';
+      const sharedDelivery = await Delivery.exists({
+        ...(deliveryId ? { _id: deliveryId } : {}),
+        ...deliveryFilter(req.principal),
+        [counterpartField]: user2Id
+      });
+      if (!sharedDelivery)
+        return res.status(403).json({ success: false, message: 'You can only chat with the other party of your own deliveries' });
+
+      // Chats are always stored driver-first, whichever side opens them
+      const [driverId, customerId] = req.actorType === 'customer'
+        ? [user2Id, user1Id]
+        : [user1Id, user2Id];
+
+      const chat = await Chat.createOrFindChat(driverId, customerId, deliveryId, chatType);
+
+      // Connected participants start receiving this chat's events right away
+      SocketService.joinChat(chat._id, [driverId, customerId]);
+
       res.json({ success: true, chat });
     } catch (error) {
       console.error('Error in getOrCreateChat:', error);
@@ -36,18 +68,13 @@ const chatController = {
       if (!isValidObjectId(chatId))
         return res.status(400).json({ success: false, message: 'Invalid chatId' });
 
-      const chat = await Chat.findById(chatId);
-      if (!chat) return res.status(404).json({ success: false, message: 'Chat not found' });
-
-      if (!chat.isParticipant(userId))
-        return res.status(403).json({ success: false, message: 'You are not a participant' });
-
-      const newMessage = chat.addMessage(userId, message, messageType, imageUrl);
-      await chat.save();
+      const { chat, message: newMessage } = await ChatService.sendMessage(userId, chatId, { message, messageType, imageUrl });
       await chat.populate('participants.userId', 'fullName email profilePhoto role');
 
       res.json({ success: true, message: newMessage, chat });
     } catch (error) {
+      if (CHAT_ERROR_STATUS[error.code])
+        return res.status(CHAT_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
       console.error('Error sending message:', error);
       res.status(500).json({ success: false, message: error.message });
     }
@@ -62,17 +89,12 @@ const chatController = {
       if (!isValidObjectId(chatId))
         return res.status(400).json({ success: false, message: 'Invalid chatId' });
 
-      const chat = await Chat.findById(chatId)
-        // .populate('participants.userId', 'fullName email profilePhoto role')
-        // .populate('messages.senderId', 'fullName email profilePhoto role');
-
-      if (!chat) return res.status(404).json({ success: false, message: 'Chat not found' });
-
-      if (!chat.isParticipant(userId))
-        return res.status(403).json({ success: false, message: 'You are not a participant' });
+      const chat = await ChatService.getChatForParticipant(chatId, userId);
 
       res.json({ success: true, messages: chat.messages, chat });
     } catch (error) {
+      if (CHAT_ERROR_STATUS[error.code])
+        return res.status(CHAT_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
       console.error('Error fetching chat messages:', error);
       res.status(500).json({ success: false, message: error.message });
     }
@@ -87,17 +109,12 @@ const chatController = {
       if (!isValidObjectId(chatId))
         return res.status(400).json({ success: false, message: 'Invalid chatId' });
 
-      const chat = await Chat.findById(chatId);
-      if (!chat) return res.status(404).json({ success: false, message: 'Chat not found' });
-
-      if (!chat.isParticipant(userId))
-        return res.status(403).json({ success: false, message: 'You are not a participant' });
-
-      chat.markMessagesAsRead(userId, messageIds || []);
-      await chat.save();
+      const chat = await ChatService.markRead(userId, chatId, messageIds || []);
 
       res.json({ success: true, message: 'Messages marked as read', chat });
     } catch (error) {
+      if (CHAT_ERROR_STATUS[error.code])
+        return res.status(CHAT_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
       console.error('Error marking messages as read:', error);
       res.status(500).json({ success: false, message: error.message });
     }
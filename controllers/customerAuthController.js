@@ -0,0 +1,357 @@
+const jwt = require('jsonwebtoken');
+const { OAuth2Client } = require('google-auth-library');
+require('dotenv').config();
+
+const Sender = require('../models/senderReceiver');
+const { verifyAppleIdentityToken } = require('../utils/appleAuth');
+const { SessionService, deviceFromRequest } = require('../services/SessionService');
+const { OtpService, isPlainValue } = require('../services/OtpService');
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+const OTP_TYPE = 'user_registration';
+
+// HTTP status for each OTP error code
+const OTP_ERROR_STATUS = {
+  OTP_INVALID: 400,
+  OTP_EXPIRED: 400,
+  OTP_LOCKED: 429,
+  OTP_COOLDOWN: 429,
+  OTP_RATE_LIMITED: 429,
+  SMS_FAILED: 502
+};
+
+const sendOtpError = (res, error, fallbackMessage) => {
+  if (OTP_ERROR_STATUS[error.code]) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(OTP_ERROR_STATUS[error.code]).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      ...(error.retryAfter && { retryAfter: error.retryAfter })
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
+const toCustomerResponse = (customer) => {
+  const customerResponse = customer.toObject();
+  delete customerResponse.socketId;
+  return customerResponse;
+};
+
+// Shared tail of every successful sign-in: opens a session for the device
+const completeLogin = async (req, res, customer, isNewUser) => {
+  if (customer.isBlocked) {
+    return res.status(403).json({
+      success: false,
+      message: "This account has been blocked"
+    });
+  }
+
+  customer.lastLogin = new Date();
+  await customer.save();
+
+  const session = await SessionService.issueSession('customer', customer, deviceFromRequest(req));
+
+  return res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: isNewUser ? "Account created successfully" : "Logged in successfully",
+    ...session,
+    customer: toCustomerResponse(customer),
+    isNewUser
+  });
+};
+
+class CustomerAuthController {
+  // Step 1: Send an OTP to the customer's phone
+  async requestOtp(req, res) {
+    try {
+      const { phoneNumber } = req.body;
+
+      if (!isPlainValue(phoneNumber)) {
+        return res.status(400).json({ success: false, message: "Phone number is required" });
+      }
+
+      const { expiresAt, resendAvailableAt } = await OtpService.send(phoneNumber, OTP_TYPE, { ip: req.ip });
+
+      res.json({
+        success: true,
+        message: "OTP sent successfully",
+        phoneNumber,
+        expiresAt,
+        resendAvailableAt
+      });
+    } catch (error) {
+      sendOtpError(res, error, 'Failed to send OTP');
+    }
+  }
+
+  // Step 2: Verify the OTP and sign in (or start sign-up for new numbers)
+  async verifyOtp(req, res) {
+    try {
+      const { code, fullName } = req.body;
+
+      if (!isPlainValue(req.body.phoneNumber) || !isPlainValue(code)) {
+        return res.status(400).json({ success: false, message: "Phone number and OTP code are required" });
+      }
+      const phoneNumber = String(req.body.phoneNumber);
+
+      await OtpService.verify(phoneNumber, OTP_TYPE, code);
+
+      let customer = await Sender.findOne({ phoneNumber, deleted: { $ne: true } });
+      if (customer) {
+        customer.isVerified = true;
+        return completeLogin(req, res, customer, false);
+      }
+
+      if (fullName) {
+        customer = new Sender({
+          authProvider: 'phone',
+          phoneNumber,
+          fullName,
+          isVerified: true
+        });
+        return completeLogin(req, res, customer, true);
+      }
+
+      // New number without a name yet: hand out a short-lived sign-up token
+      const tempToken = jwt.sign(
+        { phone: phoneNumber, step: 'verified_phone', type: 'customer_signup' },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      res.json({
+        success: true,
+        message: "Phone verified successfully",
+        tempToken,
+        nextStep: "complete_profile"
+      });
+    } catch (error) {
+      sendOtpError(res, error, 'OTP verification failed');
+    }
+  }
+
+  // Step 3 (new phone accounts only): provide a name to finish sign-up
+  async completeProfile(req, res) {
+    try {
+      const { fullName, email } = req.body;
+
+      if (!fullName) {
+        return res.status(400).json({ success: false, message: "Full name is required" });
+      }
+
+      const tempToken = req.header('Authorization')?.split(" ")[1];
+      if (!tempToken) {
+        return res.status(401).json({ success: false, message: "Temporary token required" });
+      }
+
+      let decoded;
+      try {
+        decoded = jwt.verify(tempToken, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ success: false, message: "Invalid or expired temporary token" });
+      }
+
+      if (decoded.type !== 'customer_signup' || !decoded.phone) {
+        return res.status(401).json({ success: false, message: "Invalid temporary token" });
+      }
+
+      const existing = await Sender.findOne({ phoneNumber: decoded.phone });
+      if (existing) {
+        return res.status(409).json({ success: false, message: "Phone number already registered" });
+      }
+
+      if (email && await Sender.findOne({ email })) {
+        return res.status(409).json({ success: false, message: "Email already registered" });
+      }
+
+      const customer = new Sender({
+        authProvider: 'phone',
+        phoneNumber: decoded.phone,
+        fullName,
+        email: email || undefined,
+        isVerified: true
+      });
+
+      return completeLogin(req, res, customer, true);
+    } catch (error) {
+      console.error('Error in customer completeProfile:', error);
+      res.status(500).json({
+        success: false,
+        message: "Registration failed",
+        error: error.message
+      });
+    }
+  }
+
+  // Sign in with a Google ID token
+  async googleLogin(req, res) {
+    try {
+      const { idToken } = req.body;
+      if (!idToken) {
+        return res.status(400).json({ success: false, message: "Google ID token required" });
+      }
+
+      let payload;
+      try {
+        const ticket = await googleClient.verifyIdToken({
+          idToken,
+          audience: process.env.GOOGLE_CLIENT_ID,
+        });
+        payload = ticket.getPayload();
+      } catch (error) {
+        return res.status(401).json({ success: false, message: "Invalid Google token" });
+      }
+
+      const { sub: googleId, email, name, picture } = payload;
+
+      let customer = await Sender.findOne({ googleId });
+
+      // Only an address Google has verified may be linked to an existing
+      // account or used to open a new one
+      if (!customer && payload.email_verified !== true) {
+        return res.status(403).json({ success: false, message: "Your Google email address is not verified" });
+      }
+
+      if (!customer && email) {
+        customer = await Sender.findOne({ email });
+        if (customer) {
+          customer.googleId = googleId;
+        }
+      }
+
+      if (customer && customer.deleted) {
+        return res.status(403).json({ success: false, message: "This account has been deleted" });
+      }
+
+      if (customer) {
+        return completeLogin(req, res, customer, false);
+      }
+
+      customer = new Sender({
+        authProvider: 'google',
+        googleId,
+        email,
+        fullName: name || email,
+        profilePhoto: picture,
+        isVerified: true
+      });
+
+      return completeLogin(req, res, customer, true);
+    } catch (error) {
+      console.error('Customer Google login error:', error);
+      res.status(500).json({
+        success: false,
+        message: "Google login failed",
+        error: error.message
+      });
+    }
+  }
+
+  // Sign in with an Apple identity token
+  async appleLogin(req, res) {
+    try {
+      const { identityToken, fullName } = req.body;
+      if (!identityToken) {
+        return res.status(400).json({ success: false, message: "Apple identity token required" });
+      }
+
+      let payload;
+      try {
+        payload = await verifyAppleIdentityToken(identityToken);
+      } catch (error) {
+        return res.status(401).json({ success: false, message: "Invalid Apple token" });
+      }
+
+      const { sub: appleId, email } = payload;
+
+      let customer = await Sender.findOne({ appleId });
+
+      // As for Google, only a verified address may be linked to an existing
+      // account or used to open a new one. Apple sends the flag as a string.
+      if (!customer && email && String(payload.email_verified) !== 'true') {
+        return res.status(403).json({ success: false, message: "Your Apple email address is not verified" });
+      }
+
+      if (!customer && email) {
+        customer = await Sender.findOne({ email });
+        if (customer) {
+          customer.appleId = appleId;
+        }
+      }
+
+      if (customer && customer.deleted) {
+        return res.status(403).json({ success: false, message: "This account has been deleted" });
+      }
+
+      if (customer) {
+        return completeLogin(req, res, customer, false);
+      }
+
+      // Apple only shares the name on the very first sign-in, from the client
+      customer = new Sender({
+        authProvider: 'apple',
+        appleId,
+        email,
+        fullName: fullName || email || 'Apple User',
+        isVerified: true
+      });
+
+      return completeLogin(req, res, customer, true);
+    } catch (error) {
+      console.error('Customer Apple login error:', error);
+      res.status(500).json({
+        success: false,
+        message: "Apple login failed",
+        error: error.message
+      });
+    }
+  }
+
+  // Get the signed-in customer's profile
+  async getProfile(req, res) {
+    res.json({
+      success: true,
+      customer: toCustomerResponse(req.customer)
+    });
+  }
+
+  // Update the signed-in customer's profile
+  async updateProfile(req, res) {
+    try {
+      const { fullName, email, profilePhoto } = req.body;
+      const customer = req.customer;
+
+      if (email && email !== customer.email) {
+        const existingEmail = await Sender.findOne({ email, _id: { $ne: customer._id } });
+        if (existingEmail) {
+          return res.status(409).json({ success: false, message: "Email already registered" });
+        }
+        customer.email = email;
+      }
+
+      if (fullName) customer.fullName = fullName;
+      if (profilePhoto !== undefined) customer.profilePhoto = profilePhoto;
+
+      await customer.save();
+
+      res.json({
+        success: true,
+        message: "Profile updated successfully",
+        customer: toCustomerResponse(customer)
+      });
+    } catch (error) {
+      console.error('Error updating customer profile:', error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update profile",
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CustomerAuthController();
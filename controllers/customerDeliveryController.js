@@ -0,0 +1,706 @@
+const Delivery = require('../models/Delivery');
+const Sender = require('../models/senderReceiver');
+const mongoose = require('mongoose');
+const { DispatchService } = require('../services/DispatchService');
+const { EscrowService, ESCROW_TRANSITIONS } = require('../services/EscrowService');
+const { NotificationService } = require('../services/NotificationService');
+const { ProofOfDeliveryService } = require('../services/ProofOfDeliveryService');
+const { TrackingService } = require('../services/TrackingService');
+const { PricingService } = require('../services/PricingService');
+const { PromotionService } = require('../services/PromotionService');
+const { DeliveryStateMachine } = require('../services/DeliveryStateMachine');
+const { SchedulerService } = require('../services/SchedulerService');
+const { DeliveryStopService } = require('../services/DeliveryStopService');
+const { vehicleTypeFitsPackage } = require('../utils/vehicles');
+
+// Fields a customer may set when booking or editing a delivery
+const EDITABLE_FIELDS = ['pickupLocation', 'dropoffLocation', 'stops', 'vehicleType', 'scheduledTime', 'receiverDetails', 'package'];
+
+// HTTP status for each escrow error code
+const ESCROW_ERROR_STATUS = {
+  ESCROW_NOT_FOUND: 404,
+  ESCROW_PHOTO_MISSING: 409,
+  ESCROW_INVALID_TRANSITION: 409,
+  ESCROW_CONFLICT: 409
+};
+
+// Errors from DeliveryStateMachine.transition that mean "not possible right now"
+const TRANSITION_ERRORS = ['DELIVERY_NOT_FOUND', 'INVALID_TRANSITION', 'CONFLICT'];
+
+// HTTP status for each quote error code
+const QUOTE_ERROR_STATUS = {
+  QUOTE_NOT_FOUND: 404,
+  QUOTE_USED: 409,
+  QUOTE_EXPIRED: 410,
+  QUOTE_MISMATCH: 409
+};
+
+// HTTP status for each promo / wallet credit error code
+const PROMO_ERROR_STATUS = {
+  PROMO_NOT_FOUND: 404,
+  PROMO_EXPIRED: 410,
+  PROMO_EXHAUSTED: 409,
+  PROMO_MIN_ORDER: 400,
+  PROMO_ALREADY_USED: 409,
+  PROMO_FIRST_ORDER_ONLY: 409,
+  INSUFFICIENT_FUNDS: 409
+};
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Pricing details stored on the delivery
+const toPricing = (quote, quoteId = null) => ({
+  quoteId,
+  city: quote.breakdown.city,
+  distanceKm: quote.distanceKm,
+  durationMinutes: quote.durationMinutes,
+  breakdown: quote.breakdown
+});
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return DeliveryStopService.applyStops(fields);
+};
+
+const customerDeliveryController = {
+
+  // Price a delivery and lock the quote for a few minutes
+  quoteDelivery: async (req, res) => {
+    try {
+      // A multi-stop quote ends at its last stop
+      const { stops } = req.body;
+      const quote = await PricingService.createQuote(req.user.id, {
+        pickupLocation: req.body.pickupLocation,
+        dropoffLocation: stops ? stops[stops.length - 1] : req.body.dropoffLocation,
+        stops,
+        vehicleType: req.body.vehicleType,
+        scheduledTime: req.body.scheduledTime,
+        city: req.body.city,
+        useEscrow: req.body.useEscrow === true
+      });
+
+      res.status(201).json({
+        success: true,
+        quote: {
+          quoteId: quote._id,
+          price: quote.price,
+          totalCost: quote.totalCost,
+          distanceKm: quote.distanceKm,
+          durationMinutes: quote.durationMinutes,
+          breakdown: quote.breakdown,
+          expiresAt: quote.expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Error quoting delivery:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error quoting delivery',
+        error: error.message
+      });
+    }
+  },
+
+  // Book a new delivery, at the locked price when a quoteId is given
+  createDelivery: async (req, res) => {
+    let lockedQuote = null;
+    try {
+      const senderId = req.user.id;
+      const fields = pickEditableFields(req.body);
+      const useEscrow = req.body.useEscrow === true;
+
+      if (!vehicleTypeFitsPackage(fields.vehicleType, fields.package)) {
+        return res.status(400).json({
+          success: false,
+          message: `This package is too large or heavy for a ${fields.vehicleType}`
+        });
+      }
+      const pricingInput = {
+        pickupLocation: fields.pickupLocation,
+        dropoffLocation: fields.dropoffLocation,
+        stops: fields.stops,
+        vehicleType: fields.vehicleType,
+        scheduledTime: fields.scheduledTime,
+        city: req.body.city,
+        useEscrow
+      };
+
+      let quote;
+      if (req.body.quoteId) {
+        if (!isValidObjectId(req.body.quoteId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid quote ID format'
+          });
+        }
+        lockedQuote = await PricingService.redeemQuote(req.body.quoteId, senderId, pricingInput);
+        quote = lockedQuote.toObject();
+      } else {
+        quote = await PricingService.price(pricingInput);
+      }
+
+      // Check the promo before anything is booked so a bad code is a plain 4xx
+      const promotion = req.body.promoCode
+        ? await PromotionService.evaluatePromo(req.body.promoCode, senderId, quote.totalCost)
+        : null;
+
+      let delivery = await Delivery.create({
+        ...fields,
+        senderId,
+        driverId: null,
+        status: 'upcoming',
+        statusHistory: [DeliveryStateMachine.createdEntry(req.principal)],
+        schedule: SchedulerService.scheduleFor(fields.scheduledTime),
+        price: quote.price,
+        totalCost: quote.totalCost,
+        pricing: toPricing(quote, lockedQuote?._id),
+        escrow: { fee: quote.breakdown.escrowFee },
+        proofOfDelivery: ProofOfDeliveryService.normalizePolicy(req.body.proofOfDelivery),
+        tracking: { token: TrackingService.generateToken() }
+      });
+
+      if (promotion || req.body.useWalletCredit === true) {
+        try {
+          delivery.checkout = await PromotionService.applyCheckout(delivery, senderId, {
+            promo: promotion?.promo,
+            promoDiscount: promotion?.discount,
+            useWalletCredit: req.body.useWalletCredit === true
+          });
+        } catch (checkoutError) {
+          await PromotionService.reverseCheckout(await Delivery.findById(delivery._id));
+          await Delivery.deleteOne({ _id: delivery._id });
+          throw checkoutError;
+        }
+      }
+
+      if (useEscrow) {
+        try {
+          delivery = await EscrowService.hold(delivery, { actorType: 'customer', actorId: senderId });
+        } catch (escrowError) {
+          // Don't leave a booking behind whose funds were never held
+          await PromotionService.reverseCheckout(delivery);
+          await Delivery.deleteOne({ _id: delivery._id });
+          throw escrowError;
+        }
+      }
+
+      if (lockedQuote) {
+        await PricingService.attachDelivery(lockedQuote._id, delivery._id);
+      }
+
+      await Sender.findByIdAndUpdate(senderId, {
+        $addToSet: { deliveryHistory: delivery._id }
+      });
+
+      try {
+        await DispatchService.startDispatch(delivery._id);
+      } catch (dispatchError) {
+        console.error('Failed to start dispatch for new delivery:', dispatchError);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Delivery booked successfully',
+        delivery,
+        quote,
+        trackingUrl: TrackingService.getTrackingUrl(delivery.tracking.token)
+      });
+    } catch (error) {
+      // The booking failed, so the customer can use their quote again
+      if (lockedQuote) {
+        try {
+          await PricingService.releaseQuote(lockedQuote._id);
+        } catch (releaseError) {
+          console.error('Failed to release price quote:', releaseError);
+        }
+      }
+      const errorStatus = QUOTE_ERROR_STATUS[error.code] || PROMO_ERROR_STATUS[error.code];
+      if (errorStatus) {
+        return res.status(errorStatus).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error creating delivery:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery details',
+          error: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error creating delivery',
+        error: error.message
+      });
+    }
+  },
+
+  // List the customer's own deliveries
+  getMyDeliveries: async (req, res) => {
+    try {
+      const senderId = req.user.id;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = { senderId };
+      if (req.query.status) {
+        query.status = req.query.status;
+      }
+
+      const [deliveries, totalDeliveries] = await Promise.all([
+        Delivery.find(query)
+          .populate('driverId', 'fullName phone rating')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Delivery.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalDeliveries / limit),
+          totalDeliveries
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching customer deliveries:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching deliveries',
+        error: error.message
+      });
+    }
+  },
+
+  // View a single delivery owned by the customer
+  getMyDelivery: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const delivery = await Delivery.findOne({
+        _id: deliveryId,
+        senderId: req.user.id
+      }).populate('driverId', 'fullName phone rating');
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        delivery
+      });
+    } catch (error) {
+      console.error('Error fetching delivery:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching delivery',
+        error: error.message
+      });
+    }
+  },
+
+  // Live tracking view and shareable link for one of the customer's deliveries
+  getTracking: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const delivery = await Delivery.findOne({ _id: deliveryId, senderId: req.user.id });
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      const token = await TrackingService.ensureToken(delivery);
+      const tracking = await TrackingService.getSnapshot(delivery);
+
+      res.json({
+        success: true,
+        tracking,
+        trackingUrl: TrackingService.getTrackingUrl(token)
+      });
+    } catch (error) {
+      console.error('Error fetching delivery tracking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching delivery tracking',
+        error: error.message
+      });
+    }
+  },
+
+  // Public tracking link for the receiver (no account needed)
+  getPublicTracking: async (req, res) => {
+    try {
+      const tracking = await TrackingService.getPublicSnapshot(String(req.params.token));
+
+      if (!tracking) {
+        return res.status(410).json({
+          success: false,
+          message: 'This tracking link has expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        tracking
+      });
+    } catch (error) {
+      console.error('Error fetching public tracking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching tracking',
+        error: error.message
+      });
+    }
+  },
+
+  // Edit a delivery before a driver accepts it
+  updateMyDelivery: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const updates = pickEditableFields(req.body);
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`
+        });
+      }
+
+      const existing = await Delivery.findOne({ _id: deliveryId, senderId: req.user.id });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      const vehicleType = updates.vehicleType || existing.vehicleType;
+      if (!vehicleTypeFitsPackage(vehicleType, updates.package || existing.package)) {
+        return res.status(400).json({
+          success: false,
+          message: `This package is too large or heavy for a ${vehicleType}`
+        });
+      }
+
+      // A multi-stop delivery is edited through its stops; sending a new
+      // drop-off and receiver without stops turns it back into a single drop
+      if (DeliveryStopService.isMultiStop(existing) && !updates.stops) {
+        if (updates.dropoffLocation && updates.receiverDetails) {
+          updates.stops = [];
+        } else if (updates.dropoffLocation || updates.receiverDetails) {
+          return res.status(400).json({
+            success: false,
+            message: 'Edit the stops of a multi-stop delivery, or send both dropoffLocation and receiverDetails to make it a single drop-off'
+          });
+        }
+      }
+
+      // Re-quote whenever the route, vehicle or time changes
+      const quote = await PricingService.price({
+        pickupLocation: updates.pickupLocation || existing.pickupLocation,
+        dropoffLocation: updates.dropoffLocation || existing.dropoffLocation,
+        stops: updates.stops || existing.stops,
+        vehicleType: updates.vehicleType || existing.vehicleType,
+        scheduledTime: updates.scheduledTime || existing.scheduledTime,
+        city: existing.pricing?.city,
+        escrowFee: existing.escrow?.fee || 0
+      });
+
+      // Only editable while nobody has accepted it yet
+      const delivery = await Delivery.findOneAndUpdate(
+        {
+          _id: deliveryId,
+          senderId: req.user.id,
+          status: 'upcoming',
+          $or: [
+            { driverId: null },
+            { driverId: { $exists: false } }
+          ]
+        },
+        {
+          ...updates,
+          ...(updates.scheduledTime && { schedule: SchedulerService.scheduleFor(updates.scheduledTime) }),
+          price: quote.price,
+          totalCost: quote.totalCost,
+          pricing: toPricing(quote),
+          // Discounts and credit already applied stay as they were
+          'checkout.amountDue': Math.max(0, quote.totalCost - (existing.checkout?.promoDiscount || 0) - (existing.checkout?.creditApplied || 0))
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!delivery) {
+        return res.status(409).json({
+          success: false,
+          message: 'Delivery can no longer be edited because a driver has accepted it'
+        });
+      }
+
+      if (existing.escrow?.active) {
+        await EscrowService.adjustHold(existing, quote.totalCost, { actorType: 'customer', actorId: req.user.id });
+      }
+
+      // A new time may move the delivery in or out of its dispatch window
+      if (updates.scheduledTime) {
+        try {
+          if (!SchedulerService.isOpen(delivery)) {
+            await DispatchService.stopDispatch(delivery._id, 'stopped');
+          } else if (delivery.dispatch?.status !== 'searching') {
+            await DispatchService.startDispatch(delivery._id);
+          }
+        } catch (dispatchError) {
+          console.error('Failed to update dispatch after rescheduling:', dispatchError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Delivery updated successfully',
+        delivery,
+        quote
+      });
+    } catch (error) {
+      console.error('Error updating delivery:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery details',
+          error: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error updating delivery',
+        error: error.message
+      });
+    }
+  },
+
+  // Accept the driver's escrow photo
+  verifyEscrow: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const delivery = await EscrowService.verify(deliveryId, req.user.id);
+
+      try {
+        await NotificationService.notifyEscrowUpdate(
+          delivery.driverId,
+          delivery,
+          'Escrow Verified',
+          'The customer accepted your escrow photo. You can complete the delivery once dropped off.'
+        );
+      } catch (notificationError) {
+        console.error('Failed to send escrow verification notification:', notificationError);
+      }
+
+      res.json({
+        success: true,
+        message: 'Escrow verified',
+        escrow: delivery.escrow
+      });
+    } catch (error) {
+      if (ESCROW_ERROR_STATUS[error.code]) {
+        return res.status(ESCROW_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error verifying escrow:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying escrow',
+        error: error.message
+      });
+    }
+  },
+
+  // Reject the escrow photo: the delivery is cancelled and the held funds refunded
+  disputeEscrow: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+      const { note } = req.body;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      if (!note) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please describe the problem with the escrow photo'
+        });
+      }
+
+      // A delivery already cancelled by a dispute whose refund failed can be
+      // disputed again to retry the refund
+      const existing = await Delivery.findOne({
+        _id: deliveryId,
+        senderId: req.user.id,
+        $or: [
+          { status: { $nin: ['completed', 'cancelled'] } },
+          { status: 'cancelled', 'cancellation.reasonCode': 'escrow_dispute' }
+        ]
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Open delivery not found'
+        });
+      }
+
+      if (!existing.escrow?.active || !ESCROW_TRANSITIONS.dispute.from.includes(existing.escrow.status)) {
+        return res.status(409).json({
+          success: false,
+          message: existing.escrow?.active
+            ? `Cannot dispute escrow while it is ${existing.escrow.status}`
+            : 'No active escrow for this delivery'
+        });
+      }
+
+      // Cancel first so a delivery the driver has moved on meanwhile is never refunded
+      let delivery = existing;
+      if (existing.status !== 'cancelled') {
+        try {
+          delivery = await DeliveryStateMachine.transition(existing._id, 'cancel', {
+            actor: req.principal,
+            reason: 'escrow_dispute',
+            note,
+            filter: { status: existing.status },
+            set: {
+              cancellation: {
+                cancelledBy: 'customer',
+                cancelledById: req.user.id,
+                reasonCode: 'escrow_dispute',
+                note,
+                fee: 0
+              }
+            }
+          });
+        } catch (transitionError) {
+          if (TRANSITION_ERRORS.includes(transitionError.code)) {
+            return res.status(409).json({
+              success: false,
+              message: 'Delivery changed while disputing, please reload'
+            });
+          }
+          throw transitionError;
+        }
+      }
+
+      delivery = await EscrowService.refund(delivery, {
+        action: 'dispute',
+        actorType: 'customer',
+        actorId: req.user.id,
+        note,
+        filter: { senderId: req.user.id }
+      });
+      await PromotionService.reverseCheckout(delivery);
+
+      res.json({
+        success: true,
+        message: 'Escrow disputed; the delivery was cancelled and your funds refunded',
+        delivery
+      });
+    } catch (error) {
+      if (ESCROW_ERROR_STATUS[error.code]) {
+        return res.status(ESCROW_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error disputing escrow:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error disputing escrow',
+        error: error.message
+      });
+    }
+  },
+
+  // Check a promo code against an order total before booking
+  validatePromo: async (req, res) => {
+    try {
+      const { promo, discount } = await PromotionService.evaluatePromo(
+        req.body.promoCode,
+        req.user.id,
+        parseFloat(req.body.orderTotal)
+      );
+
+      res.json({
+        success: true,
+        promo: {
+          code: promo.code,
+          discountType: promo.discountType,
+          amount: promo.amount,
+          discount
+        }
+      });
+    } catch (error) {
+      if (PROMO_ERROR_STATUS[error.code]) {
+        return res.status(PROMO_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error validating promo code:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error validating promo code',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = customerDeliveryController;
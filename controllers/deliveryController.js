@@ -6,6 +6,55 @@ const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const { NotificationService } = require('../services/NotificationService');
+const { WalletService } = require('../services/WalletService');
+const { DispatchService } = require('../services/DispatchService');
+const { EscrowService } = require('../services/EscrowService');
+const { ProofOfDeliveryService } = require('../services/ProofOfDeliveryService');
+const { TripService } = require('../services/TripService');
+const { PromotionService } = require('../services/PromotionService');
+const { DriverVerificationService } = require('../services/DriverVerificationService');
+const { DeliveryStateMachine, locationFromRequest } = require('../services/DeliveryStateMachine');
+const { openForDispatch } = require('../services/SchedulerService');
+const { DeliveryStopService } = require('../services/DeliveryStopService');
+const { BatchingService } = require('../services/BatchingService');
+const { TrackingService } = require('../services/TrackingService');
+const DeliveryOffer = require('../models/DeliveryOffer');
+const { getReasonCodes, evaluateCancellation } = require('../utils/cancellationPolicy');
+const { deliveryFilter } = require('../utils/ownership');
+const { haversineDistanceKm, boundingBox } = require('../utils/geo');
+const { getCompatibleVehicleTypes, canCarryPackage, estimateTravelMinutes } = require('../utils/vehicles');
+const { describePackage } = require('../utils/packages');
+// HTTP status for each proof-of-delivery error code
+const PROOF_ERROR_STATUS = {
+  PIN_NOT_REQUIRED: 400,
+  PIN_ALREADY_VERIFIED: 409,
+  PIN_INVALID: 400,
+  PIN_LOCKED: 429
+};
+
+// HTTP status for each DeliveryStopService error code
+const STOP_ERROR_STATUS = {
+  DELIVERY_NOT_FOUND: 404,
+  STOP_NOT_FOUND: 404,
+  STOP_ALREADY_RESOLVED: 409,
+  STOP_PROOF_MISSING: 409,
+  INVALID_REASON: 400,
+  CONFLICT: 409
+};
+
+// Reasons a driver can't add a delivery to the jobs they are carrying
+const BATCH_ERRORS = ['VEHICLE_INCOMPATIBLE', 'PACKAGE_TOO_LARGE', 'BATCH_FULL', 'BATCH_CAPACITY_EXCEEDED', 'BATCH_OFF_ROUTE'];
+
+// Errors from DeliveryStateMachine.transition that mean "not possible right now"
+const TRANSITION_ERRORS = ['DELIVERY_NOT_FOUND', 'INVALID_TRANSITION', 'CONFLICT'];
+
+// Delivery photo types a driver may delete and where each is stored on delivery.photos
+const DELETABLE_PHOTO_FIELDS = {
+  dropoff: 'dropOff',
+  escrow: 'escrow',
+  signature: 'signature'
+};
+
 // Configure Cloudinary (add this if not already configured)
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -26,9 +75,9 @@ const deliveryPhotoStorage = new CloudinaryStorage({
     ],
     public_id: (req, file) => {
       const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      const driverId = req.user?.id || req.driver?._id || 'unknown';
+      const driverId = req.user?.id || 'unknown';
       const deliveryId = req.params.deliveryId;
-      const photoType = req.route.path.includes('dropoff') ? 'dropoff' : 'escrow';
+      const photoType = ['dropoff', 'signature', 'pickup'].find((type) => req.route.path.includes(type)) || 'escrow';
       
       return `${photoType}-${deliveryId}-${driverId}-${uniqueSuffix}`;
     }
@@ -95,11 +144,33 @@ const handleDeliveryPhotoError = (err, req, res, next) => {
 };
 
 
+// Longest item-condition note a driver can record at pickup
+const MAX_CONDITION_NOTE_LENGTH = 500;
+
+// Search radius for available deliveries (km)
+const DEFAULT_MATCH_RADIUS_KM = parseFloat(process.env.DRIVER_MATCH_RADIUS_KM) || 10;
+const MAX_MATCH_RADIUS_KM = 50;
+
 // Helper function to validate ObjectId
 const isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id) && id !== ':deliveryId';
 };
 
+const sendStopError = (res, error) => res.status(STOP_ERROR_STATUS[error.code]).json({
+  success: false,
+  message: error.message,
+  ...(error.missingProofs && { missingProofs: error.missingProofs })
+});
+
+// Let the sender and receivers following the delivery see stop progress
+const publishStopProgress = async (delivery) => {
+  try {
+    await TrackingService.publishStatus(delivery);
+  } catch (trackingError) {
+    console.error('Failed to publish stop progress:', trackingError);
+  }
+};
+
 const deliveryController = {
 
 
@@ -121,7 +192,7 @@ const deliveryController = {
   uploadDropOffPhoto: async (req, res) => {
     try {
       const { deliveryId } = req.params;
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
+      const driverId = req.user.id;
 
       console.log('=== UPLOADING DROP-OFF PHOTO ===');
       console.log('DeliveryId:', deliveryId);
@@ -244,7 +315,7 @@ const deliveryController = {
   uploadEscrowPhoto: async (req, res) => {
     try {
       const { deliveryId } = req.params;
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
+      const driverId = req.user.id;
 
       console.log('=== UPLOADING ESCROW PHOTO ===');
       console.log('DeliveryId:', deliveryId);
@@ -290,6 +361,21 @@ const deliveryController = {
         });
       }
 
+      if (delivery.escrow?.active && delivery.escrow.status !== 'pending_verification') {
+        if (req.file.public_id) {
+          try {
+            await cloudinary.uploader.destroy(req.file.public_id);
+          } catch (cleanupError) {
+            console.error('Error cleaning up uploaded file:', cleanupError);
+          }
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: `Escrow is already ${delivery.escrow.status}`
+        });
+      }
+
       // Delete old escrow photo if exists
       if (delivery.photos && delivery.photos.escrow && delivery.photos.escrow.publicId) {
         try {
@@ -326,6 +412,14 @@ const deliveryController = {
           },
           { priority: 'medium' }
         );
+        if (delivery.escrow?.active) {
+          await NotificationService.notifyEscrowUpdate(
+            delivery.senderId,
+            delivery,
+            'Review Escrow Photo',
+            'Your driver uploaded a photo of the package. Please accept it or raise a dispute.'
+          );
+        }
       } catch (notificationError) {
         console.error('Failed to send escrow photo notification:', notificationError);
       }
@@ -363,11 +457,11 @@ const deliveryController = {
     }
   },
 
-  // Get delivery photos
-  getDeliveryPhotos: async (req, res) => {
+  // Upload the receiver's signature
+  uploadSignature: async (req, res) => {
     try {
       const { deliveryId } = req.params;
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
+      const driverId = req.user.id;
 
       if (!isValidObjectId(deliveryId)) {
         return res.status(400).json({
@@ -376,39 +470,89 @@ const deliveryController = {
         });
       }
 
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No signature uploaded'
+        });
+      }
+
       const delivery = await Delivery.findOne({
         _id: deliveryId,
-        driverId: driverId
-      }).select('photos');
+        driverId: driverId,
+        status: 'in-transit'
+      });
 
       if (!delivery) {
+        if (req.file.public_id) {
+          try {
+            await cloudinary.uploader.destroy(req.file.public_id);
+          } catch (cleanupError) {
+            console.error('Error cleaning up uploaded file:', cleanupError);
+          }
+        }
+
         return res.status(404).json({
           success: false,
-          message: 'Delivery not found'
+          message: 'Delivery not found or not in transit'
         });
       }
 
+      // Delete old signature if exists
+      if (delivery.photos?.signature?.publicId) {
+        try {
+          await cloudinary.uploader.destroy(delivery.photos.signature.publicId);
+        } catch (deleteError) {
+          console.error('Error deleting old signature:', deleteError);
+        }
+      }
+
+      if (!delivery.photos) {
+        delivery.photos = {};
+      }
+
+      delivery.photos.signature = {
+        url: req.file.path,
+        publicId: req.file.public_id || req.file.filename,
+        uploadedAt: new Date(),
+        filename: req.file.originalname
+      };
+
+      await delivery.save();
+
       res.json({
         success: true,
-        photos: delivery.photos || {},
-        deliveryId: deliveryId
+        message: 'Signature uploaded successfully',
+        photo: {
+          url: req.file.path,
+          uploadedAt: delivery.photos.signature.uploadedAt
+        },
+        missingProofs: ProofOfDeliveryService.getMissingProofs(delivery)
       });
-
     } catch (error) {
-      console.error('Error getting delivery photos:', error);
+      console.error('Error uploading signature:', error);
+
+      if (req.file && req.file.public_id) {
+        try {
+          await cloudinary.uploader.destroy(req.file.public_id);
+        } catch (cleanupError) {
+          console.error('Error cleaning up uploaded file:', cleanupError);
+        }
+      }
+
       res.status(500).json({
         success: false,
-        message: 'Failed to get delivery photos',
+        message: 'Failed to upload signature',
         error: error.message
       });
     }
   },
 
-  // Delete delivery photo
-  deleteDeliveryPhoto: async (req, res) => {
+  // Photo of the item as collected, before the delivery starts
+  uploadPickupPhoto: async (req, res) => {
     try {
-      const { deliveryId, photoType } = req.params;
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
+      const { deliveryId } = req.params;
+      const driverId = req.user.id;
 
       if (!isValidObjectId(deliveryId)) {
         return res.status(400).json({
@@ -417,277 +561,661 @@ const deliveryController = {
         });
       }
 
-      if (!['dropoff', 'escrow'].includes(photoType)) {
+      if (!req.file) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid photo type. Must be "dropoff" or "escrow"'
+          message: 'No photo uploaded'
         });
       }
 
       const delivery = await Delivery.findOne({
         _id: deliveryId,
-        driverId: driverId
+        driverId: driverId,
+        status: 'accepted'
       });
 
       if (!delivery) {
-        return res.status(404).json({
-          success: false,
-          message: 'Delivery not found'
-        });
-      }
+        if (req.file.public_id) {
+          try {
+            await cloudinary.uploader.destroy(req.file.public_id);
+          } catch (cleanupError) {
+            console.error('Error cleaning up uploaded file:', cleanupError);
+          }
+        }
 
-      const photoKey = photoType === 'dropoff' ? 'dropOff' : 'escrow';
-      
-      if (!delivery.photos || !delivery.photos[photoKey]) {
         return res.status(404).json({
           success: false,
-          message: 'Photo not found'
+          message: 'Delivery not found or already collected'
         });
       }
 
-      // Delete from Cloudinary
-      if (delivery.photos[photoKey].publicId) {
+      // Delete old pickup photo if exists
+      if (delivery.photos?.pickup?.publicId) {
         try {
-          await cloudinary.uploader.destroy(delivery.photos[photoKey].publicId);
+          await cloudinary.uploader.destroy(delivery.photos.pickup.publicId);
         } catch (deleteError) {
-          console.error('Error deleting photo from Cloudinary:', deleteError);
+          console.error('Error deleting old pickup photo:', deleteError);
         }
       }
 
-      // Remove from database
-      delivery.photos[photoKey] = undefined;
+      if (!delivery.photos) {
+        delivery.photos = {};
+      }
+
+      delivery.photos.pickup = {
+        url: req.file.path,
+        publicId: req.file.public_id || req.file.filename,
+        uploadedAt: new Date(),
+        filename: req.file.originalname
+      };
+
       await delivery.save();
 
       res.json({
         success: true,
-        message: `${photoType.charAt(0).toUpperCase() + photoType.slice(1)} photo deleted successfully`
+        message: 'Pickup photo uploaded successfully',
+        photo: {
+          url: req.file.path,
+          uploadedAt: delivery.photos.pickup.uploadedAt
+        }
       });
-
     } catch (error) {
-      console.error('Error deleting delivery photo:', error);
+      console.error('Error uploading pickup photo:', error);
+
+      if (req.file && req.file.public_id) {
+        try {
+          await cloudinary.uploader.destroy(req.file.public_id);
+        } catch (cleanupError) {
+          console.error('Error cleaning up uploaded file:', cleanupError);
+        }
+      }
+
       res.status(500).json({
         success: false,
-        message: 'Failed to delete photo',
+        message: 'Failed to upload pickup photo',
         error: error.message
       });
     }
   },
-  
-  // Enhanced debug version of getAvailableDeliveries
-  getAvailableDeliveries: async (req, res) => {
+
+  // Upload a drop-off photo or signature for one stop of a multi-stop delivery
+  uploadStopPhoto: async (req, res) => {
+    const photoType = req.route.path.includes('signature') ? 'signature' : 'dropoff';
+    const cleanUpUpload = async () => {
+      if (req.file?.public_id) {
+        try {
+          await cloudinary.uploader.destroy(req.file.public_id);
+        } catch (cleanupError) {
+          console.error('Error cleaning up uploaded file:', cleanupError);
+        }
+      }
+    };
+
     try {
-      console.log('=== DEBUGGING GET AVAILABLE DELIVERIES ===');
-      
-      // Debug authentication
-      console.log('req.user:', req.user);
-      console.log('req.driver:', req.driver);
-      console.log('req.headers.authorization:', req.headers.authorization);
-      
-      // Step 1: Check total deliveries in database
-      const totalCount = await Delivery.countDocuments({});
-      console.log(`Total deliveries in database: ${totalCount}`);
-      
-      // Step 2: Check deliveries by status
-      const statusCounts = await Delivery.aggregate([
-        { $group: { _id: '$status', count: { $sum: 1 } } }
-      ]);
-      console.log('Deliveries by status:', statusCounts);
-      
-      // Step 3: Check upcoming deliveries
-      const upcomingCount = await Delivery.countDocuments({ status: 'upcoming' });
-      console.log(`Upcoming deliveries: ${upcomingCount}`);
-      
-      // Step 4: Check deliveries with null driverId
-      const nullDriverCount = await Delivery.countDocuments({ 
-        status: 'upcoming',
-        driverId: null 
-      });
-      console.log(`Upcoming deliveries with null driverId: ${nullDriverCount}`);
-      
-      // Step 5: Check deliveries without driverId field
-      const noDriverFieldCount = await Delivery.countDocuments({ 
-        status: 'upcoming',
-        driverId: { $exists: false } 
-      });
-      console.log(`Upcoming deliveries without driverId field: ${noDriverFieldCount}`);
-      
-      // Step 6: Get raw sample data to inspect
-      const rawSample = await Delivery.find({}).limit(3).lean();
-      console.log('Raw sample deliveries:', JSON.stringify(rawSample, null, 2));
-      
-      // Step 7: Try the actual query without population first
-      const queryWithoutPopulate = await Delivery.find({
-        status: 'upcoming',
-        $or: [
-          { driverId: null },
-          { driverId: { $exists: false } }
-        ]
-      }).lean();
-      
-      console.log(`Query result without populate: ${queryWithoutPopulate.length} deliveries`);
-      if (queryWithoutPopulate.length > 0) {
-        console.log('First result:', JSON.stringify(queryWithoutPopulate[0], null, 2));
+      const { deliveryId, stopId } = req.params;
+
+      if (!isValidObjectId(deliveryId) || !isValidObjectId(stopId)) {
+        await cleanUpUpload();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery or stop ID format'
+        });
       }
-      
-      // Step 8: Try with population (original query)
-      const availableDeliveries = await Delivery.find({
-        // status: 'upcoming',
-        $or: [
-          { driverId: null },
-          { driverId: { $exists: false } }
-        ]
-      })
-      .populate('senderId', 'fullName email')
-      .sort({ createdAt: -1, _id: -1 }) // sort by creation time (newest first), tie-break by _id
-      .lean();
 
-      availableDeliveries.forEach((delivery, index) => {
-        console.log(`Delivery ${index + 1}: ID=${delivery._id}, DriverId=${delivery.driverId}, Sender=${delivery.senderId ? delivery.senderId.name : 'N/A'}`)
-      })
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No photo uploaded'
+        });
+      }
+
+      const { delivery, replacedPublicId } = await DeliveryStopService.attachPhoto(deliveryId, stopId, req.user.id, photoType, {
+        url: req.file.path,
+        publicId: req.file.public_id || req.file.filename,
+        uploadedAt: new Date(),
+        filename: req.file.originalname
+      });
 
+      if (replacedPublicId) {
+        try {
+          await cloudinary.uploader.destroy(replacedPublicId);
+        } catch (deleteError) {
+          console.error('Error deleting old stop photo:', deleteError);
+        }
+      }
 
-      console.log(`Found ${availableDeliveries.length} available deliveries with population`);
-      
+      const stop = delivery.stops.id(stopId);
       res.json({
         success: true,
-        deliveries: availableDeliveries,
-        debug: {
-          totalCount,
-          statusCounts,
-          upcomingCount,
-          nullDriverCount,
-          noDriverFieldCount,
-          queryWithoutPopulateCount: queryWithoutPopulate.length
-        }
+        message: photoType === 'signature' ? 'Signature uploaded successfully' : 'Drop-off photo uploaded successfully',
+        photo: {
+          url: req.file.path,
+          uploadedAt: new Date()
+        },
+        missingProofs: DeliveryStopService.getMissingStopProofs(delivery, stop)
       });
     } catch (error) {
-      console.error('Error fetching available deliveries:', error);
+      await cleanUpUpload();
+      if (STOP_ERROR_STATUS[error.code]) {
+        return sendStopError(res, error);
+      }
+      console.error('Error uploading stop photo:', error);
       res.status(500).json({
         success: false,
-        message: 'Error fetching available deliveries',
-        error: error.message,
-        stack: error.stack
+        message: 'Failed to upload stop photo',
+        error: error.message
       });
     }
   },
 
-  getActiveDelivery: async (req, res) => {
+  // Mark one stop of a multi-stop delivery as delivered
+  completeStop: async (req, res) => {
     try {
-      // More robust driver ID extraction
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
-      
-      console.log('Fetching active delivery for driver:', driverId);
-      console.log('Driver ID type:', typeof driverId);
-      
-      if (!driverId) {
-        return res.status(401).json({
+      const { deliveryId, stopId } = req.params;
+
+      if (!isValidObjectId(deliveryId) || !isValidObjectId(stopId)) {
+        return res.status(400).json({
           success: false,
-          message: 'Driver not authenticated'
-        });
-      }
-  
-      // Try both string and ObjectId formats
-      const activeDelivery = await Delivery.findOne({
-        $or: [
-          { driverId: driverId },
-          { driverId: driverId.toString() }
-        ],
-        status: { $in: ['accepted', 'in-transit'] }
-      })
-      .populate('senderId', 'fullName email phone');
-  
-      // Debug logging
-      console.log('Active delivery found:', !!activeDelivery);
-      if (activeDelivery) {
-        console.log('Delivery status:', activeDelivery.status);
-        console.log('Delivery driverId:', activeDelivery.driverId);
-      }
-  
-      if (!activeDelivery) {
-        return res.json({
-          success: true,
-          delivery: null,
-          message: 'No active delivery found'
+          message: 'Invalid delivery or stop ID format'
         });
       }
-  
+
+      const delivery = await DeliveryStopService.completeStop(deliveryId, stopId, req.user.id);
+      await publishStopProgress(delivery);
+
       res.json({
         success: true,
-        delivery: activeDelivery
+        message: 'Stop delivered',
+        stop: delivery.stops.id(stopId),
+        openStops: DeliveryStopService.getOpenStops(delivery).length
       });
     } catch (error) {
-      console.error('Error fetching active delivery:', error);
+      if (STOP_ERROR_STATUS[error.code]) {
+        return sendStopError(res, error);
+      }
+      console.error('Error completing stop:', error);
       res.status(500).json({
         success: false,
-        message: 'Error fetching active delivery',
+        message: 'Error completing stop',
         error: error.message
       });
     }
   },
 
-  acceptDelivery: async (req, res) => {
+  // Close a stop the driver could not deliver to, with a reason
+  failStop: async (req, res) => {
     try {
-      const { deliveryId } = req.params;
-      const driverId = req.user.id || req.driver._id;
+      const { deliveryId, stopId } = req.params;
 
-      // Validate deliveryId parameter
-      console.log('Raw deliveryId from params:', deliveryId);
-      
-      if (!isValidObjectId(deliveryId)) {
+      if (!isValidObjectId(deliveryId) || !isValidObjectId(stopId)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid delivery ID format',
-          receivedId: deliveryId
+          message: 'Invalid delivery or stop ID format'
         });
       }
 
-      console.log(`Driver ${driverId} attempting to accept delivery ${deliveryId}`);
-
-      const existingActiveDelivery = await Delivery.findOne({
-        driverId: driverId,
-        status: { $in: ['accepted', 'in-transit'] }
-      }).populate('senderId', 'fullName email phone');
+      const delivery = await DeliveryStopService.failStop(deliveryId, stopId, req.user.id, {
+        reasonCode: req.body?.reasonCode,
+        note: req.body?.note
+      });
+      await publishStopProgress(delivery);
 
-      if (existingActiveDelivery) {
-        return res.status(400).json({
-          success: false,
-          message: 'You already have an active delivery'
-        });
+      try {
+        await NotificationService.notifyStopFailed(delivery.senderId, delivery, delivery.stops.id(stopId));
+      } catch (notificationError) {
+        console.error('Failed to send stop failure notification:', notificationError);
       }
 
-      const delivery = await Delivery.findOneAndUpdate(
-        {
-          _id: deliveryId,
-          // status: 'upcoming',
-          $or: [
-            { driverId: null },
-            { driverId: { $exists: false } }
-          ]
-        },
-        {
-          driverId: driverId,
-          status: 'accepted',
-          acceptedAt: new Date()
-        },
-        { new: true }
-      )
-      .populate('senderId', 'fullName email phone');
+      res.json({
+        success: true,
+        message: 'Stop marked as not delivered',
+        stop: delivery.stops.id(stopId),
+        openStops: DeliveryStopService.getOpenStops(delivery).length
+      });
+    } catch (error) {
+      if (STOP_ERROR_STATUS[error.code]) {
+        return sendStopError(res, error);
+      }
+      console.error('Error failing stop:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating stop',
+        error: error.message
+      });
+    }
+  },
+
+  // Driver enters the PIN the receiver read out
+  verifyDeliveryPin: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+      const { pin } = req.body;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      if (!pin) {
+        return res.status(400).json({
+          success: false,
+          message: 'PIN is required'
+        });
+      }
+
+      const delivery = await Delivery.findOne({
+        _id: deliveryId,
+        driverId: req.user.id,
+        status: 'in-transit'
+      });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found or not in transit'
+        });
+      }
+
+      const updated = await ProofOfDeliveryService.verifyPin(delivery, pin);
+
+      res.json({
+        success: true,
+        message: 'PIN verified',
+        missingProofs: ProofOfDeliveryService.getMissingProofs(updated)
+      });
+    } catch (error) {
+      if (PROOF_ERROR_STATUS[error.code]) {
+        return res.status(PROOF_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error verifying delivery PIN:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying delivery PIN',
+        error: error.message
+      });
+    }
+  },
+
+  // Send the receiver a new confirmation PIN (sender or assigned driver)
+  resendDeliveryPin: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const delivery = await Delivery.findOne({
+        _id: deliveryId,
+        ...deliveryFilter(req.principal),
+        status: 'in-transit'
+      });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found or not in transit'
+        });
+      }
+
+      await ProofOfDeliveryService.issuePin(delivery);
+
+      res.json({
+        success: true,
+        message: 'A new PIN was sent to the receiver'
+      });
+    } catch (error) {
+      if (PROOF_ERROR_STATUS[error.code]) {
+        return res.status(PROOF_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error resending delivery PIN:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resending delivery PIN',
+        error: error.message
+      });
+    }
+  },
+
+  // Trip replay as GeoJSON (assigned driver or sender)
+  getTripReplay: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const delivery = await Delivery.findOne({ _id: deliveryId, ...deliveryFilter(req.principal) });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      const trip = await TripService.getTripGeoJSON(delivery);
+
+      res.json({
+        success: true,
+        trip
+      });
+    } catch (error) {
+      console.error('Error fetching trip replay:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching trip replay',
+        error: error.message
+      });
+    }
+  },
+
+  // Get delivery photos
+  getDeliveryPhotos: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+      const driverId = req.user.id;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const delivery = await Delivery.findOne({
+        _id: deliveryId,
+        driverId: driverId
+      }).select('photos stops');
 
       if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        photos: delivery.photos || {},
+        stops: (delivery.stops || []).map((stop) => ({
+          stopId: stop._id,
+          sequence: stop.sequence,
+          photos: stop.photos || {}
+        })),
+        deliveryId: deliveryId
+      });
+
+    } catch (error) {
+      console.error('Error getting delivery photos:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get delivery photos',
+        error: error.message
+      });
+    }
+  },
+
+  // Delete delivery photo
+  deleteDeliveryPhoto: async (req, res) => {
+    try {
+      const { deliveryId, photoType } = req.params;
+      const driverId = req.user.id;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const photoKey = DELETABLE_PHOTO_FIELDS[photoType];
+      if (!photoKey) {
         return res.status(400).json({
           success: false,
-          message: 'Delivery not available or already accepted'
+          message: 'Invalid photo type. Must be "dropoff", "escrow" or "signature"'
         });
       }
 
-      await Driver.findByIdAndUpdate(driverId, {
-        $inc: { totalDeliveries: 1 }
+      const delivery = await Delivery.findOne({
+        _id: deliveryId,
+        driverId: driverId
+      });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      if (!delivery.photos || !delivery.photos[photoKey]) {
+        return res.status(404).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+
+      // Delete from Cloudinary
+      if (delivery.photos[photoKey].publicId) {
+        try {
+          await cloudinary.uploader.destroy(delivery.photos[photoKey].publicId);
+        } catch (deleteError) {
+          console.error('Error deleting photo from Cloudinary:', deleteError);
+        }
+      }
+
+      // Remove from database
+      delivery.photos[photoKey] = undefined;
+      await delivery.save();
+
+      res.json({
+        success: true,
+        message: `${photoType.charAt(0).toUpperCase() + photoType.slice(1)} photo deleted successfully`
+      });
+
+    } catch (error) {
+      console.error('Error deleting delivery photo:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete photo',
+        error: error.message
+      });
+    }
+  },
+  
+  // Available deliveries near the driver, nearest first
+  getAvailableDeliveries: async (req, res) => {
+    try {
+      const driver = req.driver;
+
+      if (!driver.earnType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set up your earn type before looking for deliveries'
+        });
+      }
+
+      const [lng, lat] = driver.location?.coordinates || [0, 0];
+      if (lat === 0 && lng === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Update your location before looking for deliveries'
+        });
+      }
+
+      const requestedRadius = parseFloat(req.query.radiusKm);
+      const radiusKm = Math.min(
+        requestedRadius > 0 ? requestedRadius : DEFAULT_MATCH_RADIUS_KM,
+        MAX_MATCH_RADIUS_KM
+      );
+
+      const driverPosition = { lat, lng };
+      const box = boundingBox(driverPosition, radiusKm);
+      const vehicleTypes = getCompatibleVehicleTypes(driver.earnType);
+
+      const candidates = await Delivery.find({
+        status: 'upcoming',
+        ...openForDispatch(),
+        vehicleType: { $in: vehicleTypes },
+        'pickupLocation.lat': { $gte: box.minLat, $lte: box.maxLat },
+        'pickupLocation.lng': { $gte: box.minLng, $lte: box.maxLng },
+        $or: [
+          { driverId: null },
+          { driverId: { $exists: false } }
+        ]
+      })
+      .populate('senderId', 'fullName email')
+      .lean();
+
+      // Only packages the driver's vehicle can carry, then exact distance
+      // check, then rank nearest first
+      const deliveries = candidates
+        .filter((delivery) => canCarryPackage(driver.earnType, delivery.package))
+        .map((delivery) => {
+          const distanceKm = haversineDistanceKm(driverPosition, delivery.pickupLocation);
+          return {
+            ...delivery,
+            packageSummary: describePackage(delivery.package),
+            distanceKm: Math.round(distanceKm * 100) / 100,
+            estimatedPickupMinutes: estimateTravelMinutes(distanceKm, driver.earnType)
+          };
+        })
+        .filter((delivery) => delivery.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+
+      res.json({
+        success: true,
+        deliveries,
+        search: {
+          radiusKm,
+          vehicleTypes,
+          location: driverPosition
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching available deliveries:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching available deliveries',
+        error: error.message
+      });
+    }
+  },
+
+  // Every job the driver is carrying, oldest accepted first
+  getActiveDelivery: async (req, res) => {
+    try {
+      const deliveries = await BatchingService.getActiveDeliveries(req.driver._id);
+
+      res.json({
+        success: true,
+        deliveries,
+        // Older app versions only read the first job
+        delivery: deliveries[0] || null,
+        batch: BatchingService.summarize(req.driver, deliveries),
+        ...(deliveries.length === 0 && { message: 'No active delivery found' })
+      });
+    } catch (error) {
+      console.error('Error fetching active delivery:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching active delivery',
+        error: error.message
+      });
+    }
+  },
+
+  // Open deliveries the driver could pick up along their current trip
+  getBatchSuggestions: async (req, res) => {
+    try {
+      const { batch, deliveries } = await BatchingService.suggest(req.driver, { filter: openForDispatch() });
+
+      res.json({
+        success: true,
+        deliveries,
+        batch
       });
+    } catch (error) {
+      console.error('Error fetching batch suggestions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching batch suggestions',
+        error: error.message
+      });
+    }
+  },
+
+  acceptDelivery: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+      const driverId = req.user.id;
+
+      // Validate deliveryId parameter
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format',
+          receivedId: deliveryId
+        });
+      }
+
+      if (!DriverVerificationService.canGoAvailable(req.driver)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account must be approved before you can accept deliveries'
+        });
+      }
+
+      // Drivers may stack jobs up to their batch limits, along their current trip
       try {
-        await NotificationService.notifyDeliveryAccepted(driverId, delivery);
-      } catch (notificationError) {
-        console.error('Failed to send delivery acceptance notification:', notificationError);
+        await BatchingService.assertCanAccept(req.driver, deliveryId);
+      } catch (batchError) {
+        if (BATCH_ERRORS.includes(batchError.code)) {
+          return res.status(400).json({
+            success: false,
+            code: batchError.code,
+            message: batchError.message
+          });
+        }
+        throw batchError;
       }
+
+      let delivery;
+      try {
+        delivery = await DeliveryStateMachine.transition(deliveryId, 'accept', {
+          actor: req.principal,
+          location: locationFromRequest(req),
+          // Scheduled deliveries can't be taken before their dispatch window
+          filter: openForDispatch(),
+          set: { driverId },
+          populate: ['senderId', 'fullName email phone']
+        });
+      } catch (transitionError) {
+        if (TRANSITION_ERRORS.includes(transitionError.code)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Delivery not available or already accepted'
+          });
+        }
+        throw transitionError;
+      }
+
       res.json({
         success: true,
         delivery: delivery,
@@ -703,10 +1231,57 @@ const deliveryController = {
     }
   },
 
+  // Driver checks in at the pickup
+  arriveAtPickup: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      let delivery;
+      try {
+        delivery = await DeliveryStateMachine.transition(deliveryId, 'arrive', {
+          actor: req.principal,
+          location: locationFromRequest(req),
+          // Arriving twice would re-notify the sender
+          filter: { 'pickup.arrivedAt': null }
+        });
+      } catch (transitionError) {
+        if (TRANSITION_ERRORS.includes(transitionError.code)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Delivery not found, not accepted or already checked in'
+          });
+        }
+        throw transitionError;
+      }
+
+      res.json({
+        success: true,
+        delivery: delivery,
+        message: 'Arrival at pickup confirmed'
+      });
+    } catch (error) {
+      console.error('Error confirming arrival at pickup:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error confirming arrival at pickup',
+        error: error.message
+      });
+    }
+  },
+
+  // Driver collects the item (optionally with a conditionNote), moving the
+  // delivery in transit
   startDelivery: async (req, res) => {
     try {
       const { deliveryId } = req.params;
-      const driverId = req.user.id || req.driver._id;
+      const driverId = req.user.id;
 
       // Validate and log deliveryId parameter
       console.log('Raw deliveryId from params:', deliveryId);
@@ -727,35 +1302,46 @@ const deliveryController = {
         });
       }
 
-      const delivery = await Delivery.findOneAndUpdate(
-        {
-          _id: deliveryId,
-          driverId: driverId,
-          status: 'accepted'
-        },
-        {
-          status: 'in-transit',
-          startedAt: new Date()
-        },
-        { new: true }
-      )
-      .populate('senderId', 'fullName email phone');
-
-      if (!delivery) {
+      const conditionNote = typeof req.body?.conditionNote === 'string' ? req.body.conditionNote.trim() : '';
+      if (conditionNote.length > MAX_CONDITION_NOTE_LENGTH) {
         return res.status(400).json({
           success: false,
-          message: 'Delivery not found or cannot be started'
+          message: `conditionNote must be at most ${MAX_CONDITION_NOTE_LENGTH} characters`
+        });
+      }
+
+      // The item can only be collected once the driver has checked in at the pickup
+      const accepted = await Delivery.findOne({ _id: deliveryId, driverId, status: 'accepted' }).select('pickup');
+      if (accepted && !accepted.pickup?.arrivedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'Confirm your arrival at the pickup before collecting the item'
         });
       }
+
+      let delivery;
       try {
-        await NotificationService.notifyDeliveryStarted(driverId, delivery);
-      } catch (notificationError) {
-        console.error('Failed to send delivery start notification:', notificationError);
+        delivery = await DeliveryStateMachine.transition(deliveryId, 'start', {
+          actor: req.principal,
+          location: locationFromRequest(req),
+          note: conditionNote || undefined,
+          set: conditionNote ? { 'pickup.conditionNote': conditionNote } : {},
+          populate: ['senderId', 'fullName email phone']
+        });
+      } catch (transitionError) {
+        if (TRANSITION_ERRORS.includes(transitionError.code)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Delivery not found or cannot be started'
+          });
+        }
+        throw transitionError;
       }
+
       res.json({
         success: true,
         delivery: delivery,
-        message: 'Delivery started successfully'
+        message: 'Item collected, delivery started'
       });
     } catch (error) {
       console.error('Error starting delivery:', error);
@@ -774,11 +1360,9 @@ const deliveryController = {
   completeDelivery: async (req, res) => {
     try {
       const { deliveryId } = req.params;
-      const driverId = req.user.id || req.driver._id;
+      const driverId = req.user.id;
 
       // Validate deliveryId parameter
-      console.log('Raw deliveryId from params:', deliveryId);
-      
       if (!isValidObjectId(deliveryId)) {
         return res.status(400).json({
           success: false,
@@ -787,19 +1371,79 @@ const deliveryController = {
         });
       }
 
-      const delivery = await Delivery.findOneAndUpdate(
-        {
+      let inTransit = await Delivery.findOne({
+        _id: deliveryId,
+        driverId: driverId,
+        status: 'in-transit'
+      });
+
+      if (inTransit) {
+        // The PIN may be submitted together with the completion request
+        if (req.body?.pin && inTransit.proofOfDelivery?.pin && !inTransit.proofOfDelivery.pinVerifiedAt) {
+          try {
+            inTransit = await ProofOfDeliveryService.verifyPin(inTransit, req.body.pin);
+          } catch (pinError) {
+            if (PROOF_ERROR_STATUS[pinError.code]) {
+              return res.status(PROOF_ERROR_STATUS[pinError.code]).json({
+                success: false,
+                message: pinError.message
+              });
+            }
+            throw pinError;
+          }
+        }
+
+        const openStops = DeliveryStopService.getOpenStops(inTransit);
+        if (openStops.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Every stop must be delivered or marked as not delivered before completing',
+            openStops: openStops.map((stop) => ({ stopId: stop._id, sequence: stop.sequence, address: stop.address }))
+          });
+        }
+
+        const missingProofs = ProofOfDeliveryService.getMissingProofs(inTransit);
+        if (missingProofs.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: `Proof of delivery is incomplete: ${missingProofs.join(', ')} required`,
+            missingProofs
+          });
+        }
+
+        // Escrow deliveries can only complete once the customer has accepted the escrow photo
+        if (inTransit.escrow?.active && inTransit.escrow.status !== 'verified') {
+          return res.status(409).json({
+            success: false,
+            message: 'The customer must accept the escrow photo before this delivery can be completed'
+          });
+        }
+      }
+
+      let delivery = null;
+      try {
+        delivery = await DeliveryStateMachine.transition(deliveryId, 'complete', {
+          actor: req.principal,
+          location: locationFromRequest(req),
+          populate: ['senderId', 'fullName email phone']
+        });
+      } catch (transitionError) {
+        if (!TRANSITION_ERRORS.includes(transitionError.code)) {
+          throw transitionError;
+        }
+      }
+
+      // A retry of an already-completed delivery still settles any missing payment
+      let alreadyCompleted = false;
+      if (!delivery) {
+        delivery = await Delivery.findOne({
           _id: deliveryId,
           driverId: driverId,
-          status: 'in-transit'
-        },
-        {
-          status: 'completed',
-          completedAt: new Date()
-        },
-        { new: true }
-      )
-      .populate('senderId', 'fullName email phone');
+          status: 'completed'
+        })
+        .populate('senderId', 'fullName email phone');
+        alreadyCompleted = !!delivery;
+      }
 
       if (!delivery) {
         return res.status(400).json({
@@ -807,23 +1451,36 @@ const deliveryController = {
           message: 'Delivery not found or cannot be completed'
         });
       }
-      try {
-        // Calculate earning (you may need to adjust this based on your pricing logic)
-        const earning = delivery.price || delivery.estimatedEarning || 0;
-        await NotificationService.notifyDeliveryCompleted(driverId, delivery, earning);
-        
-        // Also notify about payment
-        if (earning > 0) {
-          await NotificationService.notifyPaymentSuccess(driverId, earning, 'delivery completion');
+
+      if (delivery.escrow?.active && delivery.escrow.status === 'verified') {
+        await EscrowService.release(delivery, { actorType: 'driver', actorId: driverId });
+      }
+
+      const { credited, breakdown } = await WalletService.creditDeliveryEarning(delivery);
+
+      if (credited) {
+        try {
+          await NotificationService.notifyDeliveryCompleted(driverId, delivery, breakdown.net);
+          if (breakdown.net > 0) {
+            await NotificationService.notifyPaymentSuccess(driverId, breakdown.net, 'delivery completion');
+          }
+        } catch (notificationError) {
+          console.error('Failed to send delivery completion notifications:', notificationError);
+        }
+
+        try {
+          await PromotionService.rewardReferralIfEligible(driverId);
+        } catch (referralError) {
+          console.error('Failed to check referral reward:', referralError);
         }
-      } catch (notificationError) {
-        console.error('Failed to send delivery completion notifications:', notificationError);
       }
 
       res.json({
         success: true,
         delivery: delivery,
-        message: 'Delivery completed successfully'
+        earning: breakdown,
+        alreadyCompleted,
+        message: alreadyCompleted ? 'Delivery was already completed' : 'Delivery completed successfully'
       });
     } catch (error) {
       console.error('Error completing delivery:', error);
@@ -835,9 +1492,238 @@ const deliveryController = {
     }
   },
 
+  // Pending dispatch offers for the driver
+  getMyOffers: async (req, res) => {
+    try {
+      const driverId = req.user.id;
+
+      const offers = await DeliveryOffer.find({
+        driverId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+      .populate('deliveryId', 'pickupLocation dropoffLocation stops vehicleType package scheduledTime price status')
+      .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        offers
+      });
+    } catch (error) {
+      console.error('Error fetching delivery offers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching delivery offers',
+        error: error.message
+      });
+    }
+  },
+
+  // Decline a dispatch offer
+  declineDelivery: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+      const driverId = req.user.id;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const offer = await DispatchService.declineOffer(deliveryId, driverId);
+      if (!offer) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pending offer for this delivery'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Offer declined'
+      });
+    } catch (error) {
+      console.error('Error declining delivery offer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error declining delivery offer',
+        error: error.message
+      });
+    }
+  },
+
+  // Cancel a delivery (customer or assigned driver)
+  cancelDelivery: async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+      const { reasonCode, note } = req.body;
+      const actorType = req.actorType;
+      const actorId = req.user.id;
+
+      if (!isValidObjectId(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID format'
+        });
+      }
+
+      const reasonCodes = getReasonCodes(actorType);
+      if (!reasonCode || !reasonCodes.includes(reasonCode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid reason code is required',
+          validReasonCodes: reasonCodes
+        });
+      }
+
+      if (reasonCode === 'other' && !note) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please add a note when the reason is "other"'
+        });
+      }
+
+      const delivery = await Delivery.findOne({ _id: deliveryId, ...deliveryFilter(req.principal) });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      const policy = evaluateCancellation(delivery, actorType);
+      if (!policy.allowed) {
+        return res.status(409).json({
+          success: false,
+          message: policy.message,
+          status: delivery.status
+        });
+      }
+
+      // Recorded with the transition so the fee is owed even if posting it fails below
+      const feeId = new mongoose.Types.ObjectId();
+      const fees = policy.fee > 0
+        ? {
+            cancellationFees: {
+              _id: feeId,
+              actorType,
+              actorId,
+              driverId: delivery.driverId,
+              amount: policy.fee,
+              acceptedAt: delivery.acceptedAt
+            }
+          }
+        : {};
+
+      let updated;
+      try {
+        if (actorType === 'driver') {
+          // Hand the job back to the pool for another driver
+          updated = await DeliveryStateMachine.transition(deliveryId, 'release', {
+            actor: req.principal,
+            location: locationFromRequest(req),
+            reason: reasonCode,
+            note,
+            filter: { status: delivery.status },
+            // The next driver checks in at the pickup again
+            set: { driverId: null, acceptedAt: null, 'pickup.arrivedAt': null },
+            push: {
+              driverCancellations: {
+                driverId: actorId,
+                reasonCode,
+                note,
+                fee: policy.fee,
+                cancelledAt: new Date()
+              },
+              ...fees
+            }
+          });
+        } else {
+          updated = await DeliveryStateMachine.transition(deliveryId, 'cancel', {
+            actor: req.principal,
+            reason: reasonCode,
+            note,
+            filter: { status: delivery.status },
+            set: {
+              cancellation: {
+                cancelledBy: 'customer',
+                cancelledById: actorId,
+                reasonCode,
+                note,
+                fee: policy.fee
+              }
+            },
+            push: fees
+          });
+        }
+      } catch (transitionError) {
+        if (TRANSITION_ERRORS.includes(transitionError.code)) {
+          return res.status(409).json({
+            success: false,
+            message: 'Delivery changed while cancelling, please try again'
+          });
+        }
+        throw transitionError;
+      }
+
+      // Customer cancellations return the held funds; a new driver must have
+      // the escrow photo accepted again
+      if (updated.escrow?.active) {
+        try {
+          if (actorType === 'customer') {
+            await EscrowService.refund(updated, { actorType, actorId, note: reasonCode });
+          } else if (updated.escrow.status === 'verified') {
+            await EscrowService.reset(updated._id, { actorType, actorId });
+          }
+        } catch (escrowError) {
+          console.error('Failed to update escrow after cancellation:', escrowError);
+        }
+      }
+
+      // Give back the promo code and wallet credit used on the booking
+      if (actorType === 'customer') {
+        try {
+          await PromotionService.reverseCheckout(updated);
+        } catch (checkoutError) {
+          console.error('Failed to reverse checkout after cancellation:', checkoutError);
+        }
+      }
+
+      // The party that cancels late pays; a customer's fee compensates the
+      // driver. A failed charge stays on the delivery and is retried.
+      const fee = updated.cancellationFees?.find((entry) => entry._id.equals(feeId));
+      if (fee) {
+        try {
+          await WalletService.settleCancellationFee(updated._id, fee);
+        } catch (feeError) {
+          console.error('Failed to charge cancellation fee, queued for retry:', feeError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: actorType === 'driver'
+          ? 'Delivery released back to available jobs'
+          : 'Delivery cancelled successfully',
+        fee: policy.fee,
+        delivery: updated
+      });
+    } catch (error) {
+      console.error('Error cancelling delivery:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error cancelling delivery',
+        error: error.message
+      });
+    }
+  },
+
   getDriverDeliveryHistory: async (req, res) => {
     try {
-      const driverId = req.user.id || req.driver._id;
+      const driverId = req.user.id;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const skip = (page - 1) * limit;
@@ -876,7 +1762,7 @@ const deliveryController = {
   checkAcceptanceStatus: async (req, res) => {
     try {
       const { deliveryId } = req.params;
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
+      const driverId = req.user.id;
       
       console.log('=== CHECKING ACCEPTANCE STATUS ===');
       console.log('Raw deliveryId from params:', deliveryId);
@@ -896,8 +1782,11 @@ const deliveryController = {
         });
       }
       
-      // Find the specific delivery
-      const delivery = await Delivery.findById(deliveryId);
+      // Only the driver's own deliveries, or ones still open to them
+      const delivery = await Delivery.findOne({
+        _id: deliveryId,
+        $or: [deliveryFilter(req.principal), { driverId: null }]
+      });
       
       if (!delivery) {
         return res.status(404).json({
@@ -945,7 +1834,7 @@ const deliveryController = {
       console.log('req.driver:', req.driver);
       
       // Extract driver ID with multiple fallbacks
-      const driverId = req.user?.id || req.user?._id || req.driver?._id || req.driver?.id;
+      const driverId = req.user.id;
       console.log('Extracted driverId:', driverId);
       console.log('Type of driverId:', typeof driverId);
       
@@ -3,6 +3,16 @@ const Driver = require('../models/Driver');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { NotificationService } = require('../services/NotificationService');
+const { TrackingService } = require('../services/TrackingService');
+const { TripService } = require('../services/TripService');
+const { RatingService } = require('../services/RatingService');
+const { DriverVerificationService } = require('../services/DriverVerificationService');
+
+// The only fields a driver may change on their own profile. Verification,
+// ratings, referrals, suspension and session state are managed elsewhere;
+// phone and email are sign-in identifiers and are not editable here.
+const PROFILE_FIELDS = ['name', 'fullName', 'firstName', 'lastName', 'city', 'available'];
+
 exports.register = async (req, res) => {
   const { name, email, phone, password } = req.body;
   const hashed = await bcrypt.hash(password, 10);
@@ -26,39 +36,17 @@ exports.uploadLicense = async (req, res) => {
   }
 };
 
-exports.verifyIdentity = async (req, res) => {
-  try {
-    await Driver.findByIdAndUpdate(req.user.id, { verified: true }); // Fixed: use req.user.id
-    try {
-      await NotificationService.notifyVerificationApproved(req.user.id);
-    } catch (notificationError) {
-      console.error('Failed to send verification notification:', notificationError);
-    }
-    
-    res.json({ message: 'Identity verified' });
-  } catch (error) {
-    console.error('Verify identity error:', error);
-    res.status(500).json({ message: 'Failed to verify identity', error: error.message });
-  }
-};
-
 exports.getProfile = async (req, res) => {
   try {
-    // Option 1: Use the driver already fetched by middleware
-    if (req.driver) {
-      const driverResponse = req.driver.toObject();
-      delete driverResponse.password; // Remove password from response
-      return res.json(driverResponse);
-    }
-    
-    // Option 2: Fetch driver using correct property
-    const driver = await Driver.findById(req.user.id); // Fixed: use req.user.id
+    // Use the driver already fetched by middleware, or look it up
+    const driver = req.driver || await Driver.findById(req.user.id); // Fixed: use req.user.id
     if (!driver) {
       return res.status(404).json({ message: 'Driver not found' });
     }
     
     const driverResponse = driver.toObject();
     delete driverResponse.password; // Remove password from response
+    driverResponse.ratingBreakdown = await RatingService.getBreakdown('driver', driver._id);
     res.json(driverResponse);
   } catch (error) {
     console.error('Get profile error:', error);
@@ -68,7 +56,22 @@ exports.getProfile = async (req, res) => {
 
 exports.updateProfile = async (req, res) => {
   try {
-    const driver = await Driver.findByIdAndUpdate(req.user.id, req.body, { new: true }); // Fixed: use req.user.id
+    const updates = {};
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `Nothing to update. Editable fields: ${PROFILE_FIELDS.join(', ')}` });
+    }
+
+    if (updates.available && !DriverVerificationService.canGoAvailable(req.driver)) {
+      return res.status(403).json({ message: 'You can go available once your account has been approved' });
+    }
+
+    const driver = await Driver.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true }); // Fixed: use req.user.id
     if (!driver) {
       return res.status(404).json({ message: 'Driver not found' });
     }
@@ -76,7 +79,7 @@ exports.updateProfile = async (req, res) => {
     const driverResponse = driver.toObject();
     delete driverResponse.password; // Remove password from response
     try {
-      const updatedFields = Object.keys(req.body);
+      const updatedFields = Object.keys(updates);
       await NotificationService.notifyProfileUpdated(req.user.id, updatedFields);
     } catch (notificationError) {
       console.error('Failed to send profile update notification:', notificationError);
@@ -91,6 +94,13 @@ exports.updateProfile = async (req, res) => {
 exports.setAvailability = async (req, res) => {
   try {
     const { available } = req.body;
+    if (available && !DriverVerificationService.canGoAvailable(req.driver)) {
+      return res.status(403).json({
+        message: 'You can go available once your account has been approved',
+        backgroundCheckStatus: req.driver.backgroundCheckStatus
+      });
+    }
+
     const driver = await Driver.findByIdAndUpdate(req.user.id, { available }, { new: true }); // Fixed: use req.user.id
     if (!driver) {
       return res.status(404).json({ message: 'Driver not found' });
@@ -152,6 +162,20 @@ exports.updateLocation = async (req, res) => {
     if (!driver) {
       return res.status(404).json({ message: 'Driver not found' });
     }
+
+    // Keep a breadcrumb for each active delivery's trip replay
+    try {
+      await TripService.recordPing(driver._id, { lat, lng });
+    } catch (tripError) {
+      console.error('Failed to record location ping:', tripError);
+    }
+
+    // Stream the new position to senders following the driver's active jobs
+    try {
+      await TrackingService.publishDriverLocation(driver);
+    } catch (trackingError) {
+      console.error('Failed to publish driver location:', trackingError);
+    }
     
     res.json({ message: 'Location updated', location: driver.location });
   } catch (error) {
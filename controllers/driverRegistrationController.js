@@ -6,9 +6,12 @@ const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const { body, validationResult } = require('express-validator');
 require('dotenv').config();
 const { NotificationService } = require('../services/NotificationService');
+const { PromotionService } = require('../services/PromotionService');
+const { DriverVerificationService } = require('../services/DriverVerificationService');
+const { SessionService, deviceFromRequest } = require('../services/SessionService');
+const { OtpService, isPlainValue } = require('../services/OtpService');
 
 const Driver = require('../models/Driver');
-const Otp = require('../models/Otp');
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -182,8 +185,28 @@ const handleMulterError = (err, req, res, next) => {
   });
 };
 
-// Use default OTP instead of random generation
-const generateOTP = () => "123456"; // Default OTP for testing
+// HTTP status for each OTP error code
+const OTP_ERROR_STATUS = {
+  OTP_INVALID: 400,
+  OTP_EXPIRED: 400,
+  OTP_LOCKED: 429,
+  OTP_COOLDOWN: 429,
+  OTP_RATE_LIMITED: 429,
+  SMS_FAILED: 502
+};
+
+const sendOtpError = (res, error, fallbackMessage) => {
+  if (OTP_ERROR_STATUS[error.code]) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(OTP_ERROR_STATUS[error.code]).json({
+      message: error.message,
+      code: error.code,
+      ...(error.retryAfter && { retryAfter: error.retryAfter })
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
 
 // Helper function to get current registration step dynamically
 const getCurrentRegistrationStep = (driver, tokenStep) => {
@@ -257,7 +280,7 @@ class DriverRegistrationController {
     try {
       const { phone } = req.body;
 
-      if (!phone) {
+      if (!isPlainValue(phone)) {
         return res.status(400).json({ message: "Phone number is required" });
       }
 
@@ -267,36 +290,17 @@ class DriverRegistrationController {
         return res.status(409).json({ message: "Phone number already registered" });
       }
 
-      const otpCode = generateOTP();
-      const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // expires in 5 mins
-
-      // Delete any existing OTP for this phone
-      await Otp.deleteMany({ phone });
-
-      // Create new OTP record
-      await Otp.create({ 
-        phone, 
-        code: otpCode, 
-        expiresAt,
-        type: 'driver_registration'
-      });
-
-      // Instead of sending via Twilio, just log the OTP
-      console.log(`OTP for ${phone}: ${otpCode}`);
+      const { expiresAt, resendAvailableAt } = await OtpService.send(phone, 'driver_registration', { ip: req.ip });
 
       res.status(200).json({ 
         message: "OTP sent successfully",
         phone: phone,
-        // For testing purposes, include OTP in response (remove in production)
-        otp: otpCode
+        expiresAt,
+        resendAvailableAt
       });
 
     } catch (error) {
-      console.error('Error in registerPhone:', error);
-      res.status(500).json({ 
-        message: "Failed to send OTP", 
-        error: error.message 
-      });
+      sendOtpError(res, error, 'Failed to send OTP');
     }
   }
 
@@ -305,23 +309,11 @@ class DriverRegistrationController {
     try {
       const { phone, code } = req.body;
 
-      if (!phone || !code) {
+      if (!isPlainValue(phone) || !isPlainValue(code)) {
         return res.status(400).json({ message: "Phone number and OTP code are required" });
       }
 
-      const otpRecord = await Otp.findOne({ 
-        phone, 
-        code,
-        type: 'driver_registration'
-      });
-
-      if (!otpRecord) {
-        return res.status(400).json({ message: "Invalid OTP" });
-      }
-
-      if (otpRecord.expiresAt < new Date()) {
-        return res.status(400).json({ message: "OTP expired" });
-      }
+      await OtpService.verify(phone, 'driver_registration', code);
 
       // Generate temporary JWT token for completing registration
       const tempToken = jwt.sign(
@@ -330,9 +322,6 @@ class DriverRegistrationController {
         { expiresIn: "2h" } // Increased to 2 hours for more flexibility
       );
 
-      // Delete used OTP
-      await Otp.deleteMany({ phone, type: 'driver_registration' });
-
       res.json({ 
         message: "Phone verified successfully",
         tempToken,
@@ -340,11 +329,7 @@ class DriverRegistrationController {
       });
 
     } catch (error) {
-      console.error('Error in verifyOtp:', error);
-      res.status(500).json({ 
-        message: "OTP verification failed", 
-        error: error.message 
-      });
+      sendOtpError(res, error, 'OTP verification failed');
     }
   }
 
@@ -422,12 +407,18 @@ class DriverRegistrationController {
         
         // Only hash and update password if it's different
         const isPasswordSame = await bcrypt.compare(password, driver.password || '');
+        const passwordChanged = !isPasswordSame && !!driver.password;
         if (!isPasswordSame) {
           driver.password = await bcrypt.hash(password, 12);
         }
         
         driver.registrationStep = 'basic_info_completed';
         await driver.save();
+
+        // A new password signs the driver out everywhere
+        if (passwordChanged) {
+          await SessionService.revokeAll('driver', driver._id, 'password_changed');
+        }
       } else {
         // Create new driver
         const hashedPassword = await bcrypt.hash(password, 12);
@@ -502,6 +493,11 @@ class DriverRegistrationController {
 
       const { email, given_name, family_name, picture, sub: googleId } = payload;
 
+      // Drivers are matched by email, so only a verified address may sign in
+      if (payload.email_verified !== true) {
+        return res.status(403).json({ success: false, message: "Your Google email address is not verified" });
+      }
+
       // 2️⃣ Check if a driver with this email already exists
       let driver = await Driver.findOne({ email });
 
@@ -514,7 +510,7 @@ class DriverRegistrationController {
           email,
           googleId,
           password: null, // no password since using Google
-          verified: true,
+          verified: false,
           registrationStep: 'basic_info_completed',
           profilePhoto: picture,
           location: {
@@ -524,17 +520,12 @@ class DriverRegistrationController {
         });
       }
 
-      // 3️⃣ Generate token
-      const token = jwt.sign(
-        {
-          id: driver._id,
-          email: driver.email,
-          phone: driver.phone || null,
-          type: 'driver',
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      if (driver.suspended) {
+        return res.status(403).json({ success: false, message: "This account has been suspended" });
+      }
+
+      // 3️⃣ Open a session for this device
+      const session = await SessionService.issueSession('driver', driver, deviceFromRequest(req));
 
       // 4️⃣ Remove sensitive fields
       const driverResponse = driver.toObject();
@@ -553,7 +544,7 @@ class DriverRegistrationController {
         message: driver.isNew
           ? "Google registration completed successfully"
           : "Logged in successfully with Google",
-        token,
+        ...session,
         driver: driverResponse,
         nextStep: driver.isNew ? "setup_earn_type" : "dashboard",
         allowedActions: getNextAllowedActions(driver, 'basic_info_completed'),
@@ -626,10 +617,24 @@ class DriverRegistrationController {
         });
       }
 
+      // Link the driver to whoever invited them
+      if (referralCode && !driver.referredBy) {
+        try {
+          const referrer = await PromotionService.resolveReferrer(referralCode, driver._id);
+          driver.referredBy = referrer._id;
+          driver.referralCode = referralCode.toUpperCase();
+        } catch (referralError) {
+          if (referralError.code !== 'REFERRAL_INVALID') throw referralError;
+          return res.status(400).json({
+            success: false,
+            message: referralError.message
+          });
+        }
+      }
+
       // Update driver with earn type information
       driver.earnType = earnType;
       driver.city = city;
-      driver.referralCode = referralCode || null;
       driver.registrationStep = 'earn_type_completed';
       await driver.save();
 
@@ -803,7 +808,8 @@ class DriverRegistrationController {
         size: req.file.size,
         url: req.file.path,
         publicId: publicId,
-        uploadedAt: new Date()
+        uploadedAt: new Date(),
+        status: 'pending'
       };
 
       // Update registration step intelligently
@@ -816,6 +822,9 @@ class DriverRegistrationController {
       await driver.save();
       console.log('Driver saved successfully');
 
+      // A new document needs its own review, so a reviewed driver goes back in the queue
+      await DriverVerificationService.reopenReview(driver._id);
+
       // Generate updated token for continued operations
       const updatedToken = jwt.sign(
         { 
@@ -951,39 +960,30 @@ class DriverRegistrationController {
         });
       }
 
-      // Mark driver as verified and complete registration
-      driver.verified = true;
+      // Complete registration; an admin verifies the driver before they can go online
       driver.registrationStep = 'completed';
-      driver.available = false; // Driver can set availability later
+      driver.available = false;
       await driver.save();
+      await DriverVerificationService.submitForReview(driver._id);
 
-      // Generate main JWT token for authenticated access
-      const mainToken = jwt.sign(
-        { 
-          id: driver._id, 
-          phone: driver.phone,
-          email: driver.email,
-          type: 'driver'
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Open the driver's first session for authenticated access
+      const session = await SessionService.issueSession('driver', driver, deviceFromRequest(req));
 
       // Remove password from response
       const driverResponse = driver.toObject();
       delete driverResponse.password;
       try {
         await NotificationService.notifyRegistrationCompleted(driver._id);
-        await NotificationService.notifyVerificationApproved(driver._id);
       } catch (notificationError) {
         console.error('Failed to send registration completion notifications:', notificationError);
       }
       res.json({
         success: true,
-        message: "Registration completed successfully! Welcome to Errand.",
-        token: mainToken,
+        message: "Registration completed successfully! Your documents are now being reviewed.",
+        ...session,
         driver: driverResponse,
-        status: "registration_complete"
+        status: "registration_complete",
+        backgroundCheckStatus: 'pending'
       });
 
     } catch (error) {
@@ -1085,12 +1085,15 @@ class DriverRegistrationController {
           earnType: driver.earnType,
           city: driver.city,
           referralCode: driver.referralCode,
-          verified: driver.verified
+          verified: driver.verified,
+          backgroundCheckStatus: driver.backgroundCheckStatus,
+          verificationReason: driver.verificationReview?.reason || null
         },
         documents: {
           uploaded: uploadedDocuments,
           required: requiredDocs,
-          missing: requiredDocs.filter(doc => !uploadedDocuments.includes(doc))
+          missing: requiredDocs.filter(doc => !uploadedDocuments.includes(doc)),
+          review: DriverVerificationService.summarizeDocuments(driver)
         },
         allowedActions: getNextAllowedActions(driver, currentStep)
       });
@@ -1172,6 +1175,9 @@ class DriverRegistrationController {
       driver.documents[documentType] = undefined;
       await driver.save();
 
+      // The review covered this document, so a reviewed driver goes back in the queue
+      await DriverVerificationService.reopenReview(driver._id);
+
       res.json({
         success: true,
         message: 'Document deleted successfully',
@@ -1188,42 +1194,78 @@ class DriverRegistrationController {
     }
   }
 
-  // Resend OTP - ALWAYS WORKS
+  // Resend OTP, once the resend cooldown has passed
   async resendOtp(req, res) {
     try {
       const { phone } = req.body;
 
-      if (!phone) {
+      if (!isPlainValue(phone)) {
         return res.status(400).json({ message: "Phone number is required" });
       }
 
-      const otpCode = generateOTP();
-      const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+      const { expiresAt, resendAvailableAt } = await OtpService.send(phone, 'driver_registration', { ip: req.ip });
 
-      // Delete existing OTP and create new one
-      await Otp.deleteMany({ phone, type: 'driver_registration' });
-      await Otp.create({ 
-        phone, 
-        code: otpCode, 
+      res.status(200).json({ 
+        message: "OTP resent successfully",
         expiresAt,
-        type: 'driver_registration'
+        resendAvailableAt
       });
 
-      // Log OTP instead of sending via Twilio
-      console.log(`Resent OTP for ${phone}: ${otpCode}`);
+    } catch (error) {
+      sendOtpError(res, error, 'Failed to resend OTP');
+    }
+  }
 
-      res.status(200).json({ 
-        message: "OTP resent successfully",
-        // For testing purposes, include OTP in response (remove in production)
-        otp: otpCode
-      });
+  // Password reset, step 1: text a reset code to the driver's phone.
+  // Responds the same way whether or not the phone is registered.
+  async requestPasswordReset(req, res) {
+    try {
+      const { phone } = req.body;
+
+      if (!isPlainValue(phone)) {
+        return res.status(400).json({ message: "Phone number is required" });
+      }
+
+      const driver = await Driver.findOne({ phone }).select('_id');
+      if (driver) {
+        await OtpService.send(phone, 'password_reset', { ip: req.ip });
+      }
+
+      res.json({ message: "If this phone number is registered, a reset code has been sent" });
 
     } catch (error) {
-      console.error('Error in resendOtp:', error);
-      res.status(500).json({ 
-        message: "Failed to resend OTP", 
-        error: error.message 
-      });
+      sendOtpError(res, error, 'Failed to send reset code');
+    }
+  }
+
+  // Password reset, step 2: check the code, set the new password and sign
+  // the driver out everywhere
+  async resetPassword(req, res) {
+    try {
+      const { phone, code, newPassword } = req.body;
+
+      if (!isPlainValue(phone) || !isPlainValue(code) || typeof newPassword !== 'string') {
+        return res.status(400).json({ message: "Phone number, code and new password are required" });
+      }
+      if (newPassword.length < 8) {
+        return res.status(400).json({ message: "Password must be at least 8 characters" });
+      }
+
+      await OtpService.verify(phone, 'password_reset', code);
+
+      const driver = await Driver.findOne({ phone });
+      if (!driver) {
+        return res.status(400).json({ message: "Invalid OTP" });
+      }
+
+      driver.password = await bcrypt.hash(newPassword, 12);
+      await driver.save();
+      await SessionService.revokeAll('driver', driver._id, 'password_changed');
+
+      res.json({ message: "Password updated, please log in again" });
+
+    } catch (error) {
+      sendOtpError(res, error, 'Failed to reset password');
     }
   }
 
@@ -1248,17 +1290,12 @@ class DriverRegistrationController {
         return res.status(401).json({ message: "Invalid credentials" });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          id: driver._id, 
-          phone: driver.phone,
-          email: driver.email,
-          type: 'driver'
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      if (driver.suspended) {
+        return res.status(403).json({ message: "This account has been suspended" });
+      }
+
+      // Open a session for this device
+      const session = await SessionService.issueSession('driver', driver, deviceFromRequest(req));
 
       // Remove password from response
       const driverResponse = driver.toObject();
@@ -1280,7 +1317,7 @@ class DriverRegistrationController {
       }
       res.json({
         message: "Login successful",
-        token,
+        ...session,
         driver: driverResponse,
         registrationStatus: {
           step: driver.registrationStep || 'basic_info_completed',
@@ -1507,21 +1544,43 @@ class DriverRegistrationController {
       }
 
       if (city) driver.city = city;
-      if (referralCode !== undefined) driver.referralCode = referralCode;
-      if (available !== undefined) driver.available = available;
+      // A referral can only be added once, and never changed afterwards
+      if (referralCode && !driver.referredBy) {
+        try {
+          const referrer = await PromotionService.resolveReferrer(referralCode, driver._id);
+          driver.referredBy = referrer._id;
+          driver.referralCode = referralCode.toUpperCase();
+        } catch (referralError) {
+          if (referralError.code !== 'REFERRAL_INVALID') throw referralError;
+          return res.status(400).json({
+            success: false,
+            message: referralError.message
+          });
+        }
+      }
+      if (available !== undefined) {
+        if (available && !DriverVerificationService.canGoAvailable(driver)) {
+          return res.status(403).json({
+            success: false,
+            message: "You can go available once your account has been approved"
+          });
+        }
+        driver.available = available;
+      }
 
       await driver.save();
 
-      // Generate updated token
-      const updatedToken = jwt.sign(
+      // Registration tokens are re-issued with the new details; signed-in
+      // drivers keep their session's access token
+      const updatedToken = decoded.type === 'driver' ? token : jwt.sign(
         { 
           id: driver._id,
           phone: driver.phone,
           email: driver.email,
-          type: decoded.type || 'driver'
+          step: decoded.step
         }, 
         process.env.JWT_SECRET, 
-        { expiresIn: decoded.type === 'driver' ? '7d' : '2h' }
+        { expiresIn: '2h' }
       );
 
       // Remove password from response
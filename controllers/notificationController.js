@@ -1,4 +1,5 @@
 // controllers/notificationController.js
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
 const { NotificationService } = require('../services/NotificationService');
@@ -36,7 +37,7 @@ const notificationController = {
         priority
       };
 
-      const result = await Notification.getUserNotifications(req.user._id, options);
+      const result = await Notification.getUserNotifications(req.user.id, options);
 
       res.json({
         success: true,
@@ -70,7 +71,7 @@ const notificationController = {
   // GET /api/notifications/unread-count - Get unread notification count
   getUnreadCount: async (req, res) => {
     try {
-      const count = await Notification.getUnreadCount(req.user._id);
+      const count = await Notification.getUnreadCount(req.user.id);
       
       res.json({
         success: true,
@@ -94,7 +95,7 @@ const notificationController = {
       const notification = await Notification.findOneAndUpdate(
         {
           _id: id,
-          userId: req.user._id
+          userId: req.user.id
         },
         {
           isRead: true,
@@ -134,10 +135,10 @@ const notificationController = {
       let result;
       if (markAll) {
         // Mark all notifications as read
-        result = await Notification.markAsRead(req.user._id);
+        result = await Notification.markAsRead(req.user.id);
       } else if (notificationIds && notificationIds.length > 0) {
         // Mark specific notifications as read
-        result = await Notification.markAsRead(req.user._id, notificationIds);
+        result = await Notification.markAsRead(req.user.id, notificationIds);
       } else {
         return res.status(400).json({
           success: false,
@@ -146,7 +147,7 @@ const notificationController = {
         });
       }
 
-      console.log(`Marked ${result.modifiedCount} notifications as read for user: ${req.user._id}`);
+      console.log(`Marked ${result.modifiedCount} notifications as read for user: ${req.user.id}`);
 
       res.json({
         success: true,
@@ -168,7 +169,7 @@ const notificationController = {
     try {
       const notification = await Notification.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.user.id
       });
 
       if (!notification) {
@@ -200,7 +201,7 @@ const notificationController = {
     try {
       const notification = await Notification.findOneAndDelete({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.user.id
       });
 
       if (!notification) {
@@ -211,7 +212,7 @@ const notificationController = {
         });
       }
 
-      console.log(`Deleted notification ${req.params.id} for user: ${req.user._id}`);
+      console.log(`Deleted notification ${req.params.id} for user: ${req.user.id}`);
 
       res.json({
         success: true,
@@ -242,10 +243,10 @@ const notificationController = {
 
       const result = await Notification.deleteMany({
         _id: { $in: notificationIds },
-        userId: req.user._id
+        userId: req.user.id
       });
 
-      console.log(`Deleted ${result.deletedCount} notifications for user: ${req.user._id}`);
+      console.log(`Deleted ${result.deletedCount} notifications for user: ${req.user.id}`);
 
       res.json({
         success: true,
@@ -265,7 +266,8 @@ const notificationController = {
   // GET /api/notifications/stats - Get notification statistics
   getNotificationStats: async (req, res) => {
     try {
-      const userId = req.user._id;
+      // Aggregations don't cast, so match on an ObjectId
+      const userId = new mongoose.Types.ObjectId(req.user.id);
 
       const [
         totalCount,
@@ -329,7 +331,7 @@ const notificationController = {
       }
 
       const notification = await NotificationService.createNotification(
-        req.user._id,
+        req.user.id,
         type,
         title,
         message,
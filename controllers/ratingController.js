@@ -0,0 +1,68 @@
+// ratingController.js
+const mongoose = require('mongoose');
+const Delivery = require('../models/Delivery');
+const { RatingService, REVIEW_TAGS } = require('../services/RatingService');
+const { deliveryFilter } = require('../utils/ownership');
+
+// HTTP status for each rating error code
+const RATING_ERROR_STATUS = {
+  DELIVERY_NOT_FOUND: 404,
+  DELIVERY_NOT_COMPLETED: 409,
+  INVALID_TAGS: 400,
+  ALREADY_REVIEWED: 409
+};
+
+// Rate the other side of a completed delivery (customer -> driver or driver -> customer)
+exports.submitReview = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid delivery ID format' });
+    }
+
+    const review = await RatingService.submitReview(deliveryId, req.actorType, req.user.id, {
+      rating: parseInt(req.body.rating),
+      tags: req.body.tags || [],
+      comment: req.body.comment
+    });
+
+    res.status(201).json({ success: true, message: 'Thanks for your rating', review });
+  } catch (error) {
+    if (RATING_ERROR_STATUS[error.code]) {
+      return res.status(RATING_ERROR_STATUS[error.code]).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Submit review error:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit rating', error: error.message });
+  }
+};
+
+// Reviews left on a delivery, visible to its sender and driver
+exports.getDeliveryReviews = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid delivery ID format' });
+    }
+
+    const delivery = await Delivery.exists({ _id: deliveryId, ...deliveryFilter(req.principal) });
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    const reviews = await RatingService.getDeliveryReviews(deliveryId);
+    res.json({
+      success: true,
+      reviews,
+      canReview: !reviews.some((review) => review.reviewerType === req.actorType)
+    });
+  } catch (error) {
+    console.error('Get delivery reviews error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get reviews', error: error.message });
+  }
+};
+
+// Tags the logged-in user can pick from when rating the other side
+exports.getReviewTags = (req, res) => {
+  const revieweeType = req.actorType === 'customer' ? 'driver' : 'customer';
+  res.json({ success: true, tags: REVIEW_TAGS[revieweeType] });
+};
@@ -1,10 +1,11 @@
 const Route = require('../models/Route');
 const { optimizeRoute } = require('../utils/optimoroute');
+const { routeFilter } = require('../utils/ownership');
 
 exports.assignOptimizedRoute = async (req, res) => {
   try {
     const { stops } = req.body;
-    const driverId = req.user._id;
+    const driverId = req.user.id;
 
     const optimized = await optimizeRoute(driverId, stops);
 
@@ -31,7 +32,7 @@ exports.assignOptimizedRoute = async (req, res) => {
 
 exports.getAssignedRoutes = async (req, res) => {
   try {
-    const routes = await Route.find({ driverId: req.user._id });
+    const routes = await Route.find(routeFilter(req.principal));
     res.json(routes);
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch routes' });
@@ -43,7 +44,7 @@ exports.updateStopStatus = async (req, res) => {
     const { routeId } = req.params;
     const { stopIndex, status } = req.body;
 
-    const route = await Route.findById(routeId);
+    const route = await Route.findOne({ _id: routeId, ...routeFilter(req.principal) });
     if (!route || !route.stops[stopIndex]) {
       return res.status(404).json({ error: 'Stop not found' });
     }
@@ -59,7 +60,7 @@ exports.updateStopStatus = async (req, res) => {
 
 exports.getRouteSummary = async (req, res) => {
   try {
-    const route = await Route.findById(req.params.routeId);
+    const route = await Route.findOne({ _id: req.params.routeId, ...routeFilter(req.principal) });
     if (!route) return res.status(404).json({ error: 'Route not found' });
     res.json(route);
   } catch (err) {
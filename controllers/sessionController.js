@@ -0,0 +1,82 @@
+// sessionController.js
+const mongoose = require('mongoose');
+const { SessionService } = require('../services/SessionService');
+
+// HTTP status for each session error code
+const SESSION_ERROR_STATUS = {
+  SESSION_INVALID: 401,
+  REFRESH_TOKEN_REUSED: 401,
+  ACCOUNT_DISABLED: 403,
+  SESSION_NOT_FOUND: 404
+};
+
+const sendSessionError = (res, error, fallbackMessage) => {
+  if (SESSION_ERROR_STATUS[error.code]) {
+    return res.status(SESSION_ERROR_STATUS[error.code]).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
+// New access token and refresh token for a still-valid refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const tokens = await SessionService.refresh(req.body.refreshToken);
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to refresh session');
+  }
+};
+
+// Sign out the device this token belongs to
+exports.logout = async (req, res) => {
+  try {
+    if (!req.user.sid) {
+      // Token from before sessions existed; nothing to sign out but the token itself
+      return res.status(400).json({ success: false, message: 'This token has no session, use logout-all instead' });
+    }
+    await SessionService.logout(req.user.type, req.user.id, req.user.sid);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to log out');
+  }
+};
+
+// Sign out every device and invalidate every outstanding token
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionsRevoked = await SessionService.revokeAll(req.user.type, req.user.id);
+    res.json({ success: true, message: 'Logged out on all devices', sessionsRevoked });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to log out on all devices');
+  }
+};
+
+// The caller's signed-in devices
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user.type, req.user.id);
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: String(session._id) === req.user.sid
+      }))
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to get sessions');
+  }
+};
+
+// Sign out one of the caller's other devices
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid session ID format' });
+    }
+    await SessionService.logout(req.user.type, req.user.id, req.params.sessionId);
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to sign out session');
+  }
+};
@@ -1,18 +1,182 @@
 // walletController.js 
-const Wallet = require('../models/Wallet');
+const mongoose = require('mongoose');
+const Delivery = require('../models/Delivery');
+const Payout = require('../models/Payout');
+const { WalletService } = require('../services/WalletService');
+const { LedgerService } = require('../services/LedgerService');
+const { PayoutService } = require('../services/PayoutService');
+const { PromotionService, REFERRAL_REWARD_AMOUNT, REFERRAL_REQUIRED_DELIVERIES } = require('../services/PromotionService');
+const Driver = require('../models/Driver');
 
+const MAX_TIP_AMOUNT = 200;
+
+// Get the logged-in user's wallet, ledger balance and recent transactions
 exports.getEarnings = async (req, res) => {
-  const wallet = await Wallet.findOne({ driverId: req.user._id });
-  res.json(wallet);
+  try {
+    const { wallet, balance } = await WalletService.getWalletSummary(req.actorType, req.user.id);
+    const { transactions } = await LedgerService.getTransactions(wallet._id, { limit: 10 });
+
+    res.json({
+      success: true,
+      wallet: {
+        id: wallet._id,
+        balance,
+        updatedAt: wallet.updatedAt
+      },
+      recentTransactions: transactions
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get wallet', error: error.message });
+  }
+};
+
+// Paginated ledger for the logged-in user's wallet
+exports.getTransactions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { wallet } = await WalletService.getWalletSummary(req.actorType, req.user.id);
+    const result = await LedgerService.getTransactions(wallet._id, { page, limit, type: req.query.type });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get transactions', error: error.message });
+  }
 };
 
+// Customer tips the driver of one of their completed deliveries
 exports.receiveTip = async (req, res) => {
-  const { driverId } = req.params;
-  const { amount } = req.body;
-  await Wallet.findOneAndUpdate(
-    { driverId },
-    { $inc: { balance: amount }, $push: { earnings: { amount, source: 'tip', date: new Date() } } },
-    { upsert: true }
-  );
-  res.json({ message: 'Tip received' });
-};
\ No newline at end of file
+  try {
+    const { driverId } = req.params;
+    const { deliveryId } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    if (!mongoose.Types.ObjectId.isValid(driverId) || !mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Valid driverId and deliveryId are required' });
+    }
+
+    if (!(amount > 0) || amount > MAX_TIP_AMOUNT) {
+      return res.status(400).json({ success: false, message: `Tip must be between 0 and ${MAX_TIP_AMOUNT}` });
+    }
+
+    const delivery = await Delivery.findOne({
+      _id: deliveryId,
+      senderId: req.user.id,
+      driverId,
+      status: 'completed'
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Completed delivery not found for this driver' });
+    }
+
+    const { posted } = await WalletService.tipDriver(req.user.id, driverId, amount, delivery._id);
+    if (!posted) {
+      return res.status(409).json({ success: false, message: 'This delivery has already been tipped' });
+    }
+
+    res.json({ success: true, message: 'Tip received', amount });
+  } catch (error) {
+    console.error('Tip error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send tip', error: error.message });
+  }
+};
+
+// Driver requests a cash-out of their wallet balance
+exports.requestPayout = async (req, res) => {
+  try {
+    const amount = parseFloat(req.body.amount);
+    const { accountHolder, accountNumber } = req.body.destination || {};
+
+    if (!accountHolder || !accountNumber) {
+      return res.status(400).json({ success: false, message: 'destination.accountHolder and destination.accountNumber are required' });
+    }
+
+    const payout = await PayoutService.requestPayout(req.user.id, amount, { accountHolder, accountNumber: String(accountNumber) });
+
+    res.status(201).json({ success: true, message: 'Payout requested', payout });
+  } catch (error) {
+    if (['BELOW_MINIMUM', 'DAILY_LIMIT_EXCEEDED', 'INSUFFICIENT_FUNDS'].includes(error.code)) {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Payout request error:', error);
+    res.status(500).json({ success: false, message: 'Failed to request payout', error: error.message });
+  }
+};
+
+// Driver's payout history, newest first
+exports.getPayouts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { driverId: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Payout.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      payouts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get payouts', error: error.message });
+  }
+};
+
+// Add a gift card's value to the customer's wallet
+exports.redeemGiftCard = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ success: false, message: 'Gift card code is required' });
+    }
+
+    const card = await PromotionService.redeemGiftCard(req.body.code, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Gift card redeemed: ${card.amount} ${card.currency} added to your wallet`,
+      giftCard: { code: card.code, amount: card.amount, currency: card.currency, redeemedAt: card.redeemedAt }
+    });
+  } catch (error) {
+    if (error.code === 'GIFT_CARD_INVALID') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Gift card redeem error:', error);
+    res.status(500).json({ success: false, message: 'Failed to redeem gift card', error: error.message });
+  }
+};
+
+// Driver's invite code and the drivers they referred
+exports.getReferrals = async (req, res) => {
+  try {
+    const inviteCode = await PromotionService.getInviteCode(req.user.id);
+    const referred = await Driver.find({ referredBy: req.user.id })
+      .select('name totalDeliveries referralRewardedAt createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      inviteCode,
+      rewardAmount: REFERRAL_REWARD_AMOUNT,
+      requiredDeliveries: REFERRAL_REQUIRED_DELIVERIES,
+      referrals: referred.map((driver) => ({
+        name: driver.name,
+        joinedAt: driver.createdAt,
+        rewarded: !!driver.referralRewardedAt,
+        rewardedAt: driver.referralRewardedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get referrals', error: error.message });
+  }
+};
@@ -0,0 +1,41 @@
+// create-admin.js - Create a back-office account (or reset its password)
+// Usage: node create-admin.js <email> <password> [name] [--support]
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+
+const Admin = require('./models/Admin');
+
+async function createAdmin() {
+  const [email, password, name = 'Admin'] = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+  const role = process.argv.includes('--support') ? 'support' : 'admin';
+  let exitCode = 0;
+
+  if (!email || !password || password.length < 8) {
+    console.error('Usage: node create-admin.js <email> <password (8+ characters)> [name] [--support]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for admin creation');
+
+    // Resetting the password also signs the account out everywhere
+    const admin = await Admin.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { name, role, password: await bcrypt.hash(password, 12), active: true, $inc: { tokenVersion: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`${admin.role} account ${admin.email} is ready`);
+  } catch (error) {
+    console.error('Admin creation failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    process.exitCode = exitCode;
+  }
+}
+
+createAdmin();
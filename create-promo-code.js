@@ -0,0 +1,54 @@
+// create-promo-code.js - Create a promo code
+// Usage: node create-promo-code.js <CODE> <percentage|fixed> <amount> [--max-discount=N] [--min-order=N]
+//          [--usage-limit=N] [--per-customer=N] [--first-order] [--starts=YYYY-MM-DD] [--expires=YYYY-MM-DD]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const PromoCode = require('./models/PromoCode');
+
+const getOption = (name) => {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const toNumber = (value) => (value === undefined ? undefined : parseFloat(value));
+const toDate = (value) => (value === undefined ? undefined : new Date(value));
+
+async function createPromoCode() {
+  const [code, discountType, amount] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  let exitCode = 0;
+
+  if (!code || !['percentage', 'fixed'].includes(discountType) || !(parseFloat(amount) > 0)) {
+    console.error('Usage: node create-promo-code.js <CODE> <percentage|fixed> <amount> [options]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for promo code creation');
+
+    const promo = await PromoCode.create({
+      code,
+      discountType,
+      amount: parseFloat(amount),
+      maxDiscount: toNumber(getOption('max-discount')),
+      minOrderAmount: toNumber(getOption('min-order')),
+      usageLimit: toNumber(getOption('usage-limit')),
+      perCustomerLimit: toNumber(getOption('per-customer')),
+      firstOrderOnly: process.argv.includes('--first-order'),
+      startsAt: toDate(getOption('starts')),
+      expiresAt: toDate(getOption('expires'))
+    });
+
+    console.log(`Created promo code ${promo.code} (${promo.discountType} ${promo.amount})`);
+  } catch (error) {
+    console.error('Promo code creation failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    process.exitCode = exitCode;
+  }
+}
+
+createPromoCode();
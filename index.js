@@ -1,6 +1,20 @@
+const http = require('http');
 const app = require('./server');
+const { SocketService } = require('./services/SocketService');
+const { registerChatHandlers } = require('./sockets/chatHandlers');
+const { DispatchService } = require('./services/DispatchService');
+const { PayoutService } = require('./services/PayoutService');
+const { SchedulerService } = require('./services/SchedulerService');
+const { WalletService } = require('./services/WalletService');
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = http.createServer(app);
+SocketService.init(server, [registerChatHandlers]);
+
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  DispatchService.start();
+  PayoutService.start();
+  SchedulerService.start();
+  WalletService.start();
 });
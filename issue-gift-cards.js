@@ -0,0 +1,48 @@
+// issue-gift-cards.js - Create a batch of gift cards and print their codes
+// Usage: node issue-gift-cards.js <amount> [count] [--expires=YYYY-MM-DD] [--note="Spring campaign"]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { PromotionService } = require('./services/PromotionService');
+
+const getOption = (name) => {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function issueGiftCards() {
+  const [amountArg, countArg] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  const amount = parseFloat(amountArg);
+  const count = parseInt(countArg) || 1;
+  const expires = getOption('expires');
+  let exitCode = 0;
+
+  if (!(amount > 0)) {
+    console.error('Usage: node issue-gift-cards.js <amount> [count] [--expires=YYYY-MM-DD] [--note=...]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for gift card issue');
+
+    const cards = await PromotionService.issueGiftCards({
+      amount,
+      count,
+      expiresAt: expires ? new Date(expires) : null,
+      note: getOption('note')
+    });
+
+    console.log(`Issued ${cards.length} gift card(s) worth ${amount} each:`);
+    cards.forEach((card) => console.log(`  ${card.code}`));
+  } catch (error) {
+    console.error('Gift card issue failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    process.exitCode = exitCode;
+  }
+}
+
+issueGiftCards();
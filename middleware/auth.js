@@ -1,10 +1,84 @@
 const jwt = require('jsonwebtoken');
 const Driver = require('../models/Driver');
+const Sender = require('../models/senderReceiver');
+const Admin = require('../models/Admin');
+const { hasPermission } = require('../config/permissions');
+const { SessionService } = require('../services/SessionService');
 
-module.exports = async function(req, res, next) {
+// Look up the account behind a token for each actor type
+const loadActor = {
+    driver: async (decoded) => {
+        const driver = await Driver.findById(decoded.id);
+        if (!driver) {
+            return { error: 'Driver not found' };
+        }
+        if (driver.suspended) {
+            return { error: 'Account is suspended', status: 403 };
+        }
+        return { actor: driver };
+    },
+    customer: async (decoded) => {
+        const customer = await Sender.findById(decoded.id);
+        if (!customer || customer.deleted) {
+            return { error: 'Customer not found' };
+        }
+        if (customer.isBlocked) {
+            return { error: 'Account is blocked', status: 403 };
+        }
+        return { actor: customer };
+    },
+    admin: async (decoded) => {
+        const admin = await Admin.findById(decoded.id);
+        if (!admin || !admin.active) {
+            return { error: 'Admin not found' };
+        }
+        return { actor: admin };
+    }
+};
+
+// Verify a raw JWT and load the account behind it.
+// Returns { decoded, actor } or { error, status } when it can't be used.
+const verifyToken = async (tokenValue, allowedTypes = ['driver']) => {
+    const decoded = jwt.verify(tokenValue, process.env.JWT_SECRET);
+
+    if (!decoded.id || !allowedTypes.includes(decoded.type)) {
+        return { error: 'Invalid token' };
+    }
+
+    // Verify the account still exists and may sign in
+    const { actor, error, status } = await loadActor[decoded.type](decoded);
+    if (error) {
+        return { error, status };
+    }
+
+    // Tokens die with their session, and all of them when the account's
+    // tokenVersion is bumped (logout everywhere, password change, suspension).
+    // Tokens issued before sessions existed carry no tv or sid.
+    if ((decoded.tv || 0) !== (actor.tokenVersion || 0)) {
+        return { error: 'Session has been revoked' };
+    }
+    if (decoded.sid && !await SessionService.isSessionActive(decoded.sid, decoded.id)) {
+        return { error: 'Session has been revoked' };
+    }
+
+    return { decoded, actor };
+};
+
+// The caller as a typed principal. Back-office tokens resolve to their staff
+// role (admin or support); everyone else is their token type.
+const toPrincipal = (decoded, actor) => ({
+    type: decoded.type === 'admin' ? actor.role : decoded.type,
+    id: String(decoded.id)
+});
+
+// Build an auth middleware that accepts tokens of the given actor types.
+// Sets req.user (decoded token), req.actorType, req.principal, and
+// req.driver, req.customer or req.admin.
+// With `permissions`, the principal must also hold every one of them.
+const authenticate = (allowedTypes = ['driver'], permissions = []) => async function(req, res, next) {
     try {
         const token = req.header('Authorization');
-        
+
         if (!token) {
             return res.status(401).json({ msg: 'No token, authorization denied' });
         }
@@ -16,7 +90,7 @@ module.exports = async function(req, res, next) {
         }
 
         const decoded = jwt.verify(tokenValue, process.env.JWT_SECRET);
-        
+
         // For complete registration route, we allow temporary tokens
         if (req.path === '/register/complete' && decoded.step === 'verified_phone') {
             req.user = decoded;
@@ -25,22 +99,31 @@ module.exports = async function(req, res, next) {
         }
 
         // For all other routes, require full authentication
-        if (!decoded.id || decoded.type !== 'driver') {
-            return res.status(401).json({ msg: 'Invalid token' });
+        const { actor, error, status } = await verifyToken(tokenValue, allowedTypes);
+        if (error) {
+            return res.status(status || 401).json({ msg: error });
         }
 
-        // Optional: Verify driver still exists in database
-        const driver = await Driver.findById(decoded.id);
-        if (!driver) {
-            return res.status(401).json({ msg: 'Driver not found' });
+        const principal = toPrincipal(decoded, actor);
+        const missing = permissions.filter((permission) => !hasPermission(principal, permission));
+        if (missing.length > 0) {
+            return res.status(403).json({ msg: 'You do not have permission to do this' });
         }
 
         req.user = decoded;
-        req.driver = driver;
+        req.actorType = decoded.type;
+        req.principal = principal;
+        req[decoded.type] = actor;
         next();
-        
+
     } catch (error) {
         console.error('Auth middleware error:', error);
         res.status(401).json({ msg: 'Token is not valid' });
     }
-};
\ No newline at end of file
+};
+
+// Accept any kind of token and require the given permissions, e.g.
+// router.post('/:deliveryId/accept', authorize('deliveries:drive'), ...)
+const authorize = (...permissions) => authenticate(['driver', 'customer', 'admin'], permissions);
+
+module.exports = { authenticate, verifyToken, authorize };
@@ -0,0 +1,54 @@
+// migrate-driver-verification.js - Run this once so drivers verified before
+// background check review existed can keep going online
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { DOCUMENT_TYPES } = require('./services/DriverVerificationService');
+
+async function migrateDriverVerification() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for driver verification migration');
+
+    const drivers = mongoose.connection.db.collection('drivers');
+    const legacyDrivers = await drivers.find({
+      verified: true,
+      backgroundCheckStatus: { $ne: 'approved' }
+    }).toArray();
+    console.log(`Found ${legacyDrivers.length} verified drivers without an approved background check`);
+
+    const migratedAt = new Date();
+    for (const driver of legacyDrivers) {
+      const update = {
+        backgroundCheckStatus: 'approved',
+        verificationReview: { reviewedAt: migratedAt, reviewedBy: null, reason: 'Verified before background check review' }
+      };
+
+      // Their documents were accepted along with the account; record that so
+      // the review queue treats them as approved
+      for (const documentType of DOCUMENT_TYPES) {
+        const document = driver.documents?.[documentType];
+        if (document?.url && document.status !== 'approved' && document.status !== 'rejected') {
+          update[`documents.${documentType}.status`] = 'approved';
+          update[`documents.${documentType}.reviewedAt`] = migratedAt;
+        }
+      }
+
+      // Skip anyone an admin reviewed while this was running
+      const result = await drivers.updateOne(
+        { _id: driver._id, verified: true, backgroundCheckStatus: driver.backgroundCheckStatus },
+        { $set: update }
+      );
+      console.log(`${result.modifiedCount ? 'Approved' : 'Skipped'} driver ${driver._id} (was ${driver.backgroundCheckStatus || 'unset'})`);
+    }
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Migration completed, connection closed');
+  }
+}
+
+// Run the migration
+migrateDriverVerification();
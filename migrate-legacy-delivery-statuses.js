@@ -0,0 +1,56 @@
+// migrate-legacy-delivery-statuses.js - Run this once to close deliveries
+// still in the retired 'pending' and 'pending_payment' statuses
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const LEGACY_STATUSES = ['pending', 'pending_payment'];
+
+async function migrateLegacyDeliveryStatuses() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for legacy delivery status migration');
+
+    const deliveries = mongoose.connection.db.collection('deliveries');
+    const legacyDeliveries = await deliveries.find({ status: { $in: LEGACY_STATUSES } })
+      .project({ status: 1, 'escrow.active': 1 })
+      .toArray();
+    console.log(`Found ${legacyDeliveries.length} deliveries in a legacy status`);
+
+    // Nothing could move these forward any more, so they are cancelled the
+    // way the system would cancel them
+    for (const delivery of legacyDeliveries) {
+      const now = new Date();
+      const result = await deliveries.updateOne(
+        { _id: delivery._id, status: delivery.status },
+        {
+          $set: { status: 'cancelled', cancelledAt: now },
+          $push: {
+            statusHistory: {
+              from: delivery.status,
+              to: 'cancelled',
+              action: 'cancel',
+              actorType: 'system',
+              reason: 'legacy_status',
+              at: now
+            }
+          }
+        }
+      );
+      console.log(`${result.modifiedCount ? 'Cancelled' : 'Skipped'} delivery ${delivery._id} (was ${delivery.status})`);
+
+      // Money held on a legacy booking needs a person to decide where it goes
+      if (result.modifiedCount && delivery.escrow?.active) {
+        console.warn(`Delivery ${delivery._id} still has escrow held and needs a manual refund`);
+      }
+    }
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Migration completed, connection closed');
+  }
+}
+
+// Run the migration
+migrateLegacyDeliveryStatuses();
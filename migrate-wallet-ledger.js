@@ -0,0 +1,95 @@
+// migrate-wallet-ledger.js - Run this once to move legacy Wallet.earnings arrays into the ledger
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { LedgerService, PLATFORM_ACCOUNTS } = require('./services/LedgerService');
+
+// Where a duplicate wallet keeps its owner once detached
+const DETACHED_OWNER_FIELDS = {
+  customerId: 'legacyCustomerId',
+  driverId: 'legacyDriverId'
+};
+
+async function migrateWalletLedger() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for wallet ledger migration');
+
+    const wallets = mongoose.connection.db.collection('wallets');
+    const legacyWallets = await wallets.find({ earnings: { $exists: true } }).toArray();
+    console.log(`Found ${legacyWallets.length} wallets with a legacy earnings array`);
+
+    for (const legacy of legacyWallets) {
+      // A duplicate detached on an earlier run keeps its owner under a legacy field
+      const customerId = legacy.customerId || legacy.legacyCustomerId;
+      const ownerType = customerId ? 'customer' : 'driver';
+      const ownerField = customerId ? 'customerId' : 'driverId';
+      const ownerId = customerId || legacy.driverId || legacy.legacyDriverId;
+
+      if (!ownerId) {
+        console.log(`Skipping wallet ${legacy._id}: no owner`);
+        continue;
+      }
+
+      // Legacy wallets can be duplicated per owner; keep only one. A duplicate
+      // is detached from its owner so the opening entry lands on the survivor.
+      const survivor = await wallets.findOne({ [ownerField]: ownerId, _id: { $ne: legacy._id } });
+      const duplicate = !!survivor || !legacy[ownerField];
+
+      // The opening balance is copied aside before the cached balance is
+      // zeroed, so a rerun after a crash still knows it
+      const idempotencyKey = `legacy_wallet:${legacy._id}`;
+      const openingBalance = legacy.legacyOpeningBalance ?? legacy.balance ?? 0;
+      const journalPosted = await mongoose.connection.db.collection('transactions').findOne({ idempotencyKey });
+
+      // The ledger becomes the source of truth: zero the cached balance
+      // before the opening entry is added to it
+      if (!journalPosted) {
+        await wallets.updateOne(
+          { _id: legacy._id },
+          {
+            $set: { legacyOpeningBalance: openingBalance, balance: 0, ownerType },
+            ...(duplicate && legacy[ownerField] && { $rename: { [ownerField]: DETACHED_OWNER_FIELDS[ownerField] } })
+          }
+        );
+      }
+
+      // Carry the old balance over as one opening entry per legacy wallet
+      if (openingBalance !== 0) {
+        await LedgerService.postJournal({
+          legs: [
+            { account: { accountCode: PLATFORM_ACCOUNTS.CLEARING }, amount: -openingBalance, type: 'adjustment' },
+            { account: { ownerType, ownerId }, amount: openingBalance, type: 'adjustment' }
+          ],
+          description: 'Opening balance migrated from legacy earnings',
+          metadata: { legacyWalletId: legacy._id, legacyEntries: (legacy.earnings || []).length },
+          idempotencyKey
+        });
+      }
+
+      // Only now drop the legacy fields; until then a rerun picks this wallet up again
+      if (duplicate) {
+        await wallets.deleteOne({ _id: legacy._id });
+      } else {
+        await wallets.updateOne(
+          { _id: legacy._id },
+          { $unset: { earnings: 1, legacyOpeningBalance: 1 } }
+        );
+      }
+
+      console.log(`Migrated wallet ${legacy._id} (${ownerType} ${ownerId}): ${openingBalance}`);
+    }
+
+    const { mismatches } = await LedgerService.reconcile();
+    console.log(`Post-migration reconciliation: ${mismatches.length} mismatched wallets`);
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Migration completed, connection closed');
+  }
+}
+
+// Run the migration
+migrateWalletLedger();
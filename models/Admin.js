@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Back-office staff account (admins and support agents)
+const AdminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true
+  },
+  // admin: full back-office access; support: read-only lookups
+  role: {
+    type: String,
+    enum: ['admin', 'support'],
+    default: 'admin'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date,
+  // Bumped to invalidate every access token and session at once
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.password;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('Admin', AdminSchema);
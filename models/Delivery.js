@@ -53,6 +53,45 @@ const deliverySchema = new mongoose.Schema({
     }
   },
   
+  // What is being carried. Older bookings have no package details.
+  package: {
+    sizeClass: {
+      type: String,
+      enum: ['small', 'medium', 'large', 'extra_large']
+    },
+    weightKg: {
+      type: Number,
+      min: 0
+    },
+    dimensions: {
+      lengthCm: Number,
+      widthCm: Number,
+      heightCm: Number
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    fragile: {
+      type: Boolean,
+      default: false
+    },
+    perishable: {
+      type: Boolean,
+      default: false
+    },
+    category: {
+      type: String,
+      enum: ['documents', 'food', 'groceries', 'electronics', 'clothing', 'medical', 'furniture', 'appliances', 'other'],
+      default: 'other'
+    },
+    description: {
+      type: String,
+      default: ''
+    }
+  },
+
   // Vehicle and pricing fields
   vehicleType: {
     type: String,
@@ -64,6 +103,21 @@ const deliverySchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+
+  // Scheduler progress (see services/SchedulerService.js)
+  schedule: {
+    // When the delivery is offered to drivers, a lead time before scheduledTime
+    opensAt: Date,
+    openedAt: Date,
+    senderReminderSentAt: Date,
+    driverReminderSentAt: Date,
+    // Set when scheduledTime passed without the delivery being accepted or started
+    overdueAt: Date,
+    overdueReason: {
+      type: String,
+      enum: ['not_accepted', 'not_started']
+    }
+  },
   
   price: {
     type: Number,
@@ -75,12 +129,67 @@ const deliverySchema = new mongoose.Schema({
     default: 0
   },
   
-  // Status field with 'upcoming' added
+  // How the price was worked out (see utils/pricing.js)
+  pricing: {
+    quoteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceQuote'
+    },
+    city: String,
+    distanceKm: Number,
+    durationMinutes: Number,
+    breakdown: mongoose.Schema.Types.Mixed
+  },
+
+  // Promo code and wallet credit applied at booking (see services/PromotionService.js)
+  checkout: {
+    promoCode: String,
+    promoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    promoDiscount: {
+      type: Number,
+      default: 0
+    },
+    creditApplied: {
+      type: Number,
+      default: 0
+    },
+    amountDue: Number
+  },
+
+  // Allowed moves between statuses live in services/DeliveryStateMachine.js.
+  // Old 'pending' and 'pending_payment' records are closed by
+  // migrate-legacy-delivery-statuses.js.
   status: {
     type: String,
-    enum: ['upcoming', 'pending', 'accepted', 'in-transit', 'completed', 'cancelled', 'pending_payment'],
+    enum: ['upcoming', 'accepted', 'in-transit', 'completed', 'cancelled'],
     default: 'upcoming'
   },
+
+  // Every status change, oldest first
+  statusHistory: [{
+    from: String,
+    to: String,
+    action: String,
+    actorType: {
+      type: String,
+      enum: ['customer', 'driver', 'admin', 'support', 'system']
+    },
+    actorId: mongoose.Schema.Types.ObjectId,
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    reason: String,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
   
   // Escrow information
   escrow: {
@@ -96,7 +205,33 @@ const deliverySchema = new mongoose.Schema({
     fee: {
       type: Number,
       default: 0
-    }
+    },
+    // Customer funds currently held (price + escrow fee)
+    amount: {
+      type: Number,
+      default: 0
+    },
+    heldAt: Date,
+    verifiedAt: Date,
+    releasedAt: Date,
+    refundedAt: Date,
+    // Audit trail of every escrow transition
+    history: [{
+      from: String,
+      to: String,
+      action: String,
+      actorType: {
+        type: String,
+        enum: ['customer', 'driver', 'system']
+      },
+      actorId: mongoose.Schema.Types.ObjectId,
+      amount: Number,
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   
   // Receiver details
@@ -114,6 +249,66 @@ const deliverySchema = new mongoose.Schema({
       default: ''
     }
   },
+
+  // Ordered drop-offs for a multi-stop delivery. Empty for a single drop,
+  // otherwise dropoffLocation and receiverDetails mirror the last stop.
+  stops: [{
+    sequence: {
+      type: Number,
+      required: true
+    },
+    address: {
+      type: String,
+      required: true
+    },
+    lat: {
+      type: Number,
+      required: true
+    },
+    lng: {
+      type: Number,
+      required: true
+    },
+    receiverDetails: {
+      name: {
+        type: String,
+        required: true
+      },
+      phoneNumber: {
+        type: String,
+        required: true
+      },
+      note: {
+        type: String,
+        default: ''
+      }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending'
+    },
+    completedAt: Date,
+    // Why the driver couldn't deliver a failed stop
+    failure: {
+      reasonCode: String,
+      note: String
+    },
+    photos: {
+      dropOff: {
+        url: String,
+        publicId: String,
+        uploadedAt: Date,
+        filename: String
+      },
+      signature: {
+        url: String,
+        publicId: String,
+        uploadedAt: Date,
+        filename: String
+      }
+    }
+  }],
   
   // Timestamp fields
   acceptedAt: {
@@ -127,7 +322,154 @@ const deliverySchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+
+  cancelledAt: {
+    type: Date
+  },
+
+  // Final cancellation (the delivery is closed)
+  cancellation: {
+    cancelledBy: {
+      type: String,
+      enum: ['customer', 'driver']
+    },
+    cancelledById: mongoose.Schema.Types.ObjectId,
+    reasonCode: String,
+    note: String,
+    fee: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Drivers who dropped this job before it was re-offered
+  driverCancellations: [{
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    reasonCode: String,
+    note: String,
+    fee: Number,
+    cancelledAt: Date
+  }],
+
+  // Late-cancellation fees owed on this job. Recorded with the cancellation
+  // and posted to the ledger afterwards; failed posts are retried until
+  // chargedAt is set (see WalletService.retryCancellationFees).
+  cancellationFees: [{
+    actorType: {
+      type: String,
+      enum: ['customer', 'driver']
+    },
+    actorId: mongoose.Schema.Types.ObjectId,
+    // Driver compensated by a customer's fee
+    driverId: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    // When the cancelled assignment was accepted; part of the ledger idempotency key
+    acceptedAt: Date,
+    chargedAt: {
+      type: Date,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String
+  }],
+
+  // Simplified replay of the route actually driven, stored on completion
+  trip: {
+    path: [{
+      lat: Number,
+      lng: Number,
+      at: Date,
+      _id: false
+    }],
+    distanceKm: Number,
+    durationMinutes: Number,
+    idleStops: [{
+      lat: Number,
+      lng: Number,
+      startedAt: Date,
+      endedAt: Date,
+      durationMinutes: Number,
+      _id: false
+    }],
+    startedAt: Date,
+    endedAt: Date,
+    pingCount: Number,
+    summarizedAt: Date
+  },
+
+  // Public tracking link for the receiver
+  tracking: {
+    token: String
+  },
+
+  // Proofs required before the driver can complete the delivery
+  proofOfDelivery: {
+    photo: {
+      type: Boolean,
+      default: true
+    },
+    pin: {
+      type: Boolean,
+      default: false
+    },
+    signature: {
+      type: Boolean,
+      default: false
+    },
+    pinSentAt: Date,
+    pinVerifiedAt: Date,
+    pinAttempts: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Proactive dispatch progress and offer counters
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['idle', 'searching', 'assigned', 'exhausted', 'stopped'],
+      default: 'idle'
+    },
+    currentWave: {
+      type: Number,
+      default: 0
+    },
+    nextWaveAt: Date,
+    startedAt: Date,
+    offersMade: {
+      type: Number,
+      default: 0
+    },
+    offersDeclined: {
+      type: Number,
+      default: 0
+    },
+    offersExpired: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Collection evidence, for disputes about damage that was already there
+  pickup: {
+    arrivedAt: Date,
+    conditionNote: String
+  },
+
   photos: {
+    pickup: {
+      url: String,
+      publicId: String,
+      uploadedAt: Date,
+      filename: String
+    },
     dropOff: {
       url: String,
       publicId: String,
@@ -139,6 +481,12 @@ const deliverySchema = new mongoose.Schema({
       publicId: String,
       uploadedAt: Date,
       filename: String
+    },
+    signature: {
+      url: String,
+      publicId: String,
+      uploadedAt: Date,
+      filename: String
     }
   },
   
@@ -181,4 +529,17 @@ deliverySchema.index({ scheduledTime: 1 });
 // Compound index for finding available deliveries efficiently
 deliverySchema.index({ status: 1, driverId: 1 });
 
+// Public tracking link lookups
+deliverySchema.index({ 'tracking.token': 1 }, { unique: true, sparse: true });
+
+// Dispatcher sweep for deliveries due their next offer wave
+deliverySchema.index({ 'dispatch.status': 1, 'dispatch.nextWaveAt': 1 });
+
+// Scheduler sweeps for deliveries to open, remind about or flag
+deliverySchema.index({ status: 1, 'schedule.opensAt': 1 });
+deliverySchema.index({ status: 1, scheduledTime: 1 });
+
+// Range lookups on pickup position for driver matching
+deliverySchema.index({ status: 1, 'pickupLocation.lat': 1, 'pickupLocation.lng': 1 });
+
 module.exports = mongoose.model('Delivery', deliverySchema);
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A single job offer pushed to a driver by the dispatcher
+const DeliveryOfferSchema = new mongoose.Schema({
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  wave: {
+    type: Number,
+    required: true
+  },
+  distanceKm: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, { timestamps: true });
+
+// A driver is offered a given delivery at most once
+DeliveryOfferSchema.index({ deliveryId: 1, driverId: 1 }, { unique: true });
+DeliveryOfferSchema.index({ status: 1, expiresAt: 1 });
+DeliveryOfferSchema.index({ driverId: 1, status: 1 });
+
+module.exports = mongoose.model('DeliveryOffer', DeliveryOfferSchema);
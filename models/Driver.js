@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// An uploaded verification document and its admin review
+const uploadedDocument = () => ({
+  filename: String,
+  originalName: String,
+  mimetype: String,
+  size: Number,
+  url: String,
+  publicId: String,
+  uploadedAt: Date,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected']
+  },
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  rejectionReason: String
+});
+
 const DriverSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -50,10 +71,28 @@ const DriverSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Invite code the driver signed up with
   referralCode: {
     type: String,
     default: null
   },
+  // Driver who owns that invite code
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    default: null
+  },
+  referralRewardedAt: {
+    type: Date,
+    default: null
+  },
+  // The driver's own code to share with others (created on first use)
+  inviteCode: {
+    type: String,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
   registrationStep: {
     type: String,
     enum: ['verified_phone', 'basic_info_completed', 'earn_type_completed', 'documents_uploading', 'completed'],
@@ -62,51 +101,11 @@ const DriverSchema = new mongoose.Schema({
   
   // Document storage
   documents: {
-    driversLicense: {
-      filename: String,
-      originalName: String,
-      mimetype: String,
-      size: Number,
-      url: String,
-      publicId: String,
-      uploadedAt: Date
-    },
-    profilePhoto: {
-      filename: String,
-      originalName: String,
-      mimetype: String,
-      size: Number,
-      url: String,
-      publicId: String,
-      uploadedAt: Date
-    },
-    socialInsuranceNumber: {
-      filename: String,
-      originalName: String,
-      mimetype: String,
-      size: Number,
-      url: String,
-      publicId: String,
-      uploadedAt: Date
-    },
-    vehicleRegistration: {
-      filename: String,
-      originalName: String,
-      mimetype: String,
-      size: Number,
-      url: String,
-      publicId: String,
-      uploadedAt: Date
-    },
-    vehicleInsurance: {
-      filename: String,
-      originalName: String,
-      mimetype: String,
-      size: Number,
-      url: String,
-      publicId: String,
-      uploadedAt: Date
-    }
+    driversLicense: uploadedDocument(),
+    profilePhoto: uploadedDocument(),
+    socialInsuranceNumber: uploadedDocument(),
+    vehicleRegistration: uploadedDocument(),
+    vehicleInsurance: uploadedDocument()
   },
   
   // Existing fields
@@ -122,6 +121,14 @@ const DriverSchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  // Chat presence (set by the socket layer)
+  socketId: {
+    type: String,
+    default: null
+  },
+  lastSeen: {
+    type: Date
+  },
   location: {
     type: { 
       type: String, 
@@ -133,10 +140,15 @@ const DriverSchema = new mongoose.Schema({
       default: [0, 0]
     }
   },
+  // Rolling average of customer ratings (see services/RatingService.js)
   rating: {
     type: Number,
     default: 0
   },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
   totalDeliveries: {
     type: Number,
     default: 0
@@ -152,6 +164,29 @@ const DriverSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected', 'not_started'],
     default: 'not_started'
   },
+  // Latest admin decision on the driver's verification
+  verificationReview: {
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reason: String
+  },
+
+  // Suspended drivers cannot sign in or use the app until reactivated
+  suspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: Date,
+  suspensionReason: String,
+
+  // Bumped to invalidate every access token and session at once
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   
   // Community safety education completion
   safetyEducationCompleted: {
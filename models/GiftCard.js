@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Prepaid credit a customer redeems into their wallet
+const GiftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'redeemed', 'disabled'],
+    default: 'active'
+  },
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SenderReceiver',
+    default: null
+  },
+  redeemedAt: Date,
+  expiresAt: Date,
+  note: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('GiftCard', GiftCardSchema);
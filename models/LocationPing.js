@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Raw driver location pings while on a delivery (time-series collection).
+// Pings expire after the retention window; completed trips keep a
+// simplified copy on the delivery itself.
+const LOCATION_PING_RETENTION_DAYS = parseInt(process.env.LOCATION_PING_RETENTION_DAYS) || 30;
+
+const LocationPingSchema = new mongoose.Schema({
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    deliveryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Delivery',
+      required: true
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver',
+      required: true
+    }
+  },
+  lat: {
+    type: Number,
+    required: true
+  },
+  lng: {
+    type: Number,
+    required: true
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: LOCATION_PING_RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+LocationPingSchema.index({ 'meta.deliveryId': 1, recordedAt: 1 });
+
+module.exports = mongoose.model('LocationPing', LocationPingSchema);
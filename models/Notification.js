@@ -19,12 +19,19 @@ const NotificationSchema = new mongoose.Schema({
       'delivery_completed',
       'delivery_cancelled',
       'delivery_photo_required',
+      'delivery_photo_uploaded',
+      'delivery_reminder',
+      'delivery_stop_failed',
+      'driver_arrived',
+      'delivery_picked_up',
+      'escrow_update',
       
       // Driver registration notifications
       'registration_completed',
       'profile_updated',
       'document_uploaded',
       'document_verified',
+      'document_rejected',
       'verification_pending',
       'verification_approved',
       'verification_rejected',
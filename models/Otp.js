@@ -1,19 +1,35 @@
 const mongoose = require('mongoose');
 
+// A one-time code sent by SMS. Only a keyed hash of the code is stored
+// (see services/OtpService.js).
 const OtpSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: true
   },
-  code: {
+  codeHash: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['driver_registration', 'user_registration', 'password_reset'],
+    enum: ['driver_registration', 'user_registration', 'password_reset', 'delivery_confirmation'],
     default: 'driver_registration'
   },
+  // Set for delivery_confirmation PINs
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
+  // Wrong guesses against this code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -22,6 +38,7 @@ const OtpSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Create compound index for efficient queries
-OtpSchema.index({ phone: 1, code: 1, type: 1 });
+OtpSchema.index({ phone: 1, type: 1 });
+OtpSchema.index({ deliveryId: 1, type: 1 });
 
-module.exports = mongoose.model('Otp', OtpSchema);
\ No newline at end of file
+module.exports = mongoose.model('Otp', OtpSchema);
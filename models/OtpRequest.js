@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One OTP send, kept for an hour so sends can be rate limited per phone and per IP
+const OtpRequestSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  ip: String,
+  type: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+});
+
+OtpRequestSchema.index({ phone: 1, createdAt: -1 });
+OtpRequestSchema.index({ ip: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OtpRequest', OtpRequestSchema);
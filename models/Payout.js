@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const PayoutSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'paid', 'failed'],
+    default: 'requested'
+  },
+  // Only a masked view of the destination is stored
+  destination: {
+    type: { type: String, default: 'bank_account' },
+    accountHolder: String,
+    last4: String
+  },
+  provider: String,
+  providerReference: String,
+  failureReason: String,
+  statusHistory: [{
+    status: String,
+    at: { type: Date, default: Date.now },
+    note: String
+  }],
+  paidAt: Date,
+  failedAt: Date
+}, { timestamps: true });
+
+PayoutSchema.index({ driverId: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
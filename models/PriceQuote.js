@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const locationSchema = {
+  address: String,
+  lat: Number,
+  lng: Number
+};
+
+// A price shown to a customer, locked for a short time so the booking
+// is charged exactly what was quoted
+const PriceQuoteSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SenderReceiver',
+    required: true
+  },
+  pickupLocation: locationSchema,
+  dropoffLocation: locationSchema,
+  // Ordered drop-offs of a multi-stop quote
+  stops: [{ ...locationSchema, _id: false }],
+  vehicleType: {
+    type: String,
+    required: true
+  },
+  scheduledTime: Date,
+  city: String,
+  useEscrow: {
+    type: Boolean,
+    default: false
+  },
+  distanceKm: Number,
+  durationMinutes: Number,
+  price: {
+    type: Number,
+    required: true
+  },
+  totalCost: {
+    type: Number,
+    required: true
+  },
+  breakdown: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  }
+}, { timestamps: true });
+
+// Keep expired quotes around for a day for support lookups
+PriceQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+PriceQuoteSchema.index({ customerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceQuote', PriceQuoteSchema);
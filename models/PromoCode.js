@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const PromoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent (0-100) for percentage codes, dollars for fixed codes
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound on a percentage discount
+  maxDiscount: Number,
+  minOrderAmount: {
+    type: Number,
+    default: 0
+  },
+  // Total redemptions across all customers (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code on a delivery
+const PromoRedemptionSchema = new mongoose.Schema({
+  promoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SenderReceiver',
+    required: true
+  },
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  }
+}, { timestamps: true });
+
+PromoRedemptionSchema.index({ promoId: 1, customerId: 1 });
+PromoRedemptionSchema.index({ deliveryId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A rating left by one side of a completed delivery for the other
+const ReviewSchema = new mongoose.Schema({
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  reviewerType: {
+    type: String,
+    enum: ['customer', 'driver'],
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  revieweeType: {
+    type: String,
+    enum: ['customer', 'driver'],
+    required: true
+  },
+  revieweeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  tags: [String],
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, { timestamps: true });
+
+// Each side rates a delivery once
+ReviewSchema.index({ deliveryId: 1, reviewerType: 1 }, { unique: true });
+ReviewSchema.index({ revieweeType: 1, revieweeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of its current refresh token; the
+// token itself is only ever given to the client.
+const SessionSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ['driver', 'customer', 'admin'],
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deviceId: String,
+  deviceName: String,
+  userAgent: String,
+  ip: String,
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Recently rotated-out hashes, so a replayed refresh token can be spotted
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  // Owner's tokenVersion when the session was created
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String
+}, { timestamps: true });
+
+SessionSchema.index({ ownerType: 1, ownerId: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One leg of a double-entry journal. Every journal's legs sum to zero.
+const TransactionSchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  leg: {
+    type: Number,
+    required: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['delivery_earning', 'tip', 'commission', 'fee', 'payout', 'refund', 'adjustment', 'escrow', 'promo', 'gift_card', 'referral', 'credit'],
+    required: true
+  },
+  // Signed: positive credits the wallet, negative debits it
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Wallet balance straight after this leg was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    default: null
+  },
+  description: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set on journals that must never be posted twice (e.g. one earning per delivery)
+  idempotencyKey: String
+}, { timestamps: true });
+
+TransactionSchema.index({ walletId: 1, createdAt: -1 });
+TransactionSchema.index({ deliveryId: 1 });
+TransactionSchema.index(
+  { idempotencyKey: 1, leg: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
@@ -1,9 +1,21 @@
 const mongoose = require('mongoose');
 
+// Stored balance is a running cache of the wallet's Transaction ledger
 const WalletSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ['driver', 'customer', 'platform'],
+    default: 'driver'
+  },
   driverId: mongoose.Schema.Types.ObjectId,
-  balance: { type: Number, default: 0 },
-  earnings: [{ amount: Number, source: String, date: Date }]
-});
+  customerId: mongoose.Schema.Types.ObjectId,
+  // System accounts (ownerType 'platform'), e.g. 'platform_revenue'
+  accountCode: String,
+  balance: { type: Number, default: 0 }
+}, { timestamps: true });
 
-module.exports = mongoose.model('Wallet', WalletSchema);
\ No newline at end of file
+WalletSchema.index({ driverId: 1 }, { unique: true, partialFilterExpression: { driverId: { $type: 'objectId' } } });
+WalletSchema.index({ customerId: 1 }, { unique: true, partialFilterExpression: { customerId: { $type: 'objectId' } } });
+WalletSchema.index({ accountCode: 1 }, { unique: true, partialFilterExpression: { accountCode: { $type: 'string' } } });
+
+module.exports = mongoose.model('Wallet', WalletSchema);
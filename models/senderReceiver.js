@@ -45,6 +45,10 @@ const senderReceiverSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Rolling average of driver ratings (see services/RatingService.js)
+  rating: { type: Number, default: 5.0 },
+  ratingCount: { type: Number, default: 0 },
+
   currentLocation: {
     lat: Number,
     lng: Number,
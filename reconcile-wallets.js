@@ -0,0 +1,45 @@
+// reconcile-wallets.js - Check every wallet's stored balance against its ledger
+// Usage: node reconcile-wallets.js [--fix]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { LedgerService } = require('./services/LedgerService');
+
+async function reconcileWallets() {
+  const fix = process.argv.includes('--fix');
+  let exitCode = 0;
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB for wallet reconciliation');
+
+    const { checked, mismatches, unbalancedJournals } = await LedgerService.reconcile({ fix });
+
+    console.log(`Checked ${checked} wallets`);
+
+    if (mismatches.length > 0) {
+      exitCode = 1;
+      console.log(`${mismatches.length} wallet(s) out of balance${fix ? ' (fixed)' : ''}:`);
+      mismatches.forEach((m) => {
+        console.log(`  ${m.walletId} [${m.ownerType} ${m.ownerId}] stored=${m.storedBalance} ledger=${m.ledgerBalance} diff=${m.difference}`);
+      });
+    } else {
+      console.log('All wallet balances match their ledgers');
+    }
+
+    if (unbalancedJournals.length > 0) {
+      exitCode = 1;
+      console.log(`${unbalancedJournals.length} journal(s) do not sum to zero:`);
+      unbalancedJournals.forEach((j) => console.log(`  ${j._id} total=${j.total}`));
+    }
+  } catch (error) {
+    console.error('Reconciliation failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Reconciliation completed, connection closed');
+    process.exitCode = exitCode;
+  }
+}
+
+reconcileWallets();
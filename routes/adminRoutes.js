@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const { authorize } = require('../middleware/auth');
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// ===============================
+// AUTHENTICATION ROUTES
+// ===============================
+
+router.post('/auth/login', adminController.login);
+
+// ===============================
+// DRIVER VERIFICATION
+// ===============================
+
+// Review queue (?status=pending|approved|rejected|not_started|all)
+router.get('/drivers', authorize('drivers:read'), adminController.listDrivers);
+
+// A driver's profile and uploaded documents
+router.get('/drivers/:driverId', authorize('drivers:read'), adminController.getDriver);
+
+// Approve or reject one document
+router.post(
+  '/drivers/:driverId/documents/:documentType/review',
+  authorize('drivers:verify'),
+  body('decision').isIn(['approve', 'reject']).withMessage('decision must be approve or reject'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters'),
+  handleValidationErrors,
+  adminController.reviewDocument
+);
+
+// Move the background check along (final approval or rejection)
+router.post(
+  '/drivers/:driverId/background-check',
+  authorize('drivers:verify'),
+  body('status').isIn(['pending', 'approved', 'rejected']).withMessage('status must be pending, approved or rejected'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters'),
+  handleValidationErrors,
+  adminController.setBackgroundCheckStatus
+);
+
+// ===============================
+// ACCOUNT ACTIONS
+// ===============================
+
+// Suspend a driver (signs them out everywhere)
+router.post(
+  '/drivers/:driverId/suspend',
+  authorize('accounts:suspend'),
+  body('reason').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('reason is required (at most 500 characters)'),
+  handleValidationErrors,
+  adminController.suspendDriver
+);
+
+// Lift a driver's suspension
+router.post('/drivers/:driverId/reactivate', authorize('accounts:suspend'), adminController.reactivateDriver);
+
+// Block or unblock a customer (blocking signs them out everywhere)
+router.post(
+  '/customers/:customerId/block',
+  authorize('accounts:suspend'),
+  body('blocked').isBoolean({ strict: true }).withMessage('blocked must be true or false'),
+  handleValidationErrors,
+  adminController.setCustomerBlocked
+);
+
+// Sign a driver or customer out of every device
+router.post('/sessions/:ownerType/:ownerId/revoke', authorize('accounts:suspend'), adminController.revokeSessions);
+
+// ===============================
+// SUPPORT LOOKUPS
+// ===============================
+
+// Scheduled deliveries nobody has accepted or started in time
+router.get('/deliveries/overdue', authorize('deliveries:read_any'), adminController.listOverdueDeliveries);
+
+// Any delivery, for investigating customer or driver issues
+router.get('/deliveries/:deliveryId', authorize('deliveries:read_any'), adminController.getDelivery);
+
+module.exports = router;
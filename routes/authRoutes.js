@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const sessionController = require('../controllers/sessionController');
+const { authorize } = require('../middleware/auth');
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Sessions for every kind of account (drivers, customers and back-office staff).
+// Sign-in itself stays with each account type's own routes.
+
+// Swap a refresh token for a new token pair
+router.post(
+  '/refresh',
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required'),
+  handleValidationErrors,
+  sessionController.refresh
+);
+
+// Sign out this device
+router.post('/logout', authorize('sessions:manage'), sessionController.logout);
+
+// Sign out every device
+router.post('/logout-all', authorize('sessions:manage'), sessionController.logoutAll);
+
+// Signed-in devices
+router.get('/sessions', authorize('sessions:manage'), sessionController.getSessions);
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authorize('sessions:manage'), sessionController.revokeSession);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const authMiddleware = require('../middleware/auth'); 
+const { authorize } = require('../middleware/auth');
+
+// Chat participants only; ownership is checked per chat
+const authMiddleware = authorize('chats:use');
 const chatController = require('../controllers/chatController');
 
 router.post('/create-or-get', authMiddleware, chatController.getOrCreateChat);
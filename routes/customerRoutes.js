@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const customerAuthController = require('../controllers/customerAuthController');
+const { authorize } = require('../middleware/auth');
+
+const requireCustomer = authorize('customer:profile');
+
+// ===============================
+// AUTHENTICATION ROUTES
+// ===============================
+
+// Phone OTP sign-in / sign-up
+router.post('/auth/phone', customerAuthController.requestOtp);
+router.post('/auth/verify-otp', customerAuthController.verifyOtp);
+router.post('/auth/complete-profile', customerAuthController.completeProfile);
+
+// Social sign-in
+router.post('/auth/google', customerAuthController.googleLogin);
+router.post('/auth/apple', customerAuthController.appleLogin);
+
+// ===============================
+// PROTECTED ROUTES
+// ===============================
+
+router.get('/me', requireCustomer, customerAuthController.getProfile);
+router.put('/me', requireCustomer, customerAuthController.updateProfile);
+
+module.exports = router;
@@ -1,25 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const deliveryController = require('../controllers/deliveryController');
-const authMiddleware = require('../middleware/auth'); 
+const customerDeliveryController = require('../controllers/customerDeliveryController');
+const ratingController = require('../controllers/ratingController');
+const { authorize } = require('../middleware/auth');
+const { MAX_STOPS } = require('../services/DeliveryStopService');
+const { SIZE_CLASSES, ITEM_CATEGORIES } = require('../utils/packages');
+
+// Permissions (see config/permissions.js)
+const driverOnly = authorize('deliveries:drive');
+const customerOnly = authorize('deliveries:book');
+const participant = authorize('deliveries:participate');
+
+// Public tracking link for the receiver (no auth)
+router.get('/track/:token', customerDeliveryController.getPublicTracking);
 
 // Test route (for debugging)
-router.get('/test-schema', deliveryController.testDeliveryQuery);
+router.get('/test-schema', authorize('system:debug'), deliveryController.testDeliveryQuery);
 
 // Get all available delivery jobs for drivers
-router.get('/available', authMiddleware, deliveryController.getAvailableDeliveries);
+router.get('/available', driverOnly, deliveryController.getAvailableDeliveries);
+
+// Get the driver's active deliveries (several when batching)
+router.get('/active', driverOnly, deliveryController.getActiveDelivery);
+
+// Open deliveries along the driver's current trip that they could add
+router.get('/batch/suggestions', driverOnly, deliveryController.getBatchSuggestions);
 
-// Get active delivery for a driver (this was missing!)
-router.get('/active', authMiddleware, deliveryController.getActiveDelivery);
+// Pending dispatch offers for the driver
+router.get('/offers', driverOnly, deliveryController.getMyOffers);
 
 // Accept a delivery job
-router.post('/:deliveryId/accept', authMiddleware, deliveryController.acceptDelivery);
+router.post('/:deliveryId/accept', driverOnly, deliveryController.acceptDelivery);
+
+// Check in at the pickup
+router.post('/:deliveryId/pickup/arrive', driverOnly, deliveryController.arriveAtPickup);
+
+// Optional photo of the item as collected
+router.post('/:deliveryId/pickup/photo',
+  driverOnly,
+  deliveryController.getUploadMiddleware(),
+  deliveryController.uploadPickupPhoto
+);
 
-// Start a delivery
-router.post('/:deliveryId/start', authMiddleware, deliveryController.startDelivery);
+// Collect the item and start the delivery (body: conditionNote)
+router.post('/:deliveryId/start', driverOnly, deliveryController.startDelivery);
 
 // Complete a delivery
-router.post('/:deliveryId/complete', authMiddleware, deliveryController.completeDelivery);
+router.post('/:deliveryId/complete', driverOnly, deliveryController.completeDelivery);
 
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
@@ -273,28 +301,208 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Decline a dispatch offer
+router.post('/:deliveryId/decline', driverOnly, deliveryController.declineDelivery);
+
+// Cancel a delivery (sender or assigned driver)
+router.post('/:deliveryId/cancel', participant, deliveryController.cancelDelivery);
+
 // Upload drop-off photo
 router.post('/:deliveryId/upload-dropoff-photo', 
-  authMiddleware, 
+  driverOnly, 
   deliveryController.getUploadMiddleware(), 
   deliveryController.uploadDropOffPhoto
 );
 
 // Upload escrow photo
 router.post('/:deliveryId/upload-escrow-photo', 
-  authMiddleware, 
+  driverOnly, 
   deliveryController.getUploadMiddleware(), 
   deliveryController.uploadEscrowPhoto
 );
 
+// Upload the receiver's signature
+router.post('/:deliveryId/upload-signature',
+  driverOnly,
+  deliveryController.getUploadMiddleware(),
+  deliveryController.uploadSignature
+);
+
+// Proof photos for one stop of a multi-stop delivery
+router.post('/:deliveryId/stops/:stopId/photos/dropoff',
+  driverOnly,
+  deliveryController.getUploadMiddleware(),
+  deliveryController.uploadStopPhoto
+);
+router.post('/:deliveryId/stops/:stopId/photos/signature',
+  driverOnly,
+  deliveryController.getUploadMiddleware(),
+  deliveryController.uploadStopPhoto
+);
+
+// Mark a stop delivered
+router.post('/:deliveryId/stops/:stopId/complete', driverOnly, deliveryController.completeStop);
+
+// Mark a stop as not delivered (body: reasonCode, note)
+router.post('/:deliveryId/stops/:stopId/fail', driverOnly, deliveryController.failStop);
+
+// Confirm the receiver's delivery PIN
+router.post('/:deliveryId/proof/pin', driverOnly, deliveryController.verifyDeliveryPin);
+
+// Send the receiver a new delivery PIN (sender or assigned driver)
+router.post('/:deliveryId/proof/pin/resend', participant, deliveryController.resendDeliveryPin);
+
+// Trip replay as GeoJSON (assigned driver or sender)
+router.get('/:deliveryId/trip', participant, deliveryController.getTripReplay);
+
+// Tags available when rating the other side of a delivery
+router.get('/review-tags', participant, ratingController.getReviewTags);
+
+// Rate the other side of a completed delivery (once per side)
+router.post(
+  '/:deliveryId/review',
+  participant,
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('rating must be a whole number from 1 to 5'),
+  body('tags').optional().isArray({ max: 10 }).withMessage('tags must be an array'),
+  body('tags.*').optional().isString(),
+  body('comment').optional().isString().isLength({ max: 1000 }).withMessage('comment must be at most 1000 characters'),
+  handleValidationErrors,
+  ratingController.submitReview
+);
+
+// Reviews left on a delivery (sender or assigned driver)
+router.get('/:deliveryId/reviews', participant, ratingController.getDeliveryReviews);
+
 // Get delivery photos (optional - for viewing uploaded photos)
-router.get('/:deliveryId/photos', authMiddleware, deliveryController.getDeliveryPhotos);
+router.get('/:deliveryId/photos', driverOnly, deliveryController.getDeliveryPhotos);
 
 // Delete delivery photo (optional - for removing photos)
-router.delete('/:deliveryId/photos/:photoType', authMiddleware, deliveryController.deleteDeliveryPhoto);
+router.delete('/:deliveryId/photos/:photoType', driverOnly, deliveryController.deleteDeliveryPhoto);
 
 // Get a driver's delivery history
-router.get('/history', authMiddleware, deliveryController.getDriverDeliveryHistory);
-router.get('/active/debug', authMiddleware, deliveryController.getActiveDeliveryDebug);
-router.get('/:deliveryId/check-status', authMiddleware, deliveryController.checkAcceptanceStatus);
+router.get('/history', driverOnly, deliveryController.getDriverDeliveryHistory);
+router.get('/active/debug', driverOnly, deliveryController.getActiveDeliveryDebug);
+router.get('/:deliveryId/check-status', driverOnly, deliveryController.checkAcceptanceStatus);
+
+// ===============================
+// CUSTOMER (SENDER) ROUTES
+// ===============================
+
+// A single-drop booking's drop-off fields are only checked when no stops are sent
+const withoutStops = (path) => body(path).if(body('stops').not().exists());
+
+const locationValidation = (field, optional = false, base = body) => {
+  const chain = (path) => (optional ? base(path).optional() : base(path));
+  return [
+    chain(`${field}.address`).isString().trim().notEmpty().withMessage(`${field}.address is required`),
+    chain(`${field}.lat`).isFloat({ min: -90, max: 90 }).withMessage(`${field}.lat must be a valid latitude`),
+    chain(`${field}.lng`).isFloat({ min: -180, max: 180 }).withMessage(`${field}.lng must be a valid longitude`)
+  ];
+};
+
+const receiverStopValidation = [
+  body('stops.*.receiverDetails.name').isString().trim().notEmpty().withMessage('Each stop needs a receiver name'),
+  body('stops.*.receiverDetails.phoneNumber').isString().trim().notEmpty().withMessage('Each stop needs a receiver phone number'),
+  body('stops.*.receiverDetails.note').optional().isString().isLength({ max: 500 }).withMessage('Receiver note must be at most 500 characters')
+];
+
+// Ordered drop-offs of a multi-stop delivery. Bookings also need each
+// stop's receiver; quotes only need the locations.
+const stopsValidation = (withReceivers = true) => [
+  body('stops').optional().isArray({ min: 2, max: MAX_STOPS }).withMessage(`stops must list 2 to ${MAX_STOPS} drop-offs`),
+  body('stops.*.address').isString().trim().notEmpty().withMessage('Each stop needs an address'),
+  body('stops.*.lat').isFloat({ min: -90, max: 90 }).withMessage('Each stop needs a valid latitude'),
+  body('stops.*.lng').isFloat({ min: -180, max: 180 }).withMessage('Each stop needs a valid longitude'),
+  ...(withReceivers ? receiverStopValidation : [])
+];
+
+// What is being carried; optional, but a package needs at least its size class
+const packageValidation = [
+  body('package').optional().isObject().withMessage('package must be an object'),
+  body('package.sizeClass').if(body('package').exists()).isIn(SIZE_CLASSES).withMessage(`package.sizeClass must be one of: ${SIZE_CLASSES.join(', ')}`),
+  body('package.weightKg').optional().isFloat({ min: 0, max: 5000 }).withMessage('package.weightKg must be between 0 and 5000'),
+  body(['package.dimensions.lengthCm', 'package.dimensions.widthCm', 'package.dimensions.heightCm'])
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Package dimensions must be between 0 and 1000 cm'),
+  body('package.quantity').optional().isInt({ min: 1, max: 100 }).withMessage('package.quantity must be a whole number from 1 to 100'),
+  body(['package.fragile', 'package.perishable']).optional().isBoolean({ strict: true }).withMessage('Package flags must be booleans'),
+  body('package.category').optional().isIn(ITEM_CATEGORIES).withMessage(`package.category must be one of: ${ITEM_CATEGORIES.join(', ')}`),
+  body('package.description').optional().isString().isLength({ max: 500 }).withMessage('package.description must be at most 500 characters')
+];
+
+const bookingValidation = (optional = false) => {
+  const chain = (path) => (optional ? body(path).optional() : body(path));
+  const dropChain = (path) => (optional ? withoutStops(path).optional() : withoutStops(path));
+  return [
+    ...locationValidation('pickupLocation', optional),
+    ...locationValidation('dropoffLocation', optional, withoutStops),
+    ...stopsValidation(),
+    ...packageValidation,
+    chain('vehicleType').isIn(['motorcycle', 'car', 'van', 'truck']).withMessage('Invalid vehicle type'),
+    chain('scheduledTime')
+      .isISO8601()
+      .withMessage('scheduledTime must be an ISO 8601 date')
+      .custom((value) => new Date(value) > new Date(Date.now() - 60 * 1000))
+      .withMessage('scheduledTime cannot be in the past'),
+    dropChain('receiverDetails.name').isString().trim().notEmpty().withMessage('Receiver name is required'),
+    dropChain('receiverDetails.phoneNumber').isString().trim().notEmpty().withMessage('Receiver phone number is required'),
+    withoutStops('receiverDetails.note').optional().isString().isLength({ max: 500 }).withMessage('Receiver note must be at most 500 characters'),
+    body('useEscrow').optional().isBoolean({ strict: true }).withMessage('useEscrow must be a boolean'),
+    body('quoteId').optional().isMongoId().withMessage('Invalid quote ID'),
+    body('city').optional().isString().trim(),
+    body('promoCode').optional().isString().trim().isLength({ min: 3, max: 32 }).withMessage('Promo code must be between 3-32 characters'),
+    body('useWalletCredit').optional().isBoolean({ strict: true }).withMessage('useWalletCredit must be a boolean'),
+    body(['proofOfDelivery.photo', 'proofOfDelivery.pin', 'proofOfDelivery.signature'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Proof of delivery options must be booleans')
+  ];
+};
+
+// Pricing inputs for a quote
+const quoteValidation = [
+  ...locationValidation('pickupLocation'),
+  ...locationValidation('dropoffLocation', false, withoutStops),
+  ...stopsValidation(false),
+  body('vehicleType').isIn(['motorcycle', 'car', 'van', 'truck']).withMessage('Invalid vehicle type'),
+  body('scheduledTime').optional().isISO8601().withMessage('scheduledTime must be an ISO 8601 date'),
+  body('city').optional().isString().trim(),
+  body('useEscrow').optional().isBoolean({ strict: true }).withMessage('useEscrow must be a boolean')
+];
+
+// Price a delivery and lock the quote
+router.post('/quote', customerOnly, quoteValidation, handleValidationErrors, customerDeliveryController.quoteDelivery);
+
+// Check a promo code before booking
+router.post(
+  '/promos/validate',
+  customerOnly,
+  body('promoCode').isString().trim().notEmpty().withMessage('promoCode is required'),
+  body('orderTotal').isFloat({ min: 0 }).withMessage('orderTotal must be a positive number'),
+  handleValidationErrors,
+  customerDeliveryController.validatePromo
+);
+
+// Book a delivery
+router.post('/', customerOnly, bookingValidation(), handleValidationErrors, customerDeliveryController.createDelivery);
+
+// List the customer's deliveries
+router.get('/', customerOnly, customerDeliveryController.getMyDeliveries);
+
+// View one of the customer's deliveries
+router.get('/:deliveryId', customerOnly, customerDeliveryController.getMyDelivery);
+
+// Live tracking for one of the customer's deliveries
+router.get('/:deliveryId/tracking', customerOnly, customerDeliveryController.getTracking);
+
+// Edit a delivery before it is accepted
+router.patch('/:deliveryId', customerOnly, bookingValidation(true), handleValidationErrors, customerDeliveryController.updateMyDelivery);
+
+// Accept the driver's escrow photo
+router.post('/:deliveryId/escrow/verify', customerOnly, customerDeliveryController.verifyEscrow);
+
+// Reject the escrow photo (cancels the delivery and refunds the hold)
+router.post('/:deliveryId/escrow/dispute', customerOnly, customerDeliveryController.disputeEscrow);
+
 module.exports = router;
\ No newline at end of file
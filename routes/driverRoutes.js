@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const driverRegistrationController = require('../controllers/driverRegistrationController');
 const driverController = require('../controllers/driverController');
-const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const cloudinary = require('cloudinary').v2;
+const Driver = require('../models/Driver');
+const { DriverVerificationService } = require('../services/DriverVerificationService');
+
+const requireDriver = authorize('driver:profile');
 
 // ===============================
 // REGISTRATION FLOW ROUTES
@@ -37,29 +42,30 @@ router.delete('/register/document/:documentType', driverRegistrationController.d
 // ===============================
 
 router.post('/login', driverRegistrationController.login);
+router.post('/password/forgot', driverRegistrationController.requestPasswordReset);
+router.post('/password/reset', driverRegistrationController.resetPassword);
 
 // ===============================
 // PROTECTED ROUTES (Require full authentication)
 // ===============================
 
 // Legacy routes (keeping for backward compatibility)
-router.post('/upload-license', authMiddleware, driverController.uploadLicense);
-router.post('/verify-identity', authMiddleware, driverController.verifyIdentity);
+router.post('/upload-license', requireDriver, driverController.uploadLicense);
 
 // Profile management
-router.get('/profile', authMiddleware, driverController.getProfile);
-router.put('/profile', authMiddleware, driverController.updateProfile);
+router.get('/profile', requireDriver, driverController.getProfile);
+router.put('/profile', requireDriver, driverController.updateProfile);
 
 // Availability and status
-router.post('/availability', authMiddleware, driverController.setAvailability);
-router.get('/status', authMiddleware, driverController.getStatus);
+router.post('/availability', requireDriver, driverController.setAvailability);
+router.get('/status', requireDriver, driverController.getStatus);
 
 // Location updates
-router.post('/location', authMiddleware, driverController.updateLocation);
+router.post('/location', requireDriver, driverController.updateLocation);
 
 // Document management for verified drivers
 router.post('/documents/upload/:documentType', 
-  authMiddleware,
+  requireDriver,
   ...driverRegistrationController.getUploadMiddleware(),
   async (req, res) => {
     // This route allows verified drivers to update their documents
@@ -111,11 +117,15 @@ router.post('/documents/upload/:documentType',
         size: req.file.size,
         url: req.file.path,
         publicId: req.file.public_id,
-        uploadedAt: new Date()
+        uploadedAt: new Date(),
+        status: 'pending'
       };
 
       await driver.save();
 
+      // A new document needs its own review, so a reviewed driver goes back in the queue
+      await DriverVerificationService.reopenReview(driver._id);
+
       res.json({
         success: true,
         message: 'Document updated successfully',
@@ -146,7 +156,7 @@ router.post('/documents/upload/:documentType',
   }
 );
 
-router.delete('/documents/:documentType', authMiddleware, async (req, res) => {
+router.delete('/documents/:documentType', requireDriver, async (req, res) => {
   // This route allows verified drivers to delete their documents
   try {
     const { documentType } = req.params;
@@ -187,6 +197,9 @@ router.delete('/documents/:documentType', authMiddleware, async (req, res) => {
     driver.documents[documentType] = undefined;
     await driver.save();
 
+    // The review covered this document, so a reviewed driver goes back in the queue
+    await DriverVerificationService.reopenReview(driver._id);
+
     res.json({
       success: true,
       message: 'Document deleted successfully'
@@ -1,7 +1,10 @@
 // routes/notificationRoutes.js
 const express = require('express');
 const { body, query } = require('express-validator');
-const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+
+// Drivers and customers manage their own notifications
+const authMiddleware = authorize('notifications:manage');
 const notificationController = require('../controllers/notificationController');
 
 const router = express.Router();
@@ -2,10 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const routeController = require('../controllers/routeController');
-const authMiddleware = require('../middleware/auth'); 
+const { authorize } = require('../middleware/auth');
 
-// Protect all route routes with authentication
-router.use(authMiddleware);
+// Drivers only; each route is checked against its driver
+router.use(authorize('routes:manage'));
 
 // Get all routes assigned to the logged-in driver
 router.get('/', routeController.getAssignedRoutes);
@@ -2,17 +2,30 @@
 const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/walletController');
-const authMiddleware = require('../middleware/auth'); 
+const { authorize } = require('../middleware/auth');
 
-// Protect all wallet routes
-router.use(authMiddleware);
+// Every wallet route acts on the caller's own wallet
+router.use(authorize('wallet:read'));
 
-// Get the logged-in driver's wallet and earnings info
+// Get the logged-in user's wallet and recent ledger entries
 router.get('/', walletController.getEarnings);
 
-// Receive a tip for a specific driver 
-router.post('/tip/:driverId', walletController.receiveTip);
+// Full ledger history for the logged-in user's wallet
+router.get('/transactions', walletController.getTransactions);
 
-module.exports = router;
+// Tip the driver of a completed delivery (customers only)
+router.post('/tip/:driverId', authorize('wallet:tip'), walletController.receiveTip);
+
+// Redeem a gift card into the wallet (customers only)
+router.post('/gift-cards/redeem', authorize('wallet:redeem'), walletController.redeemGiftCard);
+
+// Invite code and referral rewards (drivers only)
+router.get('/referrals', authorize('referrals:read'), walletController.getReferrals);
 
+// Cash out the wallet balance (drivers only)
+router.post('/payouts', authorize('wallet:payout'), walletController.requestPayout);
 
+// Payout history (drivers only)
+router.get('/payouts', authorize('wallet:payout'), walletController.getPayouts);
+
+module.exports = router;
@@ -8,8 +8,10 @@ const deliveryRoutes = require("./routes/deliveryRoutes");
 const routeRoutes = require("./routes/routeRoutes");
 const walletRoutes = require("./routes/walletRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
-const authMiddleware = require("./middleware/auth");
 const chatRoutes = require("./routes/chatRoutes");
+const customerRoutes = require("./routes/customerRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const authRoutes = require("./routes/authRoutes");
 require("./models/User");
 
 dotenv.config();
@@ -18,26 +20,38 @@ const app = express();
 app.use(cors({ origin: "*" })); // Enable CORS for all origins
 app.use(express.json());
 
-// MongoDB connection
+// MongoDB connection. MONGO_URI must point at a replica set (or sharded
+// cluster): the wallet ledger posts every journal in a multi-document
+// transaction, which a standalone mongod rejects. For local development,
+// start mongod with --replSet rs0 and run rs.initiate() once.
 mongoose
   .connect(process.env.MONGO_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => {
+  .then(async () => {
     console.log("MongoDB connected");
+
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.error("MongoDB is running standalone: wallet, payout and escrow operations need a replica set (see Setup in README.md)");
+    }
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
   });
 
 // Routes
+app.use("/api/auth", authRoutes);
 app.use("/api/drivers", driverRoutes);
-app.use("/api/deliveries", authMiddleware, deliveryRoutes);
-app.use("/api/notifications", authMiddleware, notificationRoutes);
-app.use("/api/routes", authMiddleware, routeRoutes);
-app.use("/api/wallet", authMiddleware, walletRoutes);
-app.use("/api/chats", authMiddleware, chatRoutes);  
+app.use("/api/customers", customerRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/deliveries", deliveryRoutes);
+// Each router declares the permissions its routes need (config/permissions.js)
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/routes", routeRoutes);
+app.use("/api/wallet", walletRoutes);
+app.use("/api/chats", chatRoutes);  
 // In your main app.js or index.js, make sure you import all models
 // Health check
 app.get("/", (req, res) => {
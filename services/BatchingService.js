@@ -0,0 +1,192 @@
+// services/BatchingService.js
+const Delivery = require('../models/Delivery');
+const { haversineDistanceKm, boundingBox, pointToLatLng } = require('../utils/geo');
+const { getBatchLimits, getDeliveryLoad, getCompatibleVehicleTypes, canCarryPackage, canCarryDelivery } = require('../utils/vehicles');
+const { roundCurrency } = require('../utils/pricing');
+const { describePackage } = require('../utils/packages');
+
+// Statuses of the jobs a driver is carrying
+const ACTIVE_STATUSES = ['accepted', 'in-transit'];
+
+// Extra driving a batched delivery may add to the driver's current trip
+const MAX_DETOUR_KM = parseFloat(process.env.BATCH_MAX_DETOUR_KM) || 3;
+
+const SUGGESTION_LIMIT = 10;
+
+const batchError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const routeLengthKm = (points) => points.slice(1).reduce(
+  (sum, point, index) => sum + haversineDistanceKm(points[index], point),
+  0
+);
+
+// Drop-offs of a delivery still to be visited, in order
+const remainingDrops = (delivery) => {
+  if (!delivery.stops?.length) return [delivery.dropoffLocation];
+  return delivery.stops
+    .filter((stop) => stop.status === 'pending')
+    .sort((a, b) => a.sequence - b.sequence);
+};
+
+// Points left on a job: its pickup until it has started, then its drop-offs
+const remainingWaypoints = (delivery) => [
+  ...(delivery.status === 'accepted' ? [delivery.pickupLocation] : []),
+  ...remainingDrops(delivery)
+];
+
+// Cheapest extra distance from slotting a new job's pickup and drop-offs
+// into the trip, with the pickup before the drop-offs and the driver's
+// current position kept first
+const insertionDetourKm = (trip, pickup, drops) => {
+  const baseKm = routeLengthKm(trip);
+  let bestKm = Infinity;
+
+  for (let i = 1; i <= trip.length; i++) {
+    for (let j = i; j <= trip.length; j++) {
+      const route = [...trip.slice(0, i), pickup, ...trip.slice(i, j), ...drops, ...trip.slice(j)];
+      bestKm = Math.min(bestKm, routeLengthKm(route) - baseKm);
+    }
+  }
+  return Math.max(0, bestKm);
+};
+
+class BatchingService {
+
+  static async getActiveDeliveries(driverId) {
+    return Delivery.find({ driverId, status: { $in: ACTIVE_STATUSES } })
+      .populate('senderId', 'fullName email phone')
+      .sort({ acceptedAt: 1 });
+  }
+
+  // The driver's current trip: where they are, then every pickup and
+  // drop-off left on their jobs in the order they were accepted
+  static currentTrip(driver, activeDeliveries) {
+    const coordinates = driver.location?.coordinates;
+    const hasPosition = coordinates?.length === 2 && (coordinates[0] !== 0 || coordinates[1] !== 0);
+    return [
+      ...(hasPosition ? [pointToLatLng(driver.location)] : []),
+      ...activeDeliveries.flatMap(remainingWaypoints)
+    ];
+  }
+
+  // Jobs and load the driver is carrying against their limits
+  static summarize(driver, activeDeliveries) {
+    const { maxJobs, capacity } = getBatchLimits(driver.earnType);
+    return {
+      maxJobs,
+      capacity,
+      jobs: activeDeliveries.length,
+      load: activeDeliveries.reduce((sum, delivery) => sum + getDeliveryLoad(delivery), 0)
+    };
+  }
+
+  // Whether the driver can add `delivery` to the jobs they are carrying.
+  // Returns { ok, detourKm } or { ok: false, code, message }.
+  static evaluate(driver, delivery, activeDeliveries) {
+    if (!canCarryDelivery(driver.earnType, delivery)) {
+      return canCarryPackage(driver.earnType, delivery.package)
+        ? { ok: false, code: 'VEHICLE_INCOMPATIBLE', message: `This delivery needs a ${delivery.vehicleType}` }
+        : { ok: false, code: 'PACKAGE_TOO_LARGE', message: 'This package is too large or heavy for your vehicle' };
+    }
+
+    const batch = this.summarize(driver, activeDeliveries);
+
+    if (batch.jobs >= batch.maxJobs) {
+      return {
+        ok: false,
+        code: 'BATCH_FULL',
+        message: batch.maxJobs === 1
+          ? 'You already have an active delivery'
+          : `You can carry at most ${batch.maxJobs} deliveries at once`
+      };
+    }
+    if (batch.load + getDeliveryLoad(delivery) > batch.capacity) {
+      return {
+        ok: false,
+        code: 'BATCH_CAPACITY_EXCEEDED',
+        message: 'Not enough room for this delivery alongside your current jobs'
+      };
+    }
+    if (activeDeliveries.length === 0) {
+      return { ok: true, detourKm: 0 };
+    }
+
+    const trip = this.currentTrip(driver, activeDeliveries);
+    const detourKm = roundCurrency(insertionDetourKm(trip, delivery.pickupLocation, remainingDrops(delivery)));
+    if (detourKm > MAX_DETOUR_KM) {
+      return {
+        ok: false,
+        code: 'BATCH_OFF_ROUTE',
+        message: `This delivery is ${detourKm} km off your current route (limit ${MAX_DETOUR_KM} km)`
+      };
+    }
+    return { ok: true, detourKm };
+  }
+
+  // Throw if the driver can't take this delivery on top of their current
+  // jobs. Unknown deliveries are left for the accept transition to reject.
+  static async assertCanAccept(driver, deliveryId) {
+    const [delivery, activeDeliveries] = await Promise.all([
+      Delivery.findById(deliveryId).select('pickupLocation dropoffLocation stops vehicleType package').lean(),
+      Delivery.find({ driverId: driver._id, status: { $in: ACTIVE_STATUSES } })
+        .select('status pickupLocation dropoffLocation stops vehicleType package acceptedAt')
+        .sort({ acceptedAt: 1 })
+        .lean()
+    ]);
+    if (!delivery) return;
+
+    const result = this.evaluate(driver, delivery, activeDeliveries);
+    if (!result.ok) {
+      throw batchError(result.message, result.code);
+    }
+  }
+
+  // Open deliveries the driver could add to their current trip, least detour
+  // first. `filter` narrows the search (e.g. to deliveries open for dispatch).
+  static async suggest(driver, { filter = {}, limit = SUGGESTION_LIMIT } = {}) {
+    const activeDeliveries = await Delivery.find({ driverId: driver._id, status: { $in: ACTIVE_STATUSES } })
+      .select('status pickupLocation dropoffLocation stops vehicleType package acceptedAt')
+      .sort({ acceptedAt: 1 })
+      .lean();
+    const batch = this.summarize(driver, activeDeliveries);
+
+    if (activeDeliveries.length === 0 || batch.jobs >= batch.maxJobs) {
+      return { batch, deliveries: [] };
+    }
+
+    const vehicleTypes = getCompatibleVehicleTypes(driver.earnType);
+
+    // Pickups within the detour limit of any point on the trip
+    const boxes = this.currentTrip(driver, activeDeliveries).map((point) => boundingBox(point, MAX_DETOUR_KM));
+    const candidates = await Delivery.find({
+      status: 'upcoming',
+      driverId: null,
+      vehicleType: { $in: vehicleTypes },
+      'pickupLocation.lat': { $gte: Math.min(...boxes.map((box) => box.minLat)), $lte: Math.max(...boxes.map((box) => box.maxLat)) },
+      'pickupLocation.lng': { $gte: Math.min(...boxes.map((box) => box.minLng)), $lte: Math.max(...boxes.map((box) => box.maxLng)) },
+      ...filter
+    })
+    .populate('senderId', 'fullName email')
+    .lean();
+
+    const deliveries = candidates
+      .map((delivery) => ({ delivery, result: this.evaluate(driver, delivery, activeDeliveries) }))
+      .filter(({ result }) => result.ok)
+      .sort((a, b) => a.result.detourKm - b.result.detourKm)
+      .slice(0, limit)
+      .map(({ delivery, result }) => ({ ...delivery, packageSummary: describePackage(delivery.package), detourKm: result.detourKm }));
+
+    return { batch, deliveries };
+  }
+}
+
+module.exports = {
+  BatchingService,
+  ACTIVE_STATUSES,
+  MAX_DETOUR_KM
+};
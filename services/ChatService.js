@@ -0,0 +1,61 @@
+// services/ChatService.js
+const Chat = require('../models/Chat');
+const { SocketService } = require('./SocketService');
+
+const chatError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Message and read-receipt logic shared by the HTTP API and the socket layer
+class ChatService {
+
+  // Load a chat the user takes part in
+  static async getChatForParticipant(chatId, userId) {
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      throw chatError('Chat not found', 'CHAT_NOT_FOUND');
+    }
+    if (!chat.isParticipant(userId)) {
+      throw chatError('You are not a participant', 'NOT_PARTICIPANT');
+    }
+    return chat;
+  }
+
+  // Store a message and push it to the chat room
+  static async sendMessage(userId, chatId, { message, messageType, imageUrl }) {
+    const chat = await this.getChatForParticipant(chatId, userId);
+
+    const newMessage = chat.addMessage(userId, message, messageType, imageUrl);
+    await chat.save();
+
+    SocketService.emitToChat(chat._id, 'chat:message', { chatId: chat._id, message: newMessage });
+
+    return { chat, message: newMessage };
+  }
+
+  // Mark messages as read and push a read receipt to the chat room
+  static async markRead(userId, chatId, messageIds = []) {
+    const chat = await this.getChatForParticipant(chatId, userId);
+
+    const before = new Set(chat.messages.filter((msg) => msg.isRead).map((msg) => msg._id.toString()));
+    chat.markMessagesAsRead(userId, messageIds);
+    await chat.save();
+
+    const readMessages = chat.messages.filter((msg) => msg.isRead && !before.has(msg._id.toString()));
+
+    if (readMessages.length > 0) {
+      SocketService.emitToChat(chat._id, 'chat:read', {
+        chatId: chat._id,
+        readerId: userId,
+        messageIds: readMessages.map((msg) => msg._id),
+        readAt: readMessages[0].readAt
+      });
+    }
+
+    return chat;
+  }
+}
+
+module.exports = { ChatService };
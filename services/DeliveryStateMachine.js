@@ -0,0 +1,202 @@
+// services/DeliveryStateMachine.js
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const { NotificationService } = require('./NotificationService');
+const { DispatchService } = require('./DispatchService');
+const { ProofOfDeliveryService } = require('./ProofOfDeliveryService');
+const { TrackingService } = require('./TrackingService');
+const { TripService } = require('./TripService');
+const { pointToLatLng } = require('../utils/geo');
+
+// Every allowed status change: the statuses it starts from, where it ends,
+// who may trigger it and the timestamp field it sets
+const TRANSITIONS = {
+  accept: { from: ['upcoming'], to: 'accepted', actors: ['driver'], timestamp: 'acceptedAt' },
+  // The driver is at the pickup; the status stays accepted until collection
+  arrive: { from: ['accepted'], to: 'accepted', actors: ['driver'], timestamp: 'pickup.arrivedAt' },
+  // The driver has collected the item
+  start: { from: ['accepted'], to: 'in-transit', actors: ['driver'], timestamp: 'startedAt' },
+  complete: { from: ['in-transit'], to: 'completed', actors: ['driver'], timestamp: 'completedAt' },
+  // The assigned driver hands the job back to the pool
+  release: { from: ['accepted'], to: 'upcoming', actors: ['driver'] },
+  // Customers may only cancel in transit through an escrow dispute; the
+  // cancellation policy (utils/cancellationPolicy.js) decides the rest
+  cancel: {
+    from: ['upcoming', 'accepted', 'in-transit'],
+    to: 'cancelled',
+    actors: ['customer', 'admin', 'system'],
+    timestamp: 'cancelledAt'
+  }
+};
+
+// Which deliveries each kind of actor may move
+const ACTOR_FILTERS = {
+  driver: (action, actorId) => (action === 'accept' ? { driverId: null } : { driverId: actorId }),
+  customer: (action, actorId) => ({ senderId: actorId }),
+  admin: () => ({}),
+  system: () => ({})
+};
+
+const publishTracking = (delivery) => TrackingService.publishStatus(delivery);
+
+// Works for both populated and plain references
+const idOf = (ref) => ref?._id || ref;
+
+// Follow-ups run after a transition has been stored. They are best effort:
+// a failure is logged and never undoes the transition. Anything that has to
+// fail the request (money movements) stays with the caller.
+const SIDE_EFFECTS = {
+  accept: [
+    (delivery) => Driver.findByIdAndUpdate(delivery.driverId, { $inc: { totalDeliveries: 1 } }),
+    (delivery) => DispatchService.stopDispatch(delivery._id, 'assigned', delivery.driverId),
+    publishTracking,
+    (delivery) => NotificationService.notifyDeliveryAccepted(delivery.driverId, delivery)
+  ],
+  arrive: [
+    publishTracking,
+    (delivery) => NotificationService.notifyDriverArrived(idOf(delivery.senderId), delivery)
+  ],
+  start: [
+    (delivery) => (delivery.proofOfDelivery?.pin ? ProofOfDeliveryService.issuePin(delivery) : null),
+    publishTracking,
+    (delivery) => NotificationService.notifyDeliveryStarted(delivery.driverId, delivery),
+    (delivery) => NotificationService.notifyItemCollected(idOf(delivery.senderId), delivery)
+  ],
+  complete: [
+    publishTracking,
+    (delivery) => TripService.finalizeTrip(delivery)
+  ],
+  release: [
+    (delivery, { previous }) => Driver.findByIdAndUpdate(previous.driverId, { $inc: { totalDeliveries: -1 } }),
+    (delivery) => DispatchService.startDispatch(delivery._id),
+    publishTracking,
+    (delivery, { previous, reason }) => NotificationService.notifyDriverCancelled(previous.senderId, previous, reason)
+  ],
+  cancel: [
+    (delivery) => DispatchService.stopDispatch(delivery._id, 'stopped'),
+    publishTracking,
+    (delivery, { previous, reason }) => (
+      previous.driverId ? NotificationService.notifyDeliveryCancelled(previous.driverId, previous, reason) : null
+    )
+  ]
+};
+
+const transitionError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Where the actor was when they made the change: { lat, lng } from the
+// request body, else the driver's last known position
+const locationFromRequest = (req) => {
+  const lat = parseFloat(req.body?.lat);
+  const lng = parseFloat(req.body?.lng);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    return { lat, lng };
+  }
+  const coordinates = req.driver?.location?.coordinates;
+  if (coordinates && (coordinates[0] !== 0 || coordinates[1] !== 0)) {
+    return pointToLatLng(req.driver.location);
+  }
+  return undefined;
+};
+
+class DeliveryStateMachine {
+
+  static canTransition(delivery, action, actorType) {
+    const transition = TRANSITIONS[action];
+    return !!transition && transition.actors.includes(actorType) && transition.from.includes(delivery.status);
+  }
+
+  // First history entry for a newly booked delivery
+  static createdEntry(actor) {
+    return { from: null, to: 'upcoming', action: 'create', actorType: actor.type, actorId: actor.id, at: new Date() };
+  }
+
+  // Apply `action` to a delivery on behalf of `actor` ({ type, id }), record
+  // it in statusHistory and run its side effects. `set` and `push` add
+  // fields to the same update; `filter` narrows which delivery may match.
+  // Returns the updated delivery.
+  static async transition(deliveryId, action, {
+    actor,
+    location,
+    reason,
+    note,
+    set = {},
+    push = {},
+    filter = {},
+    populate = null
+  }) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      throw transitionError(`Unknown delivery action: ${action}`, 'INVALID_ACTION');
+    }
+    if (!transition.actors.includes(actor.type)) {
+      throw transitionError(`A ${actor.type} cannot ${action} a delivery`, 'TRANSITION_NOT_ALLOWED');
+    }
+
+    const scope = { _id: deliveryId, ...ACTOR_FILTERS[actor.type](action, actor.id), ...filter };
+    const previous = await Delivery.findOne(scope);
+    if (!previous) {
+      throw transitionError('Delivery not found', 'DELIVERY_NOT_FOUND');
+    }
+    if (!transition.from.includes(previous.status)) {
+      throw transitionError(`Cannot ${action} a delivery that is ${previous.status}`, 'INVALID_TRANSITION', {
+        status: previous.status
+      });
+    }
+
+    const now = new Date();
+    const entry = {
+      from: previous.status,
+      to: transition.to,
+      action,
+      actorType: actor.type,
+      actorId: actor.id,
+      location,
+      reason,
+      note,
+      at: now
+    };
+
+    // Conditional on the status we just read, so concurrent moves can't both win
+    let query = Delivery.findOneAndUpdate(
+      { ...scope, status: previous.status },
+      {
+        $set: {
+          status: transition.to,
+          ...(transition.timestamp && { [transition.timestamp]: now }),
+          ...set
+        },
+        $push: { statusHistory: entry, ...push }
+      },
+      { new: true }
+    );
+    if (populate) {
+      query = query.populate(...populate);
+    }
+
+    const delivery = await query;
+    if (!delivery) {
+      throw transitionError('Delivery changed at the same time, please try again', 'CONFLICT');
+    }
+
+    for (const effect of SIDE_EFFECTS[action]) {
+      try {
+        await effect(delivery, { previous, actor, reason });
+      } catch (effectError) {
+        console.error(`Failed to run ${action} side effect for delivery ${delivery._id}:`, effectError);
+      }
+    }
+
+    return delivery;
+  }
+}
+
+module.exports = {
+  DeliveryStateMachine,
+  TRANSITIONS,
+  locationFromRequest
+};
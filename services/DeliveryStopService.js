@@ -0,0 +1,172 @@
+// services/DeliveryStopService.js
+const Delivery = require('../models/Delivery');
+
+// Drop-offs allowed on one delivery
+const MAX_STOPS = parseInt(process.env.MAX_DELIVERY_STOPS) || 10;
+
+// Why a driver could not hand over at a stop
+const STOP_FAILURE_REASONS = ['receiver_unavailable', 'refused', 'wrong_address', 'access_issue', 'other'];
+
+// Stop photo types and where each is stored on the stop
+const STOP_PHOTO_FIELDS = {
+  dropoff: 'dropOff',
+  signature: 'signature'
+};
+
+const stopError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const findStop = (delivery, stopId) => delivery.stops.find((stop) => String(stop._id) === String(stopId));
+
+class DeliveryStopService {
+
+  // Stored stops from the booking input, numbered in the order given
+  static buildStops(input = []) {
+    return input.map((stop, index) => ({
+      sequence: index + 1,
+      address: stop.address,
+      lat: stop.lat,
+      lng: stop.lng,
+      receiverDetails: {
+        name: stop.receiverDetails.name,
+        phoneNumber: stop.receiverDetails.phoneNumber,
+        note: stop.receiverDetails.note || ''
+      }
+    }));
+  }
+
+  // Fill in stops for booking or edit input. The single-drop fields mirror
+  // the last stop so code that only knows about one drop-off keeps working.
+  static applyStops(fields) {
+    if (!Array.isArray(fields.stops)) return fields;
+
+    const stops = this.buildStops(fields.stops);
+    const last = stops[stops.length - 1];
+    return {
+      ...fields,
+      stops,
+      dropoffLocation: { address: last.address, lat: last.lat, lng: last.lng },
+      receiverDetails: last.receiverDetails
+    };
+  }
+
+  static isMultiStop(delivery) {
+    return delivery.stops?.length > 0;
+  }
+
+  // Stops the driver still has to deliver or resolve, in route order
+  static getOpenStops(delivery) {
+    return (delivery.stops || [])
+      .filter((stop) => stop.status === 'pending')
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  // Where the driver is heading next: the first open stop, else the drop-off
+  static nextDropPoint(delivery) {
+    return this.getOpenStops(delivery)[0] || delivery.dropoffLocation;
+  }
+
+  // Per-stop proofs required by the delivery's policy that are still missing
+  static getMissingStopProofs(delivery, stop) {
+    const policy = delivery.proofOfDelivery || {};
+    const missing = [];
+
+    if (policy.photo && !stop.photos?.dropOff?.url) missing.push('photo');
+    if (policy.signature && !stop.photos?.signature?.url) missing.push('signature');
+
+    return missing;
+  }
+
+  // In-transit delivery of the driver with the given stop
+  static async findStopForDriver(deliveryId, stopId, driverId) {
+    const delivery = await Delivery.findOne({ _id: deliveryId, driverId, status: 'in-transit' });
+    if (!delivery) {
+      throw stopError('Delivery not found or not in transit', 'DELIVERY_NOT_FOUND');
+    }
+    const stop = findStop(delivery, stopId);
+    if (!stop) {
+      throw stopError('Stop not found', 'STOP_NOT_FOUND');
+    }
+    return { delivery, stop };
+  }
+
+  // Store a proof photo on a pending stop. Returns the updated delivery and
+  // the public id of any photo it replaced, for the caller to clean up.
+  static async attachPhoto(deliveryId, stopId, driverId, photoType, photo) {
+    const field = STOP_PHOTO_FIELDS[photoType];
+    const { stop } = await this.findStopForDriver(deliveryId, stopId, driverId);
+    if (stop.status !== 'pending') {
+      throw stopError(`This stop is already ${stop.status}`, 'STOP_ALREADY_RESOLVED');
+    }
+
+    const delivery = await Delivery.findOneAndUpdate(
+      { _id: deliveryId, driverId, status: 'in-transit', stops: { $elemMatch: { _id: stopId, status: 'pending' } } },
+      { $set: { [`stops.$.photos.${field}`]: photo } },
+      { new: true }
+    );
+    if (!delivery) {
+      throw stopError('Stop changed at the same time, please try again', 'CONFLICT');
+    }
+
+    return { delivery, replacedPublicId: stop.photos?.[field]?.publicId || null };
+  }
+
+  // Mark a stop delivered once its proofs are in
+  static async completeStop(deliveryId, stopId, driverId) {
+    const { delivery: current, stop } = await this.findStopForDriver(deliveryId, stopId, driverId);
+    if (stop.status !== 'pending') {
+      throw stopError(`This stop is already ${stop.status}`, 'STOP_ALREADY_RESOLVED');
+    }
+
+    const missingProofs = this.getMissingStopProofs(current, stop);
+    if (missingProofs.length > 0) {
+      throw stopError(`Proof of delivery is incomplete: ${missingProofs.join(', ')} required`, 'STOP_PROOF_MISSING', {
+        missingProofs
+      });
+    }
+
+    return this.resolveStop(deliveryId, stopId, driverId, { 'stops.$.status': 'delivered' });
+  }
+
+  // Close a stop the driver could not deliver to
+  static async failStop(deliveryId, stopId, driverId, { reasonCode, note }) {
+    if (!STOP_FAILURE_REASONS.includes(reasonCode)) {
+      throw stopError(`reasonCode must be one of: ${STOP_FAILURE_REASONS.join(', ')}`, 'INVALID_REASON');
+    }
+
+    const { stop } = await this.findStopForDriver(deliveryId, stopId, driverId);
+    if (stop.status !== 'pending') {
+      throw stopError(`This stop is already ${stop.status}`, 'STOP_ALREADY_RESOLVED');
+    }
+
+    return this.resolveStop(deliveryId, stopId, driverId, {
+      'stops.$.status': 'failed',
+      'stops.$.failure': { reasonCode, note: note || '' }
+    });
+  }
+
+  // Conditional on the stop still being pending, so a double tap can't
+  // resolve it twice
+  static async resolveStop(deliveryId, stopId, driverId, set) {
+    const delivery = await Delivery.findOneAndUpdate(
+      { _id: deliveryId, driverId, status: 'in-transit', stops: { $elemMatch: { _id: stopId, status: 'pending' } } },
+      { $set: { ...set, 'stops.$.completedAt': new Date() } },
+      { new: true }
+    );
+    if (!delivery) {
+      throw stopError('Stop changed at the same time, please try again', 'CONFLICT');
+    }
+    return delivery;
+  }
+}
+
+module.exports = {
+  DeliveryStopService,
+  MAX_STOPS,
+  STOP_FAILURE_REASONS,
+  STOP_PHOTO_FIELDS
+};
@@ -0,0 +1,257 @@
+// services/DispatchService.js
+const Delivery = require('../models/Delivery');
+const DeliveryOffer = require('../models/DeliveryOffer');
+const Driver = require('../models/Driver');
+const { NotificationService } = require('./NotificationService');
+const { BatchingService, ACTIVE_STATUSES } = require('./BatchingService');
+const { haversineDistanceKm, pointToLatLng } = require('../utils/geo');
+const { getEarnTypesForDelivery } = require('../utils/vehicles');
+
+// Each wave widens the search radius and offers the job to a few more drivers
+const DISPATCH_WAVES = [
+  { radiusKm: 3, maxDrivers: 5 },
+  { radiusKm: 6, maxDrivers: 5 },
+  { radiusKm: 10, maxDrivers: 8 },
+  { radiusKm: 15, maxDrivers: 10 }
+];
+
+const WAVE_INTERVAL_MS = (parseInt(process.env.DISPATCH_WAVE_INTERVAL_SECONDS) || 60) * 1000;
+const OFFER_TTL_MS = (parseInt(process.env.DISPATCH_OFFER_TTL_SECONDS) || 90) * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+let sweepTimer = null;
+
+class DispatchService {
+
+  // Begin offering a newly available delivery to nearby drivers. Scheduled
+  // deliveries are left alone until their dispatch window opens.
+  static async startDispatch(deliveryId) {
+    const delivery = await Delivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        status: 'upcoming',
+        driverId: null,
+        'schedule.opensAt': { $not: { $gt: new Date() } }
+      },
+      {
+        'dispatch.status': 'searching',
+        'dispatch.currentWave': 0,
+        'dispatch.nextWaveAt': new Date(),
+        'dispatch.startedAt': new Date()
+      },
+      { new: true }
+    );
+
+    if (!delivery) return null;
+
+    return this.runWave(delivery);
+  }
+
+  // Stop offering a delivery; `acceptedBy` marks the winning driver's offer
+  static async stopDispatch(deliveryId, outcome = 'stopped', acceptedBy = null) {
+    const now = new Date();
+
+    if (acceptedBy) {
+      await DeliveryOffer.updateOne(
+        { deliveryId, driverId: acceptedBy, status: 'pending' },
+        { status: 'accepted', respondedAt: now }
+      );
+    }
+
+    await DeliveryOffer.updateMany(
+      { deliveryId, status: 'pending' },
+      { status: 'withdrawn', respondedAt: now }
+    );
+
+    await Delivery.updateOne(
+      { _id: deliveryId },
+      { 'dispatch.status': outcome, 'dispatch.nextWaveAt': null }
+    );
+  }
+
+  // Driver turns down an offer
+  static async declineOffer(deliveryId, driverId) {
+    const offer = await DeliveryOffer.findOneAndUpdate(
+      { deliveryId, driverId, status: 'pending' },
+      { status: 'declined', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (offer) {
+      await Delivery.updateOne({ _id: deliveryId }, { $inc: { 'dispatch.offersDeclined': 1 } });
+    }
+
+    return offer;
+  }
+
+  // Offer the delivery to the next batch of drivers
+  static async runWave(delivery) {
+    const waveIndex = delivery.dispatch.currentWave;
+
+    if (waveIndex >= DISPATCH_WAVES.length) {
+      const pending = await DeliveryOffer.countDocuments({ deliveryId: delivery._id, status: 'pending' });
+      if (pending === 0) {
+        await Delivery.updateOne(
+          { _id: delivery._id, 'dispatch.status': 'searching' },
+          { 'dispatch.status': 'exhausted', 'dispatch.nextWaveAt': null }
+        );
+        console.warn(`Dispatch exhausted for delivery ${delivery._id}`);
+      }
+      return [];
+    }
+
+    // Claim this wave so concurrent sweeps don't run it twice
+    const claimed = await Delivery.findOneAndUpdate(
+      { _id: delivery._id, 'dispatch.status': 'searching', 'dispatch.currentWave': waveIndex },
+      {
+        $inc: { 'dispatch.currentWave': 1 },
+        'dispatch.nextWaveAt': new Date(Date.now() + WAVE_INTERVAL_MS)
+      },
+      { new: true }
+    );
+
+    if (!claimed) return [];
+
+    const wave = DISPATCH_WAVES[waveIndex];
+    const drivers = await this.findCandidateDrivers(claimed, wave);
+    if (drivers.length === 0) return [];
+
+    const expiresAt = new Date(Date.now() + OFFER_TTL_MS);
+    const offers = [];
+
+    for (const { driver, distanceKm } of drivers) {
+      try {
+        const offer = await DeliveryOffer.create({
+          deliveryId: claimed._id,
+          driverId: driver._id,
+          wave: waveIndex + 1,
+          distanceKm,
+          expiresAt
+        });
+        offers.push(offer);
+      } catch (error) {
+        // Duplicate key: this driver already has an offer for the delivery
+        if (error.code !== 11000) throw error;
+        continue;
+      }
+
+      try {
+        await NotificationService.notifyDeliveryAvailable(driver._id, {
+          _id: claimed._id,
+          pickupAddress: claimed.pickupLocation.address,
+          dropoffAddress: claimed.dropoffLocation.address,
+          price: claimed.price,
+          distance: distanceKm
+        });
+      } catch (notificationError) {
+        console.error('Failed to send delivery offer notification:', notificationError);
+      }
+    }
+
+    if (offers.length > 0) {
+      await Delivery.updateOne({ _id: claimed._id }, { $inc: { 'dispatch.offersMade': offers.length } });
+    }
+
+    return offers;
+  }
+
+  // Available, verified drivers near the pickup who haven't seen this job
+  // yet and are either idle or can batch it with what they are carrying
+  static async findCandidateDrivers(delivery, wave) {
+    const alreadyOffered = await DeliveryOffer.distinct('driverId', { deliveryId: delivery._id });
+    const previouslyCancelled = (delivery.driverCancellations || []).map((c) => c.driverId);
+
+    const nearby = await Driver.find({
+      available: true,
+      verified: true,
+      earnType: { $in: getEarnTypesForDelivery(delivery) },
+      _id: { $nin: [...alreadyOffered, ...previouslyCancelled] },
+      location: {
+        $nearSphere: {
+          $geometry: {
+            type: 'Point',
+            coordinates: [delivery.pickupLocation.lng, delivery.pickupLocation.lat]
+          },
+          $maxDistance: wave.radiusKm * 1000
+        }
+      }
+    })
+    .limit(wave.maxDrivers * 2)
+    .select('_id earnType location');
+
+    if (nearby.length === 0) return [];
+
+    const activeDeliveries = await Delivery.find({
+      driverId: { $in: nearby.map((d) => d._id) },
+      status: { $in: ACTIVE_STATUSES }
+    })
+    .select('driverId status pickupLocation dropoffLocation stops vehicleType package acceptedAt')
+    .sort({ acceptedAt: 1 })
+    .lean();
+
+    const activeByDriver = new Map();
+    activeDeliveries.forEach((active) => {
+      const key = active.driverId.toString();
+      activeByDriver.set(key, [...(activeByDriver.get(key) || []), active]);
+    });
+
+    return nearby
+      .filter((driver) => BatchingService.evaluate(driver, delivery, activeByDriver.get(driver._id.toString()) || []).ok)
+      .slice(0, wave.maxDrivers)
+      .map((driver) => ({
+        driver,
+        distanceKm: Math.round(haversineDistanceKm(pointToLatLng(driver.location), delivery.pickupLocation) * 100) / 100
+      }));
+  }
+
+  // Expire stale offers and run any waves that are due
+  static async sweep() {
+    const now = new Date();
+
+    const staleOffers = await DeliveryOffer.find({ status: 'pending', expiresAt: { $lte: now } }).select('_id deliveryId');
+    for (const offer of staleOffers) {
+      const expired = await DeliveryOffer.findOneAndUpdate(
+        { _id: offer._id, status: 'pending' },
+        { status: 'expired' }
+      );
+      if (expired) {
+        await Delivery.updateOne({ _id: offer.deliveryId }, { $inc: { 'dispatch.offersExpired': 1 } });
+      }
+    }
+
+    const due = await Delivery.find({
+      'dispatch.status': 'searching',
+      'dispatch.nextWaveAt': { $lte: now }
+    });
+
+    for (const delivery of due) {
+      // Accepted or cancelled since the last wave
+      if (delivery.status !== 'upcoming' || delivery.driverId) {
+        await this.stopDispatch(delivery._id, delivery.driverId ? 'assigned' : 'stopped');
+        continue;
+      }
+      await this.runWave(delivery);
+    }
+  }
+
+  // Start the background sweep (call once from the process entry point)
+  static start() {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(() => {
+      this.sweep().catch((error) => console.error('Dispatch sweep error:', error));
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    console.log('Dispatch service started');
+  }
+
+  static stop() {
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  }
+}
+
+module.exports = { DispatchService, DISPATCH_WAVES };
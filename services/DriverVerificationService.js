@@ -0,0 +1,221 @@
+// services/DriverVerificationService.js
+const Driver = require('../models/Driver');
+const { NotificationService } = require('./NotificationService');
+
+const DOCUMENT_TYPES = ['driversLicense', 'profilePhoto', 'socialInsuranceNumber', 'vehicleRegistration', 'vehicleInsurance'];
+
+// Documents that must be approved before a driver can be approved
+const REQUIRED_DOCUMENTS = ['driversLicense', 'profilePhoto'];
+
+// Allowed background check moves. Drivers enter 'pending' when they finish
+// registration; a reviewed driver goes back to 'pending' when they resubmit
+// or change a document, and an approved driver can still be rejected later.
+const BACKGROUND_CHECK_TRANSITIONS = {
+  not_started: ['pending'],
+  pending: ['approved', 'rejected'],
+  rejected: ['pending'],
+  approved: ['pending', 'rejected']
+};
+
+const verificationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isUploaded = (document) => !!document?.url;
+
+class DriverVerificationService {
+
+  // A driver may only go online once an admin has approved them
+  static canGoAvailable(driver) {
+    return driver.verified === true && driver.backgroundCheckStatus === 'approved';
+  }
+
+  // Review state of every document slot
+  static summarizeDocuments(driver) {
+    return DOCUMENT_TYPES.map((documentType) => {
+      const document = driver.documents?.[documentType];
+      return {
+        documentType,
+        required: REQUIRED_DOCUMENTS.includes(documentType),
+        uploaded: isUploaded(document),
+        status: isUploaded(document) ? (document.status || 'pending') : null,
+        url: document?.url || null,
+        uploadedAt: document?.uploadedAt || null,
+        reviewedAt: document?.reviewedAt || null,
+        rejectionReason: document?.rejectionReason || null
+      };
+    });
+  }
+
+  // Drivers for the review queue, oldest submissions first
+  static async listDrivers({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const query = status ? { backgroundCheckStatus: status } : {};
+    const [drivers, total] = await Promise.all([
+      Driver.find(query)
+        .select('name email phone city earnType verified backgroundCheckStatus registrationStep createdAt updatedAt')
+        .sort({ updatedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Driver.countDocuments(query)
+    ]);
+    return { drivers, total };
+  }
+
+  static async getDriver(driverId) {
+    const driver = await Driver.findById(driverId).select('-password');
+    if (!driver) {
+      throw verificationError('Driver not found', 'DRIVER_NOT_FOUND');
+    }
+    return driver;
+  }
+
+  // Approve or reject a single uploaded document
+  static async reviewDocument(driverId, documentType, { decision, reason, adminId }) {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw verificationError('Invalid document type', 'INVALID_DOCUMENT_TYPE');
+    }
+    if (decision === 'reject' && !reason) {
+      throw verificationError('A reason is required to reject a document', 'REASON_REQUIRED');
+    }
+
+    const prefix = `documents.${documentType}`;
+    const driver = await Driver.findOneAndUpdate(
+      { _id: driverId, [`${prefix}.url`]: { $exists: true, $ne: null } },
+      {
+        [`${prefix}.status`]: decision === 'approve' ? 'approved' : 'rejected',
+        [`${prefix}.reviewedAt`]: new Date(),
+        [`${prefix}.reviewedBy`]: adminId,
+        [`${prefix}.rejectionReason`]: decision === 'approve' ? null : reason
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!driver) {
+      if (!await Driver.exists({ _id: driverId })) {
+        throw verificationError('Driver not found', 'DRIVER_NOT_FOUND');
+      }
+      throw verificationError('This document has not been uploaded', 'DOCUMENT_NOT_UPLOADED');
+    }
+
+    try {
+      if (decision === 'approve') {
+        await NotificationService.notifyDocumentVerified(driver._id, documentType);
+      } else {
+        await NotificationService.notifyDocumentRejected(driver._id, documentType, reason);
+      }
+    } catch (notificationError) {
+      console.error('Failed to send document review notification:', notificationError);
+    }
+
+    return driver;
+  }
+
+  // Move the driver's background check along. Approval requires every
+  // required document (and any other uploaded one) to be approved.
+  static async setBackgroundCheckStatus(driverId, status, { reason, adminId }) {
+    const driver = await this.getDriver(driverId);
+    const current = driver.backgroundCheckStatus || 'not_started';
+
+    if (!BACKGROUND_CHECK_TRANSITIONS[current]?.includes(status)) {
+      throw verificationError(`Cannot move background check from ${current} to ${status}`, 'INVALID_TRANSITION');
+    }
+    if (status === 'rejected' && !reason) {
+      throw verificationError('A reason is required to reject a driver', 'REASON_REQUIRED');
+    }
+
+    if (status === 'approved') {
+      const documents = this.summarizeDocuments(driver);
+      const outstanding = documents.filter((document) => (
+        (document.required && !document.uploaded) || (document.uploaded && document.status !== 'approved')
+      ));
+      if (outstanding.length > 0) {
+        throw verificationError(
+          `These documents must be approved first: ${outstanding.map((document) => document.documentType).join(', ')}`,
+          'DOCUMENTS_NOT_APPROVED'
+        );
+      }
+    }
+
+    const update = {
+      backgroundCheckStatus: status,
+      verificationReview: { reviewedAt: new Date(), reviewedBy: adminId, reason: reason || null }
+    };
+    if (status === 'approved') {
+      update.verified = true;
+    } else {
+      update.verified = false;
+      update.available = false;
+    }
+
+    // Guard against two admins deciding at once
+    const updated = await Driver.findOneAndUpdate(
+      { _id: driverId, backgroundCheckStatus: driver.backgroundCheckStatus },
+      update,
+      { new: true }
+    ).select('-password');
+
+    if (!updated) {
+      throw verificationError('Driver was updated by someone else, please reload', 'CONFLICT');
+    }
+
+    try {
+      if (status === 'approved') {
+        await NotificationService.notifyVerificationApproved(updated._id);
+      } else if (status === 'rejected') {
+        await NotificationService.notifyVerificationRejected(updated._id, reason);
+      } else {
+        await NotificationService.notifyVerificationPending(updated._id);
+      }
+    } catch (notificationError) {
+      console.error('Failed to send verification notification:', notificationError);
+    }
+
+    return updated;
+  }
+
+  // Queue a driver for review when they finish registering or resubmit
+  static async submitForReview(driverId) {
+    const driver = await Driver.findOneAndUpdate(
+      { _id: driverId, backgroundCheckStatus: { $in: ['not_started', 'rejected'] } },
+      { backgroundCheckStatus: 'pending' },
+      { new: true }
+    );
+
+    if (driver) {
+      try {
+        await NotificationService.notifyVerificationPending(driver._id);
+      } catch (notificationError) {
+        console.error('Failed to send verification pending notification:', notificationError);
+      }
+    }
+    return driver;
+  }
+
+  // Send a reviewed driver back to the queue after they replace or remove a
+  // document, taking them offline until an admin has looked again
+  static async reopenReview(driverId) {
+    const driver = await Driver.findOneAndUpdate(
+      { _id: driverId, backgroundCheckStatus: { $in: ['approved', 'rejected'] } },
+      { backgroundCheckStatus: 'pending', verified: false, available: false },
+      { new: true }
+    );
+
+    if (driver) {
+      try {
+        await NotificationService.notifyVerificationPending(driver._id);
+      } catch (notificationError) {
+        console.error('Failed to send verification pending notification:', notificationError);
+      }
+    }
+    return driver;
+  }
+}
+
+module.exports = {
+  DriverVerificationService,
+  DOCUMENT_TYPES,
+  REQUIRED_DOCUMENTS,
+  BACKGROUND_CHECK_TRANSITIONS
+};
@@ -0,0 +1,264 @@
+// services/EscrowService.js
+const Delivery = require('../models/Delivery');
+const { LedgerService, PLATFORM_ACCOUNTS } = require('./LedgerService');
+const { roundCurrency } = require('../utils/pricing');
+
+// Flat fee charged on top of the delivery price when escrow is used
+const ESCROW_FEE = parseFloat(process.env.ESCROW_FEE) || 5;
+
+// Allowed escrow transitions. Funds are held at booking (pending_verification),
+// verified once the customer accepts the escrow photo, then either released to
+// the driver on completion or refunded to the customer.
+const ESCROW_TRANSITIONS = {
+  verify: { from: ['pending_verification'], to: 'verified' },
+  reset: { from: ['verified'], to: 'pending_verification' },
+  release: { from: ['verified'], to: 'released' },
+  refund: { from: ['pending_verification', 'verified'], to: 'refunded' },
+  dispute: { from: ['pending_verification', 'verified'], to: 'refunded' }
+};
+
+const TIMESTAMP_FIELDS = {
+  verified: 'escrow.verifiedAt',
+  released: 'escrow.releasedAt',
+  refunded: 'escrow.refundedAt'
+};
+
+const escrowAccount = () => ({ accountCode: PLATFORM_ACCOUNTS.ESCROW });
+const clearingAccount = () => ({ accountCode: PLATFORM_ACCOUNTS.CLEARING });
+
+const escrowError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Run `update(session)` in the same transaction as `journal`, so the escrow
+// state and the money move together. `update` returns the updated delivery,
+// or null when the escrow is no longer in the expected state, which aborts
+// the journal with `notMatched`. If an earlier attempt already posted the
+// journal, the update runs on its own to bring the escrow in line.
+const updateWithJournal = async (journal, update, notMatched) => {
+  let updated = null;
+  const { posted } = await LedgerService.postJournal({
+    ...journal,
+    within: async (session) => {
+      updated = await update(session);
+      if (!updated) throw notMatched();
+    }
+  });
+
+  if (!posted) {
+    updated = await update(null);
+    if (!updated) throw notMatched();
+  }
+  return updated;
+};
+
+class EscrowService {
+
+  // Hold the customer's payment for a newly booked escrow delivery
+  static async hold(delivery, actor = {}) {
+    const amount = roundCurrency(delivery.totalCost);
+
+    return updateWithJournal(
+      {
+        legs: [
+          { account: clearingAccount(), amount: -amount, type: 'escrow' },
+          { account: escrowAccount(), amount, type: 'escrow' }
+        ],
+        deliveryId: delivery._id,
+        description: 'Escrow hold',
+        metadata: { customerId: delivery.senderId },
+        idempotencyKey: `escrow_hold:${delivery._id}`
+      },
+      (session) => Delivery.findOneAndUpdate(
+        { _id: delivery._id, 'escrow.active': { $ne: true } },
+        {
+          $set: {
+            'escrow.active': true,
+            'escrow.status': 'pending_verification',
+            'escrow.amount': amount,
+            'escrow.heldAt': new Date()
+          },
+          $push: {
+            'escrow.history': {
+              from: null,
+              to: 'pending_verification',
+              action: 'hold',
+              actorType: actor.actorType || 'customer',
+              actorId: actor.actorId || delivery.senderId,
+              amount
+            }
+          }
+        },
+        { new: true, session }
+      ),
+      () => escrowError('Escrow is already active for this delivery', 'ESCROW_ALREADY_ACTIVE')
+    );
+  }
+
+  // Re-size the hold after the customer edits a booking and it is re-quoted
+  static async adjustHold(delivery, newAmount, actor = {}) {
+    const amount = roundCurrency(newAmount);
+    const difference = roundCurrency(amount - (delivery.escrow.amount || 0));
+    if (difference === 0) return delivery;
+
+    // Matching on the history length keeps the idempotency key unique per adjustment
+    const historyLength = delivery.escrow.history?.length || 0;
+
+    return updateWithJournal(
+      {
+        legs: [
+          { account: clearingAccount(), amount: -difference, type: 'escrow' },
+          { account: escrowAccount(), amount: difference, type: 'escrow' }
+        ],
+        deliveryId: delivery._id,
+        description: 'Escrow hold adjusted',
+        metadata: { customerId: delivery.senderId, previousAmount: delivery.escrow.amount, amount },
+        idempotencyKey: `escrow_adjust:${delivery._id}:${historyLength + 1}`
+      },
+      (session) => Delivery.findOneAndUpdate(
+        {
+          _id: delivery._id,
+          'escrow.active': true,
+          'escrow.status': 'pending_verification',
+          'escrow.amount': delivery.escrow.amount,
+          'escrow.history': { $size: historyLength }
+        },
+        {
+          $set: { 'escrow.amount': amount },
+          $push: {
+            'escrow.history': {
+              from: 'pending_verification',
+              to: 'pending_verification',
+              action: 'adjust',
+              actorType: actor.actorType || 'customer',
+              actorId: actor.actorId || delivery.senderId,
+              amount: difference
+            }
+          }
+        },
+        { new: true, session }
+      ),
+      () => escrowError('Escrow hold changed while updating, please try again', 'ESCROW_CONFLICT')
+    );
+  }
+
+  // Apply a guarded transition and record it in the audit trail. With
+  // `journal(current)`, the transition commits together with the ledger
+  // journal it returns. Throws ESCROW_INVALID_TRANSITION when the escrow is
+  // not in an allowed state.
+  static async transition(deliveryId, action, { actorType = 'system', actorId = null, note, filter = {}, journal = null } = {}) {
+    const rule = ESCROW_TRANSITIONS[action];
+    if (!rule) {
+      throw new Error(`Unknown escrow action: ${action}`);
+    }
+
+    const current = await Delivery.findOne({ _id: deliveryId, 'escrow.active': true, ...filter });
+    if (!current) {
+      throw escrowError('No active escrow for this delivery', 'ESCROW_NOT_FOUND');
+    }
+
+    const from = current.escrow.status;
+    if (!rule.from.includes(from)) {
+      throw escrowError(`Cannot ${action} escrow while it is ${from}`, 'ESCROW_INVALID_TRANSITION');
+    }
+
+    const update = (session) => Delivery.findOneAndUpdate(
+      { _id: deliveryId, 'escrow.active': true, 'escrow.status': from, ...filter },
+      {
+        $set: {
+          'escrow.status': rule.to,
+          ...(TIMESTAMP_FIELDS[rule.to] && { [TIMESTAMP_FIELDS[rule.to]]: new Date() })
+        },
+        $push: {
+          'escrow.history': { from, to: rule.to, action, actorType, actorId, amount: current.escrow.amount, note }
+        }
+      },
+      { new: true, session }
+    );
+    const conflict = () => escrowError('Escrow changed while updating, please try again', 'ESCROW_CONFLICT');
+
+    if (journal) {
+      return updateWithJournal({ ...journal(current), deliveryId }, update, conflict);
+    }
+
+    const updated = await update(null);
+    if (!updated) {
+      throw conflict();
+    }
+    return updated;
+  }
+
+  // Customer accepts the escrow photo
+  static async verify(deliveryId, customerId) {
+    const current = await Delivery.findOne({ _id: deliveryId, senderId: customerId });
+    if (!current?.photos?.escrow?.url) {
+      throw escrowError('The driver has not uploaded an escrow photo yet', 'ESCROW_PHOTO_MISSING');
+    }
+
+    return this.transition(deliveryId, 'verify', {
+      actorType: 'customer',
+      actorId: customerId,
+      filter: { senderId: customerId }
+    });
+  }
+
+  // A new driver took over, so the escrow photo must be accepted again
+  static async reset(deliveryId, actor = {}) {
+    return this.transition(deliveryId, 'reset', { ...actor, note: 'Driver changed' });
+  }
+
+  // Pay out held funds on completion: the price goes through the normal
+  // delivery-earning flow and the escrow fee is kept by the platform
+  static async release(delivery, actor = {}) {
+    return this.transition(delivery._id, 'release', {
+      ...actor,
+      journal: (current) => {
+        const amount = current.escrow.amount;
+        const fee = roundCurrency(amount - current.price);
+        return {
+          legs: [
+            { account: escrowAccount(), amount: -amount, type: 'escrow' },
+            { account: clearingAccount(), amount: current.price, type: 'escrow' },
+            { account: { accountCode: PLATFORM_ACCOUNTS.REVENUE }, amount: fee, type: 'fee' }
+          ],
+          description: 'Escrow released',
+          metadata: { customerId: current.senderId, driverId: current.driverId },
+          idempotencyKey: `escrow_release:${delivery._id}`
+        };
+      }
+    });
+  }
+
+  // Return held funds to the customer's wallet (cancellation or dispute)
+  static async refund(delivery, { action = 'refund', ...actor } = {}) {
+    return this.transition(delivery._id, action, {
+      ...actor,
+      journal: (current) => {
+        const amount = current.escrow.amount;
+
+        // Promo discounts and wallet credit go back to clearing; PromotionService.reverseCheckout
+        // returns them to where they came from
+        const checkout = current.checkout || {};
+        const appliedAtCheckout = Math.min(amount, roundCurrency((checkout.promoDiscount || 0) + (checkout.creditApplied || 0)));
+        const legs = [
+          { account: escrowAccount(), amount: -amount, type: 'escrow' },
+          { account: { ownerType: 'customer', ownerId: current.senderId }, amount: roundCurrency(amount - appliedAtCheckout), type: 'refund' }
+        ];
+        if (appliedAtCheckout > 0) {
+          legs.push({ account: clearingAccount(), amount: appliedAtCheckout, type: 'escrow' });
+        }
+
+        return {
+          legs,
+          description: action === 'dispute' ? 'Escrow refunded (dispute)' : 'Escrow refunded',
+          metadata: { reason: actor.note },
+          idempotencyKey: `escrow_refund:${delivery._id}`
+        };
+      }
+    });
+  }
+}
+
+module.exports = { EscrowService, ESCROW_FEE, ESCROW_TRANSITIONS };
@@ -0,0 +1,192 @@
+// services/LedgerService.js
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const { roundCurrency } = require('../utils/pricing');
+
+// System accounts on the platform side of every journal
+const PLATFORM_ACCOUNTS = {
+  REVENUE: 'platform_revenue',       // commission and fees the platform keeps
+  CLEARING: 'platform_clearing',     // customer payments collected, not yet paid out
+  PAYOUTS: 'payout_clearing',        // driver funds held for payouts in flight
+  ESCROW: 'escrow_holding',          // customer funds held for escrow deliveries
+  PROMOTIONS: 'promotions_expense',  // promo discounts and referral rewards the platform funds
+  GIFT_CARDS: 'gift_card_liability'  // gift card value redeemed into customer wallets
+};
+
+const OWNER_FIELDS = {
+  driver: 'driverId',
+  customer: 'customerId'
+};
+
+// Wallet lookup filter for an account reference:
+// { ownerType: 'driver', ownerId } or { accountCode: 'platform_revenue' }
+const walletFilter = (account) => {
+  if (account.accountCode) {
+    return { accountCode: account.accountCode };
+  }
+  const ownerField = OWNER_FIELDS[account.ownerType];
+  if (!ownerField || !account.ownerId) {
+    throw new Error(`Invalid ledger account: ${JSON.stringify(account)}`);
+  }
+  return { [ownerField]: account.ownerId };
+};
+
+class LedgerService {
+
+  // Find or create the wallet behind an account reference
+  static async getOrCreateWallet(account, session = null) {
+    const filter = walletFilter(account);
+    return Wallet.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { ...filter, ownerType: account.accountCode ? 'platform' : account.ownerType, balance: 0 } },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  // Post a balanced journal atomically.
+  // legs: [{ account, amount, type, requireSufficientFunds? }] where the amounts sum to zero.
+  // A leg with requireSufficientFunds aborts the journal if it would overdraw its wallet.
+  // `within(session)` runs first inside the same transaction, for checks and
+  // writes that must commit or abort together with the journal; it may run
+  // more than once if the transaction is retried.
+  // Returns { posted, transactions }; posted is false if idempotencyKey was already used.
+  static async postJournal({ legs, deliveryId = null, description = '', metadata = {}, idempotencyKey = null, within = null }) {
+    const roundedLegs = legs.map((leg) => ({ ...leg, amount: roundCurrency(leg.amount) }));
+    const total = roundCurrency(roundedLegs.reduce((sum, leg) => sum + leg.amount, 0));
+    if (total !== 0) {
+      throw new Error(`Unbalanced journal (${description}): legs sum to ${total}`);
+    }
+
+    if (idempotencyKey && await Transaction.exists({ idempotencyKey })) {
+      return { posted: false, transactions: [] };
+    }
+
+    const journalId = new mongoose.Types.ObjectId();
+    const session = await mongoose.startSession();
+    let transactions = [];
+
+    try {
+      await session.withTransaction(async () => {
+        transactions = [];
+        if (within) {
+          await within(session);
+        }
+        for (const [index, leg] of roundedLegs.entries()) {
+          const wallet = await this.getOrCreateWallet(leg.account, session);
+          const updated = await Wallet.findByIdAndUpdate(
+            wallet._id,
+            { $inc: { balance: leg.amount } },
+            { new: true, session }
+          );
+
+          if (leg.requireSufficientFunds && roundCurrency(updated.balance) < 0) {
+            const error = new Error('Insufficient funds');
+            error.code = 'INSUFFICIENT_FUNDS';
+            throw error;
+          }
+
+          const [transaction] = await Transaction.create([{
+            journalId,
+            leg: index,
+            walletId: wallet._id,
+            type: leg.type,
+            amount: leg.amount,
+            balanceAfter: roundCurrency(updated.balance),
+            deliveryId,
+            description,
+            metadata,
+            idempotencyKey: idempotencyKey || undefined
+          }], { session });
+
+          transactions.push(transaction);
+        }
+      });
+    } catch (error) {
+      // Lost a race with an identical journal
+      if (error.code === 11000 && idempotencyKey) {
+        return { posted: false, transactions: [] };
+      }
+      console.error('Error posting ledger journal:', error);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return { posted: true, transactions };
+  }
+
+  // Balance computed from the ledger itself (not the cached wallet balance)
+  static async getLedgerBalance(walletId) {
+    const [result] = await Transaction.aggregate([
+      { $match: { walletId: new mongoose.Types.ObjectId(walletId) } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]);
+    return roundCurrency(result ? result.balance : 0);
+  }
+
+  // Paginated ledger entries for a wallet, newest first
+  static async getTransactions(walletId, { page = 1, limit = 20, type } = {}) {
+    const query = { walletId };
+    if (type) query.type = type;
+
+    const skip = (page - 1) * limit;
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query).sort({ createdAt: -1, leg: -1 }).skip(skip).limit(limit).lean(),
+      Transaction.countDocuments(query)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Compare every wallet's stored balance with its ledger and check journals balance.
+  // With fix: true, stored balances are reset to the ledger value.
+  static async reconcile({ fix = false } = {}) {
+    const ledgerTotals = await Transaction.aggregate([
+      { $group: { _id: '$walletId', balance: { $sum: '$amount' } } }
+    ]);
+    const ledgerByWallet = new Map(ledgerTotals.map((row) => [row._id.toString(), roundCurrency(row.balance)]));
+
+    const mismatches = [];
+    const wallets = Wallet.find({}).cursor();
+    let checked = 0;
+
+    for await (const wallet of wallets) {
+      checked++;
+      const ledgerBalance = ledgerByWallet.get(wallet._id.toString()) || 0;
+      const storedBalance = roundCurrency(wallet.balance || 0);
+
+      if (ledgerBalance !== storedBalance) {
+        mismatches.push({
+          walletId: wallet._id,
+          ownerType: wallet.ownerType,
+          ownerId: wallet.driverId || wallet.customerId || wallet.accountCode,
+          storedBalance,
+          ledgerBalance,
+          difference: roundCurrency(storedBalance - ledgerBalance)
+        });
+
+        if (fix) {
+          await Wallet.updateOne({ _id: wallet._id }, { balance: ledgerBalance });
+        }
+      }
+    }
+
+    const unbalancedJournals = await Transaction.aggregate([
+      { $group: { _id: '$journalId', total: { $sum: '$amount' } } },
+      { $match: { $expr: { $gt: [{ $abs: '$total' }, 0.005] } } }
+    ]);
+
+    return { checked, mismatches, unbalancedJournals };
+  }
+}
+
+module.exports = { LedgerService, PLATFORM_ACCOUNTS };
@@ -88,6 +88,38 @@ class NotificationService {
     );
   }
 
+  static async notifyDriverArrived(senderId, delivery) {
+    return this.createNotification(
+      senderId,
+      'driver_arrived',
+      'Driver Has Arrived',
+      `Your driver is at ${delivery.pickupLocation.address} to collect your item.`,
+      {
+        deliveryId: delivery._id,
+        pickupAddress: delivery.pickupLocation.address
+      },
+      { priority: 'high' }
+    );
+  }
+
+  static async notifyItemCollected(senderId, delivery) {
+    return this.createNotification(
+      senderId,
+      'delivery_picked_up',
+      'Item Collected',
+      delivery.pickup?.conditionNote
+        ? `Your driver has collected your item and noted: "${delivery.pickup.conditionNote}"`
+        : 'Your driver has collected your item and is on the way.',
+      {
+        deliveryId: delivery._id,
+        pickedUpAt: delivery.startedAt,
+        conditionNote: delivery.pickup?.conditionNote || null,
+        pickupPhotoUrl: delivery.photos?.pickup?.url || null
+      },
+      { priority: 'medium' }
+    );
+  }
+
   static async notifyDeliveryCompleted(driverId, delivery, earning) {
     return this.createNotification(
       driverId,
@@ -125,6 +157,53 @@ class NotificationService {
     );
   }
 
+  static async notifyDriverCancelled(senderId, delivery, reason) {
+    return this.createNotification(
+      senderId,
+      'delivery_cancelled',
+      'Driver Cancelled',
+      `Your driver had to cancel (${reason}). We're finding you a new driver.`,
+      {
+        deliveryId: delivery._id,
+        reason: reason
+      },
+      { priority: 'high' }
+    );
+  }
+
+  static async notifyPickupReminder(userId, delivery, recipient) {
+    const minutes = Math.max(0, Math.round((new Date(delivery.scheduledTime) - Date.now()) / 60000));
+    return this.createNotification(
+      userId,
+      'delivery_reminder',
+      'Pickup Coming Up',
+      recipient === 'driver'
+        ? `Your pickup at ${delivery.pickupLocation.address} is in about ${minutes} minutes.`
+        : `Your delivery is scheduled for pickup in about ${minutes} minutes.`,
+      {
+        deliveryId: delivery._id,
+        scheduledTime: delivery.scheduledTime,
+        pickupAddress: delivery.pickupLocation.address
+      },
+      { priority: 'high' }
+    );
+  }
+
+  static async notifyStopFailed(senderId, delivery, stop) {
+    return this.createNotification(
+      senderId,
+      'delivery_stop_failed',
+      'Drop-off Not Completed',
+      `Your driver could not complete the drop-off at ${stop.address} (${stop.failure.reasonCode}).`,
+      {
+        deliveryId: delivery._id,
+        stopId: stop._id,
+        reasonCode: stop.failure.reasonCode
+      },
+      { priority: 'high' }
+    );
+  }
+
   static async notifyPhotoRequired(driverId, delivery, photoType) {
     const photoTypeText = photoType === 'dropoff' ? 'drop-off' : 'pickup';
     return this.createNotification(
@@ -147,6 +226,20 @@ class NotificationService {
     );
   }
 
+  static async notifyEscrowUpdate(userId, delivery, title, message) {
+    return this.createNotification(
+      userId,
+      'escrow_update',
+      title,
+      message,
+      {
+        deliveryId: delivery._id,
+        escrowStatus: delivery.escrow?.status
+      },
+      { priority: 'high' }
+    );
+  }
+
   // REGISTRATION NOTIFICATIONS
   static async notifyRegistrationCompleted(driverId) {
     return this.createNotification(
@@ -202,6 +295,25 @@ class NotificationService {
     );
   }
 
+  static async notifyDocumentRejected(driverId, documentType, reason) {
+    const docTypeText = documentType.replace(/([A-Z])/g, ' $1').trim();
+    return this.createNotification(
+      driverId,
+      'document_rejected',
+      'Document Needs Attention',
+      `Your ${docTypeText} was not approved. ${reason}`,
+      { documentType: documentType, rejectionReason: reason },
+      {
+        priority: 'high',
+        actionButton: {
+          text: 'Upload Again',
+          action: 'update_documents',
+          data: { documentType: documentType }
+        }
+      }
+    );
+  }
+
   static async notifyVerificationPending(driverId) {
     return this.createNotification(
       driverId,
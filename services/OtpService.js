@@ -0,0 +1,154 @@
+// services/OtpService.js
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const OtpRequest = require('../models/OtpRequest');
+const { getSmsProvider } = require('./smsProviders');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = (parseInt(process.env.OTP_TTL_MINUTES) || 5) * 60 * 1000;
+
+// Wrong guesses allowed against one code before a new one must be requested
+const MAX_VERIFY_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Minimum gap between two codes to the same phone
+const RESEND_COOLDOWN_MS = (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+
+// Sends allowed per rolling hour
+const MAX_SENDS_PER_PHONE = parseInt(process.env.OTP_MAX_SENDS_PER_PHONE) || 5;
+const MAX_SENDS_PER_IP = parseInt(process.env.OTP_MAX_SENDS_PER_IP) || 20;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+const MESSAGES = {
+  driver_registration: (code) => `Your Errand driver verification code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes.`,
+  user_registration: (code) => `Your Errand verification code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes.`,
+  password_reset: (code) => `Your Errand password reset code is ${code}. If you did not ask to reset your password, ignore this message.`
+};
+
+const otpError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const generateCode = (length = OTP_LENGTH) => (
+  crypto.randomInt(10 ** (length - 1), 10 ** length).toString()
+);
+
+// Keyed so a leaked Otp collection can't be brute forced offline
+const hashCode = (phone, code) => crypto
+  .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.JWT_SECRET)
+  .update(`${phone}:${code}`)
+  .digest('hex');
+
+const codeMatches = (otpRecord, code) => {
+  const expected = Buffer.from(otpRecord.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(otpRecord.phone, String(code)), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Only plain strings and numbers may come from a request into an OTP
+// lookup; an object such as { $in: [...] } would match other phones
+const isPlainValue = (value) => (
+  (typeof value === 'string' || typeof value === 'number') && String(value).trim() !== ''
+);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+class OtpService {
+
+  // Generate a code for a phone and text it, replacing any earlier code of
+  // the same type. Enforces the resend cooldown and the per-phone and
+  // per-IP hourly limits.
+  static async send(phone, type, { ip = null } = {}) {
+    phone = String(phone);
+    const now = Date.now();
+
+    const previous = await Otp.findOne({ phone, type }).sort({ sentAt: -1 });
+    if (previous && now - previous.sentAt.getTime() < RESEND_COOLDOWN_MS) {
+      const retryAt = new Date(previous.sentAt.getTime() + RESEND_COOLDOWN_MS);
+      throw otpError(`Please wait ${secondsUntil(retryAt)} seconds before requesting another code`, 'OTP_COOLDOWN', {
+        retryAfter: secondsUntil(retryAt)
+      });
+    }
+
+    const windowStart = new Date(now - RATE_LIMIT_WINDOW_MS);
+    const [phoneSends, ipSends] = await Promise.all([
+      OtpRequest.countDocuments({ phone, createdAt: { $gt: windowStart } }),
+      ip ? OtpRequest.countDocuments({ ip, createdAt: { $gt: windowStart } }) : 0
+    ]);
+    if (phoneSends >= MAX_SENDS_PER_PHONE || ipSends >= MAX_SENDS_PER_IP) {
+      throw otpError('Too many codes requested, please try again later', 'OTP_RATE_LIMITED', {
+        retryAfter: RATE_LIMIT_WINDOW_MS / 1000
+      });
+    }
+
+    const code = generateCode();
+    const sentAt = new Date(now);
+    const expiresAt = new Date(now + OTP_TTL_MS);
+
+    await Otp.deleteMany({ phone, type });
+    await Otp.create({ phone, type, codeHash: hashCode(phone, code), sentAt, expiresAt });
+    await OtpRequest.create({ phone, ip, type });
+
+    try {
+      await getSmsProvider().sendSms({ to: phone, body: MESSAGES[type](code) });
+    } catch (error) {
+      // Don't leave the phone in cooldown for a code that never arrived
+      await Otp.deleteMany({ phone, type });
+      console.error('Failed to send OTP SMS:', error);
+      throw otpError('Could not send the verification code, please try again', 'SMS_FAILED');
+    }
+
+    return {
+      expiresAt,
+      resendAvailableAt: new Date(now + RESEND_COOLDOWN_MS)
+    };
+  }
+
+  // Check a code. A correct code is consumed; after MAX_VERIFY_ATTEMPTS
+  // wrong guesses the code is locked and a new one has to be sent.
+  static async verify(phone, type, code) {
+    phone = String(phone);
+    code = String(code);
+    const otpRecord = await Otp.findOne({ phone, type });
+    if (!otpRecord) {
+      throw otpError('Invalid OTP', 'OTP_INVALID');
+    }
+    if (otpRecord.expiresAt < new Date()) {
+      throw otpError('OTP expired', 'OTP_EXPIRED');
+    }
+
+    // Count the attempt first so parallel guesses can't exceed the cap
+    const counted = await Otp.findOneAndUpdate(
+      { _id: otpRecord._id, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!counted) {
+      throw otpError('Too many incorrect attempts, please request a new code', 'OTP_LOCKED');
+    }
+
+    if (!codeMatches(otpRecord, code)) {
+      const remaining = MAX_VERIFY_ATTEMPTS - counted.attempts;
+      throw otpError(
+        remaining > 0 ? `Invalid OTP. ${remaining} attempt(s) left.` : 'Too many incorrect attempts, please request a new code',
+        remaining > 0 ? 'OTP_INVALID' : 'OTP_LOCKED'
+      );
+    }
+
+    await Otp.deleteMany({ phone, type });
+    return true;
+  }
+}
+
+module.exports = {
+  OtpService,
+  OTP_TTL_MS,
+  MAX_VERIFY_ATTEMPTS,
+  RESEND_COOLDOWN_MS,
+  generateCode,
+  hashCode,
+  codeMatches,
+  isPlainValue
+};
@@ -0,0 +1,232 @@
+// services/PayoutService.js
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const { LedgerService, PLATFORM_ACCOUNTS } = require('./LedgerService');
+const { NotificationService } = require('./NotificationService');
+const { getPayoutProvider } = require('./payoutProviders');
+const { roundCurrency } = require('../utils/pricing');
+
+const PAYOUT_MIN_AMOUNT = parseFloat(process.env.PAYOUT_MIN_AMOUNT) || 10;
+const PAYOUT_DAILY_LIMIT = parseFloat(process.env.PAYOUT_DAILY_LIMIT) || 1000;
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+const driverAccount = (driverId) => ({ ownerType: 'driver', ownerId: driverId });
+
+let syncTimer = null;
+
+const payoutError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Ledger journals per status change:
+//   requested  driver -> payout_clearing (funds held)
+//   processing no money moves; recorded in statusHistory only
+//   paid       payout_clearing -> platform_clearing (cash left the platform)
+//   failed     payout_clearing -> driver (hold released)
+class PayoutService {
+
+  // Total requested today by the driver, excluding failed payouts
+  static async getRequestedToday(driverId, session = null) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    // Aggregations don't cast, so the id has to be an ObjectId here
+    const [result] = await Payout.aggregate([
+      {
+        $match: {
+          driverId: new mongoose.Types.ObjectId(driverId),
+          status: { $ne: 'failed' },
+          createdAt: { $gte: startOfDay }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+    return roundCurrency(result ? result.total : 0);
+  }
+
+  // Validate, hold the funds and hand the payout to the provider
+  static async requestPayout(driverId, rawAmount, destination) {
+    const amount = roundCurrency(rawAmount);
+
+    if (!(amount >= PAYOUT_MIN_AMOUNT)) {
+      throw payoutError(`Minimum payout is ${PAYOUT_MIN_AMOUNT}`, 'BELOW_MINIMUM');
+    }
+
+    // The limit check, the payout record and the hold commit together. Two
+    // parallel requests both debit the driver's wallet, so one transaction
+    // conflicts and is retried, and its retry sees the other payout.
+    const payoutId = new mongoose.Types.ObjectId();
+    await LedgerService.postJournal({
+      legs: [
+        { account: driverAccount(driverId), amount: -amount, type: 'payout', requireSufficientFunds: true },
+        { account: { accountCode: PLATFORM_ACCOUNTS.PAYOUTS }, amount, type: 'payout' }
+      ],
+      description: 'Payout requested (funds held)',
+      metadata: { payoutId, status: 'requested' },
+      idempotencyKey: `payout_hold:${payoutId}`,
+      within: async (session) => {
+        const requestedToday = await this.getRequestedToday(driverId, session);
+        if (requestedToday + amount > PAYOUT_DAILY_LIMIT) {
+          throw payoutError(
+            `Daily payout limit is ${PAYOUT_DAILY_LIMIT}; ${roundCurrency(PAYOUT_DAILY_LIMIT - requestedToday)} remaining today`,
+            'DAILY_LIMIT_EXCEEDED'
+          );
+        }
+
+        await Payout.create([{
+          _id: payoutId,
+          driverId,
+          amount,
+          destination: {
+            type: 'bank_account',
+            accountHolder: destination.accountHolder,
+            last4: String(destination.accountNumber).slice(-4)
+          },
+          provider: getPayoutProvider().name,
+          statusHistory: [{ status: 'requested' }]
+        }], { session });
+      }
+    });
+    const payout = await Payout.findById(payoutId);
+
+    try {
+      const result = await getPayoutProvider().createPayout({
+        payoutId: payout._id.toString(),
+        amount,
+        currency: payout.currency,
+        destination
+      });
+      payout.providerReference = result.reference;
+      await payout.save();
+      return this.applyProviderStatus(payout, result);
+    } catch (error) {
+      console.error('Payout provider error:', error);
+      return this.applyProviderStatus(payout, { status: 'failed', failureReason: 'Payout provider unavailable' });
+    }
+  }
+
+  // Move a payout to the provider-reported status and post the matching journal
+  static async applyProviderStatus(payout, { status, failureReason }) {
+    if (status === payout.status || ['paid', 'failed'].includes(payout.status)) {
+      return payout;
+    }
+
+    // Claim the transition so a concurrent sync can't apply it twice
+    const claim = (session = null) => Payout.findOneAndUpdate(
+      { _id: payout._id, status: payout.status },
+      {
+        status,
+        failureReason: failureReason || undefined,
+        ...(status === 'paid' && { paidAt: new Date() }),
+        ...(status === 'failed' && { failedAt: new Date() }),
+        $push: { statusHistory: { status, note: failureReason } }
+      },
+      { new: true, session }
+    );
+
+    // Settling or releasing the hold commits together with the claim
+    const journal = {
+      paid: {
+        legs: [
+          { account: { accountCode: PLATFORM_ACCOUNTS.PAYOUTS }, amount: -payout.amount, type: 'payout' },
+          { account: { accountCode: PLATFORM_ACCOUNTS.CLEARING }, amount: payout.amount, type: 'payout' }
+        ],
+        description: 'Payout paid',
+        metadata: { payoutId: payout._id, status: 'paid', providerReference: payout.providerReference },
+        idempotencyKey: `payout_settle:${payout._id}`
+      },
+      failed: {
+        legs: [
+          { account: { accountCode: PLATFORM_ACCOUNTS.PAYOUTS }, amount: -payout.amount, type: 'payout' },
+          { account: driverAccount(payout.driverId), amount: payout.amount, type: 'payout' }
+        ],
+        description: 'Payout failed (funds returned)',
+        metadata: { payoutId: payout._id, status: 'failed', failureReason },
+        idempotencyKey: `payout_release:${payout._id}`
+      }
+    }[status];
+
+    let claimed = null;
+    if (journal) {
+      try {
+        const { posted } = await LedgerService.postJournal({
+          ...journal,
+          within: async (session) => {
+            claimed = await claim(session);
+            if (!claimed) {
+              throw payoutError('Payout was updated by another sync', 'CONFLICT');
+            }
+          }
+        });
+        // An earlier attempt posted the journal but not the claim
+        if (!posted) {
+          claimed = await claim();
+        }
+      } catch (error) {
+        if (error.code !== 'CONFLICT') throw error;
+        claimed = null;
+      }
+    } else {
+      claimed = await claim();
+    }
+
+    if (!claimed) {
+      return Payout.findById(payout._id);
+    }
+
+    if (status === 'paid') {
+      try {
+        await NotificationService.notifyPaymentSuccess(claimed.driverId, claimed.amount, 'your payout');
+      } catch (notificationError) {
+        console.error('Failed to send payout success notification:', notificationError);
+      }
+    }
+
+    if (status === 'failed') {
+      try {
+        await NotificationService.notifyPaymentFailed(claimed.driverId, failureReason || 'payout failed');
+      } catch (notificationError) {
+        console.error('Failed to send payout failure notification:', notificationError);
+      }
+    }
+
+    return claimed;
+  }
+
+  // Poll the provider for payouts still in flight
+  static async syncPending() {
+    const pending = await Payout.find({ status: 'processing', providerReference: { $ne: null } });
+
+    for (const payout of pending) {
+      try {
+        const result = await getPayoutProvider().getPayoutStatus(payout.providerReference);
+        await this.applyProviderStatus(payout, result);
+      } catch (error) {
+        console.error(`Failed to sync payout ${payout._id}:`, error);
+      }
+    }
+  }
+
+  // Start the background status sync (call once from the process entry point)
+  static start() {
+    if (syncTimer) return;
+
+    syncTimer = setInterval(() => {
+      this.syncPending().catch((error) => console.error('Payout sync error:', error));
+    }, SYNC_INTERVAL_MS);
+    syncTimer.unref();
+
+    console.log('Payout sync started');
+  }
+
+  static stop() {
+    if (syncTimer) {
+      clearInterval(syncTimer);
+      syncTimer = null;
+    }
+  }
+}
+
+module.exports = { PayoutService, PAYOUT_MIN_AMOUNT, PAYOUT_DAILY_LIMIT };
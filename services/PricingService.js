@@ -0,0 +1,177 @@
+// services/PricingService.js
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const PriceQuote = require('../models/PriceQuote');
+const { calculateDeliveryPrice, normalizeCity } = require('../utils/pricing');
+const { getEarnTypesForVehicle } = require('../utils/vehicles');
+const { EARTH_RADIUS_KM, boundingBox } = require('../utils/geo');
+const { ESCROW_FEE } = require('./EscrowService');
+
+const QUOTE_LOCK_SECONDS = parseInt(process.env.QUOTE_LOCK_SECONDS) || 300;
+
+// Surge settings: demand and supply are counted within SURGE_RADIUS_KM of the pickup
+const SURGE_RADIUS_KM = parseFloat(process.env.SURGE_RADIUS_KM) || 5;
+const SURGE_MAX_MULTIPLIER = parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 2;
+const SURGE_SENSITIVITY = 0.25; // multiplier added per unit of demand above supply
+const SURGE_WINDOW_MINUTES = 60; // only deliveries due within this window surge
+const SURGE_CACHE_MS = 60 * 1000;
+
+// Coordinates must match to ~10 m for a quote to be redeemed
+const LOCATION_TOLERANCE = 0.0001;
+
+// The booked pickup time may drift this far from the quoted one, so a quote
+// can't lock a quiet slot's price for a night or rush-hour pickup
+const SCHEDULE_TOLERANCE_MS = (parseInt(process.env.QUOTE_SCHEDULE_TOLERANCE_MINUTES) || 10) * 60 * 1000;
+
+const surgeCache = new Map();
+
+const quoteError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const sameLocation = (a, b) => (
+  Math.abs(a.lat - b.lat) <= LOCATION_TOLERANCE && Math.abs(a.lng - b.lng) <= LOCATION_TOLERANCE
+);
+
+// Pickup time a quote or booking is for; none means "now"
+const pickupTime = (scheduledTime, fallback) => new Date(scheduledTime || fallback).getTime();
+
+// Same drop-offs in the same order
+const sameStops = (a = [], b = []) => (
+  a.length === b.length && a.every((stop, index) => sameLocation(stop, b[index]))
+);
+
+class PricingService {
+
+  // Live surge multiplier from open jobs vs. free drivers near the pickup
+  static async getSurgeMultiplier({ pickupLocation, vehicleType, scheduledTime }) {
+    const dueInMinutes = (new Date(scheduledTime || Date.now()) - Date.now()) / 60000;
+    if (dueInMinutes > SURGE_WINDOW_MINUTES) {
+      return 1;
+    }
+
+    // ~1 km grid cell so nearby quotes share a cached value
+    const cacheKey = `${vehicleType}:${pickupLocation.lat.toFixed(2)}:${pickupLocation.lng.toFixed(2)}`;
+    const cached = surgeCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.multiplier;
+    }
+
+    const box = boundingBox(pickupLocation, SURGE_RADIUS_KM);
+
+    const [demand, supply] = await Promise.all([
+      Delivery.countDocuments({
+        status: 'upcoming',
+        driverId: null,
+        vehicleType,
+        'pickupLocation.lat': { $gte: box.minLat, $lte: box.maxLat },
+        'pickupLocation.lng': { $gte: box.minLng, $lte: box.maxLng }
+      }),
+      Driver.countDocuments({
+        available: true,
+        verified: true,
+        earnType: { $in: getEarnTypesForVehicle(vehicleType) },
+        location: {
+          $geoWithin: {
+            $centerSphere: [[pickupLocation.lng, pickupLocation.lat], SURGE_RADIUS_KM / EARTH_RADIUS_KM]
+          }
+        }
+      })
+    ]);
+
+    // Count this request as demand too
+    const ratio = (demand + 1) / Math.max(supply, 1);
+    const raw = 1 + Math.max(0, ratio - 1) * SURGE_SENSITIVITY;
+    const multiplier = Math.round(Math.min(raw, SURGE_MAX_MULTIPLIER) * 10) / 10;
+
+    surgeCache.set(cacheKey, { multiplier, expiresAt: Date.now() + SURGE_CACHE_MS });
+    return multiplier;
+  }
+
+  // Price a delivery with the current surge. `escrowFee` overrides the
+  // current fee for deliveries that already locked one in.
+  static async price({ pickupLocation, dropoffLocation, stops = [], vehicleType, scheduledTime, city, useEscrow = false, escrowFee }) {
+    const surgeMultiplier = await this.getSurgeMultiplier({ pickupLocation, vehicleType, scheduledTime });
+
+    return calculateDeliveryPrice({
+      pickupLocation,
+      dropoffLocation,
+      stops,
+      vehicleType,
+      scheduledTime,
+      city,
+      escrowFee: escrowFee ?? (useEscrow ? ESCROW_FEE : 0),
+      surgeMultiplier
+    });
+  }
+
+  // Price a delivery and lock the result for the customer
+  static async createQuote(customerId, input) {
+    const quote = await this.price(input);
+
+    return PriceQuote.create({
+      customerId,
+      pickupLocation: input.pickupLocation,
+      dropoffLocation: input.dropoffLocation,
+      stops: input.stops || [],
+      vehicleType: input.vehicleType,
+      scheduledTime: input.scheduledTime,
+      city: input.city,
+      useEscrow: !!input.useEscrow,
+      ...quote,
+      expiresAt: new Date(Date.now() + QUOTE_LOCK_SECONDS * 1000)
+    });
+  }
+
+  // Claim a locked quote for a booking. The booking must match what was
+  // quoted; a quote can only be used once.
+  static async redeemQuote(quoteId, customerId, input) {
+    const quote = await PriceQuote.findOne({ _id: quoteId, customerId });
+    if (!quote) {
+      throw quoteError('Quote not found', 'QUOTE_NOT_FOUND');
+    }
+    if (quote.usedAt) {
+      throw quoteError('This quote has already been used', 'QUOTE_USED');
+    }
+    if (quote.expiresAt <= new Date()) {
+      throw quoteError('This quote has expired, please request a new one', 'QUOTE_EXPIRED');
+    }
+
+    const matches = quote.vehicleType === input.vehicleType
+      && quote.useEscrow === !!input.useEscrow
+      && sameLocation(quote.pickupLocation, input.pickupLocation)
+      && sameLocation(quote.dropoffLocation, input.dropoffLocation)
+      && sameStops(quote.stops, input.stops)
+      && normalizeCity(quote.city) === normalizeCity(input.city)
+      && Math.abs(pickupTime(quote.scheduledTime, quote.createdAt) - pickupTime(input.scheduledTime, Date.now())) <= SCHEDULE_TOLERANCE_MS;
+
+    if (!matches) {
+      throw quoteError('Booking details do not match the quote', 'QUOTE_MISMATCH');
+    }
+
+    const claimed = await PriceQuote.findOneAndUpdate(
+      { _id: quote._id, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw quoteError('This quote has already been used', 'QUOTE_USED');
+    }
+
+    return claimed;
+  }
+
+  // Record which delivery a redeemed quote paid for
+  static async attachDelivery(quoteId, deliveryId) {
+    await PriceQuote.updateOne({ _id: quoteId }, { deliveryId });
+  }
+
+  // Let a quote be used again when the booking that claimed it failed
+  static async releaseQuote(quoteId) {
+    await PriceQuote.updateOne({ _id: quoteId, deliveryId: null }, { usedAt: null });
+  }
+}
+
+module.exports = { PricingService, QUOTE_LOCK_SECONDS };
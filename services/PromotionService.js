@@ -0,0 +1,334 @@
+// services/PromotionService.js
+const crypto = require('crypto');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const Sender = require('../models/senderReceiver');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const GiftCard = require('../models/GiftCard');
+const { LedgerService, PLATFORM_ACCOUNTS } = require('./LedgerService');
+const { NotificationService } = require('./NotificationService');
+const { roundCurrency } = require('../utils/pricing');
+
+// Referral reward paid to a driver once someone they invited completes enough deliveries
+const REFERRAL_REWARD_AMOUNT = parseFloat(process.env.REFERRAL_REWARD_AMOUNT) || 20;
+const REFERRAL_REQUIRED_DELIVERIES = parseInt(process.env.REFERRAL_REQUIRED_DELIVERIES) || 5;
+
+const platformAccount = (accountCode) => ({ accountCode });
+const customerAccount = (customerId) => ({ ownerType: 'customer', ownerId: customerId });
+const driverAccount = (driverId) => ({ ownerType: 'driver', ownerId: driverId });
+
+const promoError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Unambiguous characters for codes people type in (no 0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateCode = (length) => Array.from(
+  { length },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+class PromotionService {
+
+  // ===============================
+  // PROMO CODES
+  // ===============================
+
+  // Check a promo code for a customer's order and work out the discount
+  static async evaluatePromo(code, customerId, orderTotal) {
+    const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+    const now = new Date();
+
+    if (!promo || !promo.active) {
+      throw promoError('Promo code not found', 'PROMO_NOT_FOUND');
+    }
+    if ((promo.startsAt && promo.startsAt > now) || (promo.expiresAt && promo.expiresAt <= now)) {
+      throw promoError('This promo code is not active', 'PROMO_EXPIRED');
+    }
+    if (promo.usageLimit != null && promo.usedCount >= promo.usageLimit) {
+      throw promoError('This promo code has been fully redeemed', 'PROMO_EXHAUSTED');
+    }
+    if (orderTotal < promo.minOrderAmount) {
+      throw promoError(`This promo code needs an order of at least ${promo.minOrderAmount}`, 'PROMO_MIN_ORDER');
+    }
+
+    const timesUsed = await PromoRedemption.countDocuments({ promoId: promo._id, customerId });
+    if (timesUsed >= promo.perCustomerLimit) {
+      throw promoError('You have already used this promo code', 'PROMO_ALREADY_USED');
+    }
+
+    if (promo.firstOrderOnly) {
+      const previousOrders = await Delivery.countDocuments({ senderId: customerId, status: { $ne: 'cancelled' } });
+      if (previousOrders > 0) {
+        throw promoError('This promo code is only valid on your first order', 'PROMO_FIRST_ORDER_ONLY');
+      }
+    }
+
+    let discount = promo.discountType === 'percentage'
+      ? orderTotal * promo.amount / 100
+      : promo.amount;
+    if (promo.maxDiscount) {
+      discount = Math.min(discount, promo.maxDiscount);
+    }
+
+    return { promo, discount: roundCurrency(Math.min(discount, orderTotal)) };
+  }
+
+  // Redeem a promo code on a delivery; the platform funds the discount.
+  // The use of the code, its redemption record, the journal and the
+  // discount on delivery.checkout commit together, so reverseCheckout can
+  // always undo exactly what was applied.
+  static async redeemPromo(promo, customerId, delivery, discount) {
+    await LedgerService.postJournal({
+      legs: [
+        { account: platformAccount(PLATFORM_ACCOUNTS.PROMOTIONS), amount: -discount, type: 'promo' },
+        { account: platformAccount(PLATFORM_ACCOUNTS.CLEARING), amount: discount, type: 'promo' }
+      ],
+      deliveryId: delivery._id,
+      description: `Promo code ${promo.code}`,
+      metadata: { promoId: promo._id, customerId },
+      idempotencyKey: `promo:${delivery._id}`,
+      within: async (session) => {
+        const claimed = await PromoCode.findOneAndUpdate(
+          {
+            _id: promo._id,
+            active: true,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+          },
+          { $inc: { usedCount: 1 } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw promoError('This promo code has been fully redeemed', 'PROMO_EXHAUSTED');
+        }
+
+        await PromoRedemption.create([{ promoId: promo._id, customerId, deliveryId: delivery._id, discount }], { session });
+        await Delivery.updateOne(
+          { _id: delivery._id },
+          { 'checkout.promoCode': promo.code, 'checkout.promoId': promo._id, 'checkout.promoDiscount': discount },
+          { session }
+        );
+      }
+    });
+  }
+
+  // ===============================
+  // CHECKOUT
+  // ===============================
+
+  // Apply a promo code and/or wallet credit (gift cards, refunds) to a new
+  // delivery. Returns the checkout summary stored on the delivery.
+  static async applyCheckout(delivery, customerId, { promo = null, promoDiscount = 0, useWalletCredit = false } = {}) {
+    const checkout = {
+      promoCode: promo ? promo.code : null,
+      promoId: promo ? promo._id : null,
+      promoDiscount: 0,
+      creditApplied: 0,
+      amountDue: roundCurrency(delivery.totalCost)
+    };
+
+    if (promo && promoDiscount > 0) {
+      await this.redeemPromo(promo, customerId, delivery, promoDiscount);
+      checkout.promoDiscount = promoDiscount;
+    }
+
+    if (useWalletCredit) {
+      const wallet = await LedgerService.getOrCreateWallet(customerAccount(customerId));
+      const balance = await LedgerService.getLedgerBalance(wallet._id);
+      const credit = roundCurrency(Math.min(Math.max(balance, 0), delivery.totalCost - checkout.promoDiscount));
+
+      if (credit > 0) {
+        await LedgerService.postJournal({
+          legs: [
+            { account: customerAccount(customerId), amount: -credit, type: 'credit', requireSufficientFunds: true },
+            { account: platformAccount(PLATFORM_ACCOUNTS.CLEARING), amount: credit, type: 'credit' }
+          ],
+          deliveryId: delivery._id,
+          description: 'Wallet credit applied at checkout',
+          idempotencyKey: `checkout_credit:${delivery._id}`,
+          // Recorded with the journal so a failed booking can give it back
+          within: (session) => Delivery.updateOne(
+            { _id: delivery._id },
+            { 'checkout.creditApplied': credit },
+            { session }
+          )
+        });
+        checkout.creditApplied = credit;
+      }
+    }
+
+    checkout.amountDue = roundCurrency(delivery.totalCost - checkout.promoDiscount - checkout.creditApplied);
+    await Delivery.updateOne({ _id: delivery._id }, { checkout });
+    return checkout;
+  }
+
+  // Undo a delivery's promo and wallet credit when the customer cancels
+  static async reverseCheckout(delivery) {
+    const checkout = delivery.checkout || {};
+
+    if (checkout.creditApplied > 0) {
+      await LedgerService.postJournal({
+        legs: [
+          { account: platformAccount(PLATFORM_ACCOUNTS.CLEARING), amount: -checkout.creditApplied, type: 'credit' },
+          { account: customerAccount(delivery.senderId), amount: checkout.creditApplied, type: 'credit' }
+        ],
+        deliveryId: delivery._id,
+        description: 'Wallet credit returned (cancelled delivery)',
+        idempotencyKey: `checkout_credit_reversal:${delivery._id}`
+      });
+    }
+
+    if (checkout.promoDiscount > 0) {
+      const { posted } = await LedgerService.postJournal({
+        legs: [
+          { account: platformAccount(PLATFORM_ACCOUNTS.CLEARING), amount: -checkout.promoDiscount, type: 'promo' },
+          { account: platformAccount(PLATFORM_ACCOUNTS.PROMOTIONS), amount: checkout.promoDiscount, type: 'promo' }
+        ],
+        deliveryId: delivery._id,
+        description: `Promo code ${checkout.promoCode} released (cancelled delivery)`,
+        idempotencyKey: `promo_reversal:${delivery._id}`
+      });
+
+      // Give the customer their use of the code back
+      if (posted) {
+        await PromoRedemption.deleteOne({ deliveryId: delivery._id });
+        await PromoCode.updateOne({ _id: checkout.promoId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      }
+    }
+  }
+
+  // ===============================
+  // GIFT CARDS
+  // ===============================
+
+  // Create gift cards (e.g. for a campaign or a sale)
+  static async issueGiftCards({ amount, count = 1, expiresAt = null, note }) {
+    const cards = Array.from({ length: count }, () => ({
+      code: `GC-${generateCode(4)}-${generateCode(4)}-${generateCode(4)}`,
+      amount: roundCurrency(amount),
+      expiresAt,
+      note
+    }));
+    return GiftCard.insertMany(cards);
+  }
+
+  // Credit a gift card's value to the customer's wallet
+  static async redeemGiftCard(code, customerId) {
+    const now = new Date();
+    const card = await GiftCard.findOne({
+      code: normalizeCode(code),
+      status: 'active',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+
+    if (!card) {
+      throw promoError('Gift card not found, expired or already redeemed', 'GIFT_CARD_INVALID');
+    }
+
+    // The card is marked redeemed in the same transaction as the credit
+    let redeemed;
+    const { posted } = await LedgerService.postJournal({
+      legs: [
+        { account: platformAccount(PLATFORM_ACCOUNTS.GIFT_CARDS), amount: -card.amount, type: 'gift_card' },
+        { account: customerAccount(customerId), amount: card.amount, type: 'gift_card' }
+      ],
+      description: 'Gift card redeemed',
+      metadata: { giftCardId: card._id },
+      idempotencyKey: `gift_card:${card._id}`,
+      within: async (session) => {
+        redeemed = await GiftCard.findOneAndUpdate(
+          { _id: card._id, status: 'active' },
+          { status: 'redeemed', redeemedBy: customerId, redeemedAt: now },
+          { new: true, session }
+        );
+        if (!redeemed) {
+          throw promoError('Gift card not found, expired or already redeemed', 'GIFT_CARD_INVALID');
+        }
+      }
+    });
+
+    if (!posted) {
+      throw promoError('Gift card not found, expired or already redeemed', 'GIFT_CARD_INVALID');
+    }
+
+    await Sender.findByIdAndUpdate(customerId, { $addToSet: { giftCards: card._id } });
+    return redeemed;
+  }
+
+  // ===============================
+  // DRIVER REFERRALS
+  // ===============================
+
+  // The driver's own code to share, created on first use
+  static async getInviteCode(driverId) {
+    const driver = await Driver.findById(driverId).select('inviteCode');
+    if (driver.inviteCode) return driver.inviteCode;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const inviteCode = generateCode(8);
+        const updated = await Driver.findOneAndUpdate(
+          { _id: driverId, inviteCode: null },
+          { inviteCode },
+          { new: true }
+        );
+        return updated ? updated.inviteCode : (await Driver.findById(driverId).select('inviteCode')).inviteCode;
+      } catch (error) {
+        // Code collision, try another
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Could not generate a unique invite code');
+  }
+
+  // Driver who owns a referral code entered at sign-up
+  static async resolveReferrer(code, refereeId) {
+    const referrer = await Driver.findOne({ inviteCode: normalizeCode(code) }).select('_id');
+    if (!referrer || referrer._id.equals(refereeId)) {
+      throw promoError('Invalid referral code', 'REFERRAL_INVALID');
+    }
+    return referrer;
+  }
+
+  // Pay the referrer once the referred driver reaches the delivery target.
+  // Safe to call after every completion.
+  static async rewardReferralIfEligible(driverId) {
+    const driver = await Driver.findById(driverId).select('referredBy referralRewardedAt');
+    if (!driver?.referredBy || driver.referralRewardedAt) return false;
+
+    const completed = await Delivery.countDocuments({ driverId, status: 'completed' });
+    if (completed < REFERRAL_REQUIRED_DELIVERIES) return false;
+
+    const { posted } = await LedgerService.postJournal({
+      legs: [
+        { account: platformAccount(PLATFORM_ACCOUNTS.PROMOTIONS), amount: -REFERRAL_REWARD_AMOUNT, type: 'referral' },
+        { account: driverAccount(driver.referredBy), amount: REFERRAL_REWARD_AMOUNT, type: 'referral' }
+      ],
+      description: 'Referral reward',
+      metadata: { refereeId: driverId, completedDeliveries: completed },
+      idempotencyKey: `referral_reward:${driverId}`
+    });
+
+    await Driver.updateOne({ _id: driverId }, { referralRewardedAt: new Date() });
+
+    if (posted) {
+      try {
+        await NotificationService.notifyPaymentSuccess(driver.referredBy, REFERRAL_REWARD_AMOUNT, 'a driver referral');
+      } catch (notificationError) {
+        console.error('Failed to send referral reward notification:', notificationError);
+      }
+    }
+    return posted;
+  }
+}
+
+module.exports = {
+  PromotionService,
+  REFERRAL_REWARD_AMOUNT,
+  REFERRAL_REQUIRED_DELIVERIES
+};
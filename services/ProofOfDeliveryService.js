@@ -0,0 +1,121 @@
+// services/ProofOfDeliveryService.js
+const Delivery = require('../models/Delivery');
+const Otp = require('../models/Otp');
+const { generateCode, hashCode, codeMatches } = require('./OtpService');
+const { getSmsProvider } = require('./smsProviders');
+
+const OTP_TYPE = 'delivery_confirmation';
+const PIN_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_PIN_ATTEMPTS = 5;
+
+// Proofs a delivery can require before it is completed
+const PROOF_TYPES = ['photo', 'pin', 'signature'];
+
+const proofError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class ProofOfDeliveryService {
+
+  // Build a policy from booking input, falling back to the schema defaults
+  static normalizePolicy(input = {}) {
+    const policy = {};
+    PROOF_TYPES.forEach((proof) => {
+      if (typeof input[proof] === 'boolean') {
+        policy[proof] = input[proof];
+      }
+    });
+    return policy;
+  }
+
+  // Required proofs that have not been provided yet. On a multi-stop
+  // delivery photos and signatures are collected per stop (see
+  // DeliveryStopService) and only the PIN applies to the whole delivery.
+  static getMissingProofs(delivery) {
+    const policy = delivery.proofOfDelivery || {};
+    const perStop = delivery.stops?.length > 0;
+    const missing = [];
+
+    if (policy.photo && !perStop && !delivery.photos?.dropOff?.url) missing.push('photo');
+    if (policy.pin && !policy.pinVerifiedAt) missing.push('pin');
+    if (policy.signature && !perStop && !delivery.photos?.signature?.url) missing.push('signature');
+
+    return missing;
+  }
+
+  // Generate a confirmation PIN for the receiver, replacing any earlier one
+  static async issuePin(delivery) {
+    if (!delivery.proofOfDelivery?.pin) {
+      throw proofError('This delivery does not use a confirmation PIN', 'PIN_NOT_REQUIRED');
+    }
+    if (delivery.proofOfDelivery.pinVerifiedAt) {
+      throw proofError('The confirmation PIN has already been verified', 'PIN_ALREADY_VERIFIED');
+    }
+
+    const phone = delivery.receiverDetails.phoneNumber;
+    const pin = generateCode(4);
+
+    await Otp.deleteMany({ deliveryId: delivery._id, type: OTP_TYPE });
+    await Otp.create({
+      phone,
+      codeHash: hashCode(phone, pin),
+      type: OTP_TYPE,
+      deliveryId: delivery._id,
+      expiresAt: new Date(Date.now() + PIN_TTL_MS)
+    });
+
+    await Delivery.updateOne(
+      { _id: delivery._id },
+      { 'proofOfDelivery.pinSentAt': new Date(), 'proofOfDelivery.pinAttempts': 0 }
+    );
+
+    await getSmsProvider().sendSms({
+      to: phone,
+      body: `Your Errand delivery confirmation PIN is ${pin}. Give it to the driver when your package arrives.`
+    });
+  }
+
+  // Check the PIN the receiver gave the driver
+  static async verifyPin(delivery, pin) {
+    if (!delivery.proofOfDelivery?.pin) {
+      throw proofError('This delivery does not use a confirmation PIN', 'PIN_NOT_REQUIRED');
+    }
+    if (delivery.proofOfDelivery.pinVerifiedAt) {
+      return delivery;
+    }
+
+    // Count the attempt first so parallel guesses can't exceed the cap
+    const counted = await Delivery.findOneAndUpdate(
+      { _id: delivery._id, 'proofOfDelivery.pinAttempts': { $lt: MAX_PIN_ATTEMPTS } },
+      { $inc: { 'proofOfDelivery.pinAttempts': 1 } },
+      { new: true }
+    );
+
+    if (!counted) {
+      throw proofError('Too many incorrect PIN attempts. Ask the sender to resend the PIN.', 'PIN_LOCKED');
+    }
+
+    const otpRecord = await Otp.findOne({
+      deliveryId: delivery._id,
+      type: OTP_TYPE,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!otpRecord || !codeMatches(otpRecord, pin)) {
+      const remaining = MAX_PIN_ATTEMPTS - counted.proofOfDelivery.pinAttempts;
+      throw proofError(`Invalid or expired PIN. ${remaining} attempt(s) left.`, 'PIN_INVALID');
+    }
+
+    await Otp.deleteMany({ deliveryId: delivery._id, type: OTP_TYPE });
+
+    return Delivery.findByIdAndUpdate(
+      delivery._id,
+      { 'proofOfDelivery.pinVerifiedAt': new Date() },
+      { new: true }
+    );
+  }
+}
+
+module.exports = { ProofOfDeliveryService, PROOF_TYPES, MAX_PIN_ATTEMPTS };
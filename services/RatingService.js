@@ -0,0 +1,139 @@
+// services/RatingService.js
+const mongoose = require('mongoose');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const Sender = require('../models/senderReceiver');
+const Review = require('../models/Review');
+
+// Ratings are averaged over roughly the last RATING_WINDOW reviews: until then
+// every review counts equally, after that each new one has weight 1/RATING_WINDOW
+const RATING_WINDOW = parseInt(process.env.RATING_WINDOW) || 100;
+
+// Tags each side may attach, keyed by who is being reviewed
+const REVIEW_TAGS = {
+  driver: ['on_time', 'late', 'careful_handling', 'damaged_package', 'friendly', 'professional', 'rude', 'great_communication'],
+  customer: ['ready_on_time', 'kept_waiting', 'well_packaged', 'poorly_packaged', 'friendly', 'rude', 'accurate_address', 'wrong_address']
+};
+
+const RATED_MODELS = {
+  driver: Driver,
+  customer: Sender
+};
+
+const ratingError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class RatingService {
+
+  // Rate the other side of a completed delivery. reviewerType is the actor
+  // leaving the review; each side may review a delivery once.
+  static async submitReview(deliveryId, reviewerType, reviewerId, { rating, tags = [], comment }) {
+    const revieweeType = reviewerType === 'customer' ? 'driver' : 'customer';
+    const participantField = reviewerType === 'customer' ? 'senderId' : 'driverId';
+
+    const delivery = await Delivery.findOne({ _id: deliveryId, [participantField]: reviewerId });
+    if (!delivery) {
+      throw ratingError('Delivery not found', 'DELIVERY_NOT_FOUND');
+    }
+    if (delivery.status !== 'completed') {
+      throw ratingError('Only completed deliveries can be rated', 'DELIVERY_NOT_COMPLETED');
+    }
+
+    const revieweeId = revieweeType === 'driver' ? delivery.driverId : delivery.senderId;
+    if (!revieweeId) {
+      throw ratingError('There is nobody to rate on this delivery', 'DELIVERY_NOT_COMPLETED');
+    }
+
+    const invalidTags = tags.filter((tag) => !REVIEW_TAGS[revieweeType].includes(tag));
+    if (invalidTags.length > 0) {
+      throw ratingError(`Unknown review tags: ${invalidTags.join(', ')}`, 'INVALID_TAGS');
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        deliveryId,
+        reviewerType,
+        reviewerId,
+        revieweeType,
+        revieweeId,
+        rating,
+        tags: [...new Set(tags)],
+        comment
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ratingError('You have already rated this delivery', 'ALREADY_REVIEWED');
+      }
+      throw error;
+    }
+
+    await this.applyRating(revieweeType, revieweeId, rating);
+    return review;
+  }
+
+  // Fold a new rating into the stored rolling average in a single update
+  static async applyRating(revieweeType, revieweeId, rating) {
+    await RATED_MODELS[revieweeType].updateOne({ _id: revieweeId }, [
+      { $set: { ratingCount: { $add: [{ $ifNull: ['$ratingCount', 0] }, 1] } } },
+      {
+        $set: {
+          rating: {
+            $round: [{
+              $add: [
+                { $ifNull: ['$rating', 0] },
+                {
+                  $divide: [
+                    { $subtract: [rating, { $ifNull: ['$rating', 0] }] },
+                    { $min: ['$ratingCount', RATING_WINDOW] }
+                  ]
+                }
+              ]
+            }, 2]
+          }
+        }
+      }
+    ]);
+  }
+
+  // Star counts, tag counts and recent comments for a driver or customer
+  static async getBreakdown(revieweeType, revieweeId, { recent = 5 } = {}) {
+    const match = { revieweeType, revieweeId: new mongoose.Types.ObjectId(String(revieweeId)) };
+
+    const [stars, tags, recentReviews] = await Promise.all([
+      Review.aggregate([
+        { $match: match },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]),
+      Review.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      Review.find({ ...match, comment: { $nin: [null, ''] } })
+        .sort({ createdAt: -1 })
+        .limit(recent)
+        .select('rating tags comment createdAt')
+    ]);
+
+    const starCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    stars.forEach(({ _id, count }) => { starCounts[_id] = count; });
+
+    return {
+      stars: starCounts,
+      tags: tags.map(({ _id, count }) => ({ tag: _id, count })),
+      recentReviews
+    };
+  }
+
+  // Both reviews of a delivery, for either participant
+  static async getDeliveryReviews(deliveryId) {
+    return Review.find({ deliveryId }).select('-__v');
+  }
+}
+
+module.exports = { RatingService, REVIEW_TAGS, RATING_WINDOW };
@@ -0,0 +1,192 @@
+// services/SchedulerService.js
+const Delivery = require('../models/Delivery');
+const { DispatchService } = require('./DispatchService');
+const { NotificationService } = require('./NotificationService');
+
+// Scheduled deliveries are offered to drivers this long before pickup
+const DISPATCH_LEAD_MS = (parseInt(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES) || 60) * 60 * 1000;
+
+// Driver and sender are reminded this long before pickup
+const REMINDER_LEAD_MS = (parseInt(process.env.SCHEDULE_REMINDER_MINUTES) || 30) * 60 * 1000;
+
+// A delivery still waiting this long after scheduledTime is flagged overdue
+const OVERDUE_GRACE_MS = (parseInt(process.env.SCHEDULE_OVERDUE_GRACE_MINUTES) || 15) * 60 * 1000;
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+// Query fragment for deliveries whose dispatch window has opened. Deliveries
+// booked before scheduling existed have no opensAt and count as open.
+const openForDispatch = (now = new Date()) => ({ 'schedule.opensAt': { $not: { $gt: now } } });
+
+class SchedulerService {
+
+  // Schedule fields for a delivery booked (or re-timed) for `scheduledTime`
+  static scheduleFor(scheduledTime, now = new Date()) {
+    const opensAt = new Date(new Date(scheduledTime).getTime() - DISPATCH_LEAD_MS);
+    return {
+      opensAt,
+      openedAt: opensAt <= now ? now : null,
+      senderReminderSentAt: null,
+      driverReminderSentAt: null,
+      overdueAt: null,
+      overdueReason: null
+    };
+  }
+
+  static isOpen(delivery, now = new Date()) {
+    return !delivery.schedule?.opensAt || delivery.schedule.opensAt <= now;
+  }
+
+  // Start dispatch for scheduled deliveries whose lead time has arrived
+  static async openDueDeliveries(now = new Date()) {
+    const due = await Delivery.find({
+      status: 'upcoming',
+      driverId: null,
+      'schedule.openedAt': null,
+      'schedule.opensAt': { $lte: now }
+    }).select('_id');
+
+    let opened = 0;
+    for (const { _id } of due) {
+      // Claim it so concurrent sweeps don't open it twice
+      const claimed = await Delivery.findOneAndUpdate(
+        { _id, status: 'upcoming', 'schedule.openedAt': null },
+        { 'schedule.openedAt': now }
+      );
+      if (!claimed) continue;
+
+      try {
+        await DispatchService.startDispatch(_id);
+        opened++;
+      } catch (dispatchError) {
+        console.error(`Failed to start dispatch for scheduled delivery ${_id}:`, dispatchError);
+      }
+    }
+    return opened;
+  }
+
+  // Remind the sender, and the driver once one is assigned, before pickup
+  static async sendReminders(now = new Date()) {
+    const window = { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_MS) };
+    let sent = 0;
+
+    const senderDue = await Delivery.find({
+      status: { $in: ['upcoming', 'accepted'] },
+      scheduledTime: window,
+      'schedule.senderReminderSentAt': null
+    }).select('_id');
+
+    for (const { _id } of senderDue) {
+      const delivery = await Delivery.findOneAndUpdate(
+        { _id, 'schedule.senderReminderSentAt': null },
+        { 'schedule.senderReminderSentAt': now },
+        { new: true }
+      );
+      if (!delivery) continue;
+
+      try {
+        await NotificationService.notifyPickupReminder(delivery.senderId, delivery, 'sender');
+        sent++;
+      } catch (notificationError) {
+        console.error('Failed to send sender pickup reminder:', notificationError);
+      }
+    }
+
+    const driverDue = await Delivery.find({
+      status: 'accepted',
+      scheduledTime: window,
+      'schedule.driverReminderSentAt': null
+    }).select('_id');
+
+    for (const { _id } of driverDue) {
+      const delivery = await Delivery.findOneAndUpdate(
+        { _id, status: 'accepted', 'schedule.driverReminderSentAt': null },
+        { 'schedule.driverReminderSentAt': now },
+        { new: true }
+      );
+      if (!delivery) continue;
+
+      try {
+        await NotificationService.notifyPickupReminder(delivery.driverId, delivery, 'driver');
+        sent++;
+      } catch (notificationError) {
+        console.error('Failed to send driver pickup reminder:', notificationError);
+      }
+    }
+
+    return sent;
+  }
+
+  // Flag deliveries that passed their scheduled time without being accepted
+  // (still upcoming) or started (still accepted)
+  static async flagOverdue(now = new Date()) {
+    const cutoff = new Date(now.getTime() - OVERDUE_GRACE_MS);
+    const reasons = { upcoming: 'not_accepted', accepted: 'not_started' };
+    let flagged = 0;
+
+    for (const [status, overdueReason] of Object.entries(reasons)) {
+      const { modifiedCount } = await Delivery.updateMany(
+        { status, scheduledTime: { $lte: cutoff }, 'schedule.overdueAt': null },
+        { 'schedule.overdueAt': now, 'schedule.overdueReason': overdueReason }
+      );
+      flagged += modifiedCount;
+    }
+
+    if (flagged > 0) {
+      console.warn(`Flagged ${flagged} overdue deliveries`);
+    }
+    return flagged;
+  }
+
+  // Deliveries flagged overdue that are still waiting, oldest first
+  static async listOverdue({ page = 1, limit = 20 } = {}) {
+    const query = { status: { $in: ['upcoming', 'accepted'] }, 'schedule.overdueAt': { $ne: null } };
+    const [deliveries, total] = await Promise.all([
+      Delivery.find(query)
+        .populate('senderId', 'fullName phoneNumber email')
+        .populate('driverId', 'name phone')
+        .select('status scheduledTime schedule pickupLocation dropoffLocation vehicleType senderId driverId dispatch')
+        .sort({ scheduledTime: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Delivery.countDocuments(query)
+    ]);
+    return { deliveries, total };
+  }
+
+  static async sweep() {
+    const now = new Date();
+    await this.openDueDeliveries(now);
+    await this.sendReminders(now);
+    await this.flagOverdue(now);
+  }
+
+  // Start the background sweep (call once from the process entry point)
+  static start() {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(() => {
+      this.sweep().catch((error) => console.error('Scheduler sweep error:', error));
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    console.log('Scheduler service started');
+  }
+
+  static stop() {
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  SchedulerService,
+  DISPATCH_LEAD_MS,
+  REMINDER_LEAD_MS,
+  OVERDUE_GRACE_MS,
+  openForDispatch
+};
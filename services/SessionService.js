@@ -0,0 +1,225 @@
+// services/SessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Driver = require('../models/Driver');
+const Sender = require('../models/senderReceiver');
+const Admin = require('../models/Admin');
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Rotated-out refresh tokens remembered per session for reuse detection
+const PREVIOUS_TOKENS_KEPT = 5;
+
+const OWNER_MODELS = {
+  driver: Driver,
+  customer: Sender,
+  admin: Admin
+};
+
+// Claims carried by each kind of access token
+const TOKEN_CLAIMS = {
+  driver: (driver) => ({ phone: driver.phone, email: driver.email }),
+  customer: (customer) => ({ phone: customer.phoneNumber || null, email: customer.email || null }),
+  admin: (admin) => ({ email: admin.email, role: admin.role })
+};
+
+// Why an account may not hold a session, or null if it can
+const accountDisabledReason = (ownerType, owner) => {
+  if (!owner) return 'Account not found';
+  if (ownerType === 'driver' && owner.suspended) return 'Account is suspended';
+  if (ownerType === 'customer' && (owner.deleted || owner.isBlocked)) return 'Account is blocked';
+  if (ownerType === 'admin' && !owner.active) return 'Account is disabled';
+  return null;
+};
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found directly
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Device details for a new session, from the request body, headers and connection
+const deviceFromRequest = (req) => ({
+  deviceId: req.body?.deviceId || req.header('X-Device-Id') || null,
+  deviceName: req.body?.deviceName || null,
+  userAgent: req.header('User-Agent') || null,
+  ip: req.ip
+});
+
+class SessionService {
+
+  static signAccessToken(ownerType, owner, sessionId) {
+    return jwt.sign(
+      {
+        id: owner._id,
+        ...TOKEN_CLAIMS[ownerType](owner),
+        type: ownerType,
+        tv: owner.tokenVersion || 0,
+        sid: String(sessionId)
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Sign an account in on a device. Signing in again on the same device
+  // replaces that device's previous session.
+  // Returns { token, refreshToken, expiresIn, refreshTokenExpiresAt }.
+  static async issueSession(ownerType, owner, device = {}) {
+    if (device.deviceId) {
+      await Session.updateMany(
+        { ownerType, ownerId: owner._id, deviceId: device.deviceId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'replaced' }
+      );
+    }
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = newRefreshToken(sessionId);
+    const session = await Session.create({
+      _id: sessionId,
+      ownerType,
+      ownerId: owner._id,
+      deviceId: device.deviceId || null,
+      deviceName: device.deviceName || null,
+      userAgent: device.userAgent || null,
+      ip: device.ip || null,
+      refreshTokenHash: hashToken(refreshToken),
+      tokenVersion: owner.tokenVersion || 0,
+      expiresAt: refreshExpiry()
+    });
+
+    return {
+      token: this.signAccessToken(ownerType, owner, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  // Swap a refresh token for a new access token and a new refresh token.
+  // Presenting a token that was already rotated out revokes the session,
+  // since either the client or an attacker is holding a stolen copy.
+  static async refresh(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw sessionError('Invalid refresh token', 'SESSION_INVALID');
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      throw sessionError('Session has expired or was signed out', 'SESSION_INVALID');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash !== session.refreshTokenHash) {
+      if (session.previousTokenHashes.includes(presentedHash)) {
+        await this.revokeSession(session._id, 'refresh_token_reused');
+        throw sessionError('Refresh token was already used; please sign in again', 'REFRESH_TOKEN_REUSED');
+      }
+      throw sessionError('Invalid refresh token', 'SESSION_INVALID');
+    }
+
+    const owner = await OWNER_MODELS[session.ownerType].findById(session.ownerId);
+    const disabledReason = accountDisabledReason(session.ownerType, owner);
+    if (disabledReason) {
+      await this.revokeSession(session._id, 'account_disabled');
+      throw sessionError(disabledReason, 'ACCOUNT_DISABLED');
+    }
+    if ((owner.tokenVersion || 0) !== session.tokenVersion) {
+      await this.revokeSession(session._id, 'token_version_changed');
+      throw sessionError('Session has expired or was signed out', 'SESSION_INVALID');
+    }
+
+    // Rotate only if nobody else rotated this token in the meantime
+    const nextRefreshToken = newRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        $push: { previousTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_TOKENS_KEPT } },
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      await this.revokeSession(session._id, 'refresh_token_reused');
+      throw sessionError('Refresh token was already used; please sign in again', 'REFRESH_TOKEN_REUSED');
+    }
+
+    return {
+      token: this.signAccessToken(session.ownerType, owner, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshTokenExpiresAt: rotated.expiresAt
+    };
+  }
+
+  // Used by the auth middleware on every request carrying a session id
+  static async isSessionActive(sessionId, ownerId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    return !!await Session.exists({
+      _id: sessionId,
+      ownerId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  static async revokeSession(sessionId, reason = 'logout') {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  // Sign out one of the owner's own sessions
+  static async logout(ownerType, ownerId, sessionId) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, ownerType, ownerId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' },
+      { new: true }
+    );
+    if (!session) {
+      throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+    }
+    return session;
+  }
+
+  // Invalidate every token and session an account holds, e.g. on logout
+  // from all devices, a password change or a suspension
+  static async revokeAll(ownerType, ownerId, reason = 'logout_all') {
+    await OWNER_MODELS[ownerType].updateOne({ _id: ownerId }, { $inc: { tokenVersion: 1 } });
+    const { modifiedCount } = await Session.updateMany(
+      { ownerType, ownerId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return modifiedCount;
+  }
+
+  // The owner's signed-in devices, most recently used first
+  static async listSessions(ownerType, ownerId) {
+    return Session.find({ ownerType, ownerId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('deviceId deviceName userAgent ip lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 });
+  }
+}
+
+module.exports = {
+  SessionService,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_DAYS,
+  deviceFromRequest,
+  accountDisabledReason
+};
@@ -0,0 +1,156 @@
+// services/SocketService.js
+const { Server } = require('socket.io');
+const Chat = require('../models/Chat');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const Sender = require('../models/senderReceiver');
+const { verifyToken } = require('../middleware/auth');
+
+const PRESENCE_MODELS = {
+  driver: Driver,
+  customer: Sender
+};
+
+// Open sockets per user, so presence only flips on the first connect / last disconnect
+const connectionCounts = new Map();
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const chatRoom = (chatId) => `chat:${chatId}`;
+const trackingRoom = (token) => `tracking:${token}`;
+
+class SocketService {
+
+  // Attach Socket.IO to the HTTP server. Each handler is called with
+  // (socket, io) for every authenticated connection.
+  static init(httpServer, handlers = []) {
+    io = new Server(httpServer, { cors: { origin: '*' } });
+
+    // Same JWTs as the HTTP API, sent as auth.token or a Bearer header.
+    // Receivers without an account connect with auth.trackingToken instead.
+    io.use(async (socket, next) => {
+      try {
+        if (socket.handshake.auth?.trackingToken) {
+          const token = String(socket.handshake.auth.trackingToken);
+          const delivery = await Delivery.findOne({ 'tracking.token': token }).select('status');
+          if (!delivery || ['completed', 'cancelled'].includes(delivery.status)) {
+            return next(new Error('Tracking link has expired'));
+          }
+          socket.data.trackingToken = token;
+          return next();
+        }
+
+        const header = socket.handshake.headers.authorization;
+        const token = socket.handshake.auth?.token || (header && header.split(' ')[1]);
+        if (!token) {
+          return next(new Error('No token, authorization denied'));
+        }
+
+        const { decoded, error } = await verifyToken(token, ['driver', 'customer']);
+        if (error) {
+          return next(new Error(error));
+        }
+
+        socket.data.user = decoded;
+        socket.data.actorType = decoded.type;
+        next();
+      } catch (error) {
+        next(new Error('Token is not valid'));
+      }
+    });
+
+    io.on('connection', async (socket) => {
+      // Public tracking sockets only ever receive their delivery's updates
+      if (socket.data.trackingToken) {
+        socket.join(trackingRoom(socket.data.trackingToken));
+        return;
+      }
+
+      const { user } = socket.data;
+
+      socket.join(userRoom(user.id));
+      handlers.forEach((register) => register(socket, io));
+
+      socket.on('disconnect', () => {
+        this.setPresence(socket, 'offline').catch((error) => console.error('Socket presence error:', error));
+      });
+
+      try {
+        const chats = await Chat.find({ 'participants.userId': user.id, status: 'active' }).select('_id');
+        chats.forEach((chat) => socket.join(chatRoom(chat._id)));
+
+        if (socket.connected) {
+          await this.setPresence(socket, 'online');
+        }
+      } catch (error) {
+        console.error('Socket connection setup error:', error);
+      }
+    });
+
+    console.log('Socket.IO attached');
+    return io;
+  }
+
+  // Record presence and tell everyone sharing a chat with the user
+  static async setPresence(socket, status) {
+    const { user, actorType } = socket.data;
+    const count = (connectionCounts.get(user.id) || 0) + (status === 'online' ? 1 : -1);
+
+    if (count > 0) {
+      connectionCounts.set(user.id, count);
+    } else {
+      connectionCounts.delete(user.id);
+    }
+
+    // Other tabs/devices are still connected
+    if ((status === 'online' && count > 1) || (status === 'offline' && count > 0)) {
+      return;
+    }
+
+    const lastSeen = new Date();
+    const update = { lastSeen, socketId: status === 'online' ? socket.id : null };
+    if (actorType === 'customer') {
+      update.status = status;
+    }
+    await PRESENCE_MODELS[actorType].updateOne({ _id: user.id }, update);
+
+    const chats = await Chat.find({ 'participants.userId': user.id, status: 'active' }).select('_id');
+    chats.forEach((chat) => {
+      io.to(chatRoom(chat._id)).emit('presence:update', { userId: user.id, status, lastSeen });
+    });
+  }
+
+  static isOnline(userId) {
+    return connectionCounts.has(userId.toString());
+  }
+
+  // Put every open socket of the given users into a chat's room
+  static joinChat(chatId, userIds) {
+    if (!io) return;
+    userIds.forEach((userId) => io.in(userRoom(userId)).socketsJoin(chatRoom(chatId)));
+  }
+
+  static emitToChat(chatId, event, payload) {
+    if (!io) return;
+    io.to(chatRoom(chatId)).emit(event, payload);
+  }
+
+  static emitToUser(userId, event, payload) {
+    if (!io) return;
+    io.to(userRoom(userId)).emit(event, payload);
+  }
+
+  static emitToRoom(room, event, payload) {
+    if (!io) return;
+    io.to(room).emit(event, payload);
+  }
+
+  // Disconnect every socket in a room (e.g. an expired tracking link)
+  static closeRoom(room) {
+    if (!io) return;
+    io.in(room).disconnectSockets(true);
+  }
+}
+
+module.exports = { SocketService, chatRoom, userRoom, trackingRoom };
@@ -0,0 +1,142 @@
+// services/TrackingService.js
+const crypto = require('crypto');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const { SocketService, trackingRoom } = require('./SocketService');
+const { haversineDistanceKm, pointToLatLng } = require('../utils/geo');
+const { estimateTravelMinutes } = require('../utils/vehicles');
+const { roundCurrency } = require('../utils/pricing');
+const { DeliveryStopService } = require('./DeliveryStopService');
+
+// Statuses during which the driver's position is shared
+const TRACKABLE_STATUSES = ['accepted', 'in-transit'];
+
+// Statuses after which the public tracking link stops working
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Works for both populated and plain references
+const idOf = (ref) => ref?._id || ref;
+
+class TrackingService {
+
+  static generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  // Public link the sender can share with the receiver
+  static getTrackingUrl(token) {
+    const baseUrl = process.env.PUBLIC_TRACKING_URL || '/api/deliveries/track';
+    return `${baseUrl}/${token}`;
+  }
+
+  // Give older deliveries a tracking token the first time it's needed
+  static async ensureToken(delivery) {
+    if (delivery.tracking?.token) return delivery.tracking.token;
+
+    const token = this.generateToken();
+    const updated = await Delivery.findOneAndUpdate(
+      { _id: delivery._id, 'tracking.token': { $exists: false } },
+      { 'tracking.token': token },
+      { new: true }
+    );
+    return updated ? token : (await Delivery.findById(delivery._id).select('tracking')).tracking.token;
+  }
+
+  // Current tracking view of a delivery. The driver's position and ETA are
+  // only included while the driver is on this job.
+  static buildSnapshot(delivery, driver) {
+    const snapshot = {
+      deliveryId: delivery._id,
+      status: delivery.status,
+      pickupAddress: delivery.pickupLocation.address,
+      dropoffAddress: delivery.dropoffLocation.address,
+      stops: (delivery.stops || []).map((stop) => ({
+        sequence: stop.sequence,
+        status: stop.status,
+        completedAt: stop.completedAt || null
+      })),
+      driver: null,
+      eta: null,
+      updatedAt: new Date()
+    };
+
+    if (!driver || !TRACKABLE_STATUSES.includes(delivery.status)) {
+      return snapshot;
+    }
+
+    const position = driver.location?.coordinates?.length === 2 ? pointToLatLng(driver.location) : null;
+    const phase = delivery.status === 'accepted' ? 'to_pickup' : 'to_dropoff';
+    // On a multi-stop delivery the ETA is to the next open stop
+    const target = phase === 'to_pickup' ? delivery.pickupLocation : DeliveryStopService.nextDropPoint(delivery);
+
+    snapshot.driver = {
+      name: driver.fullName || driver.name,
+      location: position,
+      lastSeen: driver.lastSeen || null
+    };
+
+    if (position) {
+      const distanceKm = haversineDistanceKm(position, target);
+      const minutes = estimateTravelMinutes(distanceKm, driver.earnType);
+      snapshot.eta = {
+        phase,
+        distanceKm: roundCurrency(distanceKm),
+        minutes,
+        arrivesAt: new Date(Date.now() + minutes * 60 * 1000)
+      };
+    }
+
+    return snapshot;
+  }
+
+  // Snapshot for a delivery document, looking up its driver
+  static async getSnapshot(delivery) {
+    const driver = delivery.driverId && TRACKABLE_STATUSES.includes(delivery.status)
+      ? await Driver.findById(idOf(delivery.driverId)).select('name fullName earnType location lastSeen')
+      : null;
+    return this.buildSnapshot(delivery, driver);
+  }
+
+  // Tracking view behind a public link; null once the link has expired
+  static async getPublicSnapshot(token) {
+    const delivery = await Delivery.findOne({ 'tracking.token': token });
+    if (!delivery || CLOSED_STATUSES.includes(delivery.status)) {
+      return null;
+    }
+    return this.getSnapshot(delivery);
+  }
+
+  // Push a driver's new position to everyone following their active deliveries
+  static async publishDriverLocation(driver) {
+    const deliveries = await Delivery.find({
+      driverId: driver._id,
+      status: { $in: TRACKABLE_STATUSES }
+    });
+
+    deliveries.forEach((delivery) => {
+      const snapshot = this.buildSnapshot(delivery, driver);
+      SocketService.emitToUser(idOf(delivery.senderId), 'tracking:update', snapshot);
+      if (delivery.tracking?.token) {
+        SocketService.emitToRoom(trackingRoom(delivery.tracking.token), 'tracking:update', snapshot);
+      }
+    });
+  }
+
+  // Tell followers about a status change (and close public links on completion)
+  static async publishStatus(delivery) {
+    const snapshot = await this.getSnapshot(delivery);
+    SocketService.emitToUser(idOf(delivery.senderId), 'tracking:update', snapshot);
+
+    if (delivery.tracking?.token) {
+      const room = trackingRoom(delivery.tracking.token);
+      if (CLOSED_STATUSES.includes(delivery.status)) {
+        SocketService.emitToRoom(room, 'tracking:closed', { deliveryId: delivery._id, status: delivery.status });
+        SocketService.closeRoom(room);
+      } else {
+        SocketService.emitToRoom(room, 'tracking:update', snapshot);
+      }
+    }
+  }
+}
+
+module.exports = { TrackingService, TRACKABLE_STATUSES, CLOSED_STATUSES };
@@ -0,0 +1,86 @@
+// services/TripService.js
+const Delivery = require('../models/Delivery');
+const LocationPing = require('../models/LocationPing');
+const { simplifyPath, pathDistanceKm, detectIdleStops, tripToGeoJSON } = require('../utils/trip');
+const { roundCurrency } = require('../utils/pricing');
+
+// Points closer than this to the simplified line are dropped from stored trips
+const TRIP_SIMPLIFY_TOLERANCE_M = parseFloat(process.env.TRIP_SIMPLIFY_TOLERANCE_M) || 10;
+
+// Statuses during which pings are recorded (acceptedAt to completedAt)
+const RECORDING_STATUSES = ['accepted', 'in-transit'];
+
+class TripService {
+
+  // Store a ping for each delivery the driver is currently working
+  static async recordPing(driverId, { lat, lng }, recordedAt = new Date()) {
+    const deliveries = await Delivery.find({
+      driverId,
+      status: { $in: RECORDING_STATUSES }
+    }).select('_id');
+
+    if (deliveries.length === 0) return 0;
+
+    await LocationPing.insertMany(deliveries.map((delivery) => ({
+      recordedAt,
+      meta: { deliveryId: delivery._id, driverId },
+      lat,
+      lng
+    })));
+
+    return deliveries.length;
+  }
+
+  // Raw pings for a delivery in time order, as [{ lat, lng, at }]
+  static async getPings(deliveryId) {
+    const pings = await LocationPing.find({ 'meta.deliveryId': deliveryId })
+      .sort({ recordedAt: 1 })
+      .select('lat lng recordedAt')
+      .lean();
+
+    return pings.map((ping) => ({ lat: ping.lat, lng: ping.lng, at: ping.recordedAt }));
+  }
+
+  // Distance, duration and idle stops computed from raw points.
+  // Distance and idle stops use every ping; only the returned path is simplified.
+  static summarize(points, delivery) {
+    const startedAt = delivery.acceptedAt || points[0]?.at || null;
+    const endedAt = delivery.completedAt || points[points.length - 1]?.at || null;
+
+    return {
+      path: simplifyPath(points, TRIP_SIMPLIFY_TOLERANCE_M),
+      distanceKm: roundCurrency(pathDistanceKm(points)),
+      durationMinutes: startedAt && endedAt ? Math.round((new Date(endedAt) - new Date(startedAt)) / 60000) : 0,
+      idleStops: detectIdleStops(points),
+      startedAt,
+      endedAt,
+      pingCount: points.length
+    };
+  }
+
+  // Persist the simplified trip once the delivery is completed
+  static async finalizeTrip(delivery) {
+    const points = await this.getPings(delivery._id);
+    const trip = { ...this.summarize(points, delivery), summarizedAt: new Date() };
+
+    await Delivery.updateOne({ _id: delivery._id }, { trip });
+    return trip;
+  }
+
+  // Trip replay as GeoJSON: the stored summary for finished deliveries,
+  // computed live from raw pings otherwise
+  static async getTripGeoJSON(delivery) {
+    let trip = delivery.trip?.summarizedAt ? delivery.toObject().trip : null;
+
+    if (!trip) {
+      trip = delivery.status === 'completed'
+        ? await this.finalizeTrip(delivery)
+        : this.summarize(await this.getPings(delivery._id), delivery);
+    }
+
+    const { summarizedAt, ...replay } = trip;
+    return tripToGeoJSON({ deliveryId: delivery._id, status: delivery.status, ...replay });
+  }
+}
+
+module.exports = { TripService, TRIP_SIMPLIFY_TOLERANCE_M };
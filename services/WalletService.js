@@ -0,0 +1,160 @@
+// services/WalletService.js
+const Delivery = require('../models/Delivery');
+const { LedgerService, PLATFORM_ACCOUNTS } = require('./LedgerService');
+const { roundCurrency } = require('../utils/pricing');
+
+// Share of each delivery price kept by the platform
+const PLATFORM_COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 0.2;
+
+// Failed cancellation fees are retried this many times before being left
+// for an admin (the last error stays on the delivery)
+const CANCELLATION_FEE_MAX_ATTEMPTS = parseInt(process.env.CANCELLATION_FEE_MAX_ATTEMPTS) || 10;
+
+const FEE_RETRY_INTERVAL_MS = 60 * 1000;
+
+let feeRetryTimer = null;
+
+const driverAccount = (driverId) => ({ ownerType: 'driver', ownerId: driverId });
+const customerAccount = (customerId) => ({ ownerType: 'customer', ownerId: customerId });
+const platformAccount = (accountCode) => ({ accountCode });
+
+class WalletService {
+
+  // Wallet plus its ledger-derived balance
+  static async getWalletSummary(ownerType, ownerId) {
+    const wallet = await LedgerService.getOrCreateWallet({ ownerType, ownerId });
+    const balance = await LedgerService.getLedgerBalance(wallet._id);
+    return { wallet, balance };
+  }
+
+  // Split a delivery price into platform commission and driver share
+  static calculateEarningBreakdown(price) {
+    const gross = roundCurrency(price || 0);
+    const commission = roundCurrency(gross * PLATFORM_COMMISSION_RATE);
+    return {
+      gross,
+      commission,
+      commissionRate: PLATFORM_COMMISSION_RATE,
+      net: roundCurrency(gross - commission)
+    };
+  }
+
+  // Credit the driver for a completed delivery. Safe to call repeatedly:
+  // a delivery is only ever paid once.
+  static async creditDeliveryEarning(delivery) {
+    const driverId = delivery.driverId?._id || delivery.driverId;
+    const breakdown = this.calculateEarningBreakdown(delivery.price);
+
+    const { posted } = await LedgerService.postJournal({
+      legs: [
+        { account: platformAccount(PLATFORM_ACCOUNTS.CLEARING), amount: -breakdown.gross, type: 'delivery_earning' },
+        { account: driverAccount(driverId), amount: breakdown.gross, type: 'delivery_earning' },
+        { account: driverAccount(driverId), amount: -breakdown.commission, type: 'commission' },
+        { account: platformAccount(PLATFORM_ACCOUNTS.REVENUE), amount: breakdown.commission, type: 'commission' }
+      ],
+      deliveryId: delivery._id,
+      description: 'Delivery earning',
+      metadata: { breakdown },
+      idempotencyKey: `delivery_earning:${delivery._id}`
+    });
+
+    return { credited: posted, breakdown };
+  }
+
+  // Late-cancellation fee, as recorded in delivery.cancellationFees. A
+  // customer's fee compensates the driver; a driver's fee goes to the platform.
+  static async chargeCancellationFee(deliveryId, fee) {
+    const { actorType, actorId, amount } = fee;
+    const legs = actorType === 'driver'
+      ? [
+          { account: driverAccount(actorId), amount: -amount, type: 'fee' },
+          { account: platformAccount(PLATFORM_ACCOUNTS.REVENUE), amount, type: 'fee' }
+        ]
+      : [
+          { account: customerAccount(actorId), amount: -amount, type: 'fee' },
+          { account: driverAccount(fee.driverId), amount, type: 'fee' }
+        ];
+
+    return LedgerService.postJournal({
+      legs,
+      deliveryId,
+      description: `Cancellation fee (${actorType})`,
+      idempotencyKey: `cancellation_fee:${deliveryId}:${actorType}:${actorId}:${fee.acceptedAt?.getTime() || 0}`
+    });
+  }
+
+  // Post a recorded cancellation fee and mark it charged. Safe to repeat:
+  // the ledger ignores a fee it has already posted. A failure is counted on
+  // the fee for retryCancellationFees and rethrown.
+  static async settleCancellationFee(deliveryId, fee) {
+    const match = { _id: deliveryId, 'cancellationFees._id': fee._id };
+    try {
+      await this.chargeCancellationFee(deliveryId, fee);
+    } catch (error) {
+      await Delivery.updateOne(match, {
+        $inc: { 'cancellationFees.$.attempts': 1 },
+        $set: { 'cancellationFees.$.lastError': error.message }
+      });
+      throw error;
+    }
+    await Delivery.updateOne(match, { $set: { 'cancellationFees.$.chargedAt': new Date() } });
+  }
+
+  // Retry cancellation fees whose ledger post failed. Returns how many were charged.
+  static async retryCancellationFees() {
+    const unsettled = { chargedAt: null, attempts: { $lt: CANCELLATION_FEE_MAX_ATTEMPTS } };
+    const deliveries = await Delivery.find({ cancellationFees: { $elemMatch: unsettled } })
+      .select('cancellationFees');
+
+    let charged = 0;
+    for (const delivery of deliveries) {
+      const fees = delivery.cancellationFees.filter((fee) => (
+        !fee.chargedAt && fee.attempts < CANCELLATION_FEE_MAX_ATTEMPTS
+      ));
+      for (const fee of fees) {
+        try {
+          await this.settleCancellationFee(delivery._id, fee);
+          charged++;
+        } catch (error) {
+          console.error(`Failed to charge cancellation fee ${fee._id} on delivery ${delivery._id}:`, error);
+        }
+      }
+    }
+    return charged;
+  }
+
+  // Start the background fee retry (call once from the process entry point)
+  static start() {
+    if (feeRetryTimer) return;
+
+    feeRetryTimer = setInterval(() => {
+      this.retryCancellationFees().catch((error) => console.error('Cancellation fee retry error:', error));
+    }, FEE_RETRY_INTERVAL_MS);
+    feeRetryTimer.unref();
+
+    console.log('Cancellation fee retry started');
+  }
+
+  static stop() {
+    if (feeRetryTimer) {
+      clearInterval(feeRetryTimer);
+      feeRetryTimer = null;
+    }
+  }
+
+  // Customer tips the driver of one of their deliveries
+  static async tipDriver(customerId, driverId, amount, deliveryId) {
+    return LedgerService.postJournal({
+      legs: [
+        { account: platformAccount(PLATFORM_ACCOUNTS.CLEARING), amount: -amount, type: 'tip' },
+        { account: driverAccount(driverId), amount, type: 'tip' }
+      ],
+      deliveryId,
+      description: 'Tip',
+      metadata: { customerId },
+      idempotencyKey: `tip:${deliveryId}`
+    });
+  }
+}
+
+module.exports = { WalletService, PLATFORM_COMMISSION_RATE, CANCELLATION_FEE_MAX_ATTEMPTS };
@@ -0,0 +1,35 @@
+// services/payoutProviders/FakePayoutProvider.js
+const crypto = require('crypto');
+
+// Local stand-in for a real payout provider (development and tests).
+// Account numbers ending in "0000" always fail; everything else is paid
+// the first time its status is checked.
+class FakePayoutProvider {
+  constructor() {
+    this.name = 'fake';
+    this.payouts = new Map();
+  }
+
+  async createPayout({ payoutId, amount, currency, destination }) {
+    const reference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+    const willFail = String(destination.accountNumber || '').endsWith('0000');
+
+    this.payouts.set(reference, { payoutId, amount, currency, willFail });
+    console.log(`[FakePayoutProvider] Created payout ${reference} for ${amount} ${currency}`);
+
+    return { reference, status: 'processing' };
+  }
+
+  async getPayoutStatus(reference) {
+    const payout = this.payouts.get(reference);
+    if (!payout) {
+      return { status: 'failed', failureReason: 'Unknown payout reference' };
+    }
+    if (payout.willFail) {
+      return { status: 'failed', failureReason: 'Bank account rejected the transfer' };
+    }
+    return { status: 'paid' };
+  }
+}
+
+module.exports = FakePayoutProvider;
@@ -0,0 +1,32 @@
+// services/payoutProviders/index.js
+//
+// A payout provider implements:
+//   createPayout({ payoutId, amount, currency, destination }) -> { reference, status, failureReason? }
+//   getPayoutStatus(reference) -> { status, failureReason? }
+// where status is one of 'processing', 'paid' or 'failed'.
+const FakePayoutProvider = require('./FakePayoutProvider');
+
+const PROVIDERS = {
+  fake: FakePayoutProvider
+};
+
+let provider = null;
+
+const getPayoutProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYOUT_PROVIDER || 'fake';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown payout provider: ${name}`);
+    }
+    provider = new Provider();
+  }
+  return provider;
+};
+
+// Swap the provider at runtime, e.g. for a sandbox integration
+const setPayoutProvider = (instance) => {
+  provider = instance;
+};
+
+module.exports = { getPayoutProvider, setPayoutProvider, PROVIDERS };
@@ -0,0 +1,17 @@
+// services/smsProviders/ConsoleSmsProvider.js
+const crypto = require('crypto');
+
+// Local development provider: prints each message to the server log
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async sendSms({ to, body }) {
+    const reference = `console_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`[ConsoleSmsProvider] SMS to ${to}: ${body}`);
+    return { reference };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
@@ -0,0 +1,22 @@
+// services/smsProviders/FileSmsProvider.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local development provider: appends each message as a JSON line to
+// SMS_OUTBOX_FILE (default ./sms-outbox.log) so tests and tools can read codes
+class FileSmsProvider {
+  constructor() {
+    this.name = 'file';
+    this.file = path.resolve(process.env.SMS_OUTBOX_FILE || 'sms-outbox.log');
+  }
+
+  async sendSms({ to, body }) {
+    const reference = `file_${crypto.randomBytes(8).toString('hex')}`;
+    const line = JSON.stringify({ reference, to, body, sentAt: new Date().toISOString() });
+    await fs.appendFile(this.file, `${line}\n`);
+    return { reference };
+  }
+}
+
+module.exports = FileSmsProvider;
@@ -0,0 +1,33 @@
+// services/smsProviders/index.js
+//
+// An SMS provider implements:
+//   sendSms({ to, body }) -> { reference }
+// and throws if the message could not be handed over for delivery.
+const ConsoleSmsProvider = require('./ConsoleSmsProvider');
+const FileSmsProvider = require('./FileSmsProvider');
+
+const PROVIDERS = {
+  console: ConsoleSmsProvider,
+  file: FileSmsProvider
+};
+
+let provider = null;
+
+const getSmsProvider = () => {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    provider = new Provider();
+  }
+  return provider;
+};
+
+// Swap the provider at runtime, e.g. for a real SMS gateway
+const setSmsProvider = (instance) => {
+  provider = instance;
+};
+
+module.exports = { getSmsProvider, setSmsProvider, PROVIDERS };
@@ -0,0 +1,71 @@
+// sockets/chatHandlers.js
+const mongoose = require('mongoose');
+const { ChatService } = require('../services/ChatService');
+const { chatRoom } = require('../services/SocketService');
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Reply through the client's acknowledgement callback when it passed one
+const respond = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+const handleError = (event, ack, error) => {
+  if (!['CHAT_NOT_FOUND', 'NOT_PARTICIPANT'].includes(error.code)) {
+    console.error(`Socket ${event} error:`, error);
+  }
+  respond(ack, { success: false, message: error.message });
+};
+
+// Chat events for an authenticated socket
+const registerChatHandlers = (socket) => {
+  const userId = socket.data.user.id;
+
+  // Join a chat's room (e.g. one created after connecting)
+  socket.on('chat:join', async ({ chatId } = {}, ack) => {
+    try {
+      if (!isValidObjectId(chatId)) {
+        return respond(ack, { success: false, message: 'Invalid chatId' });
+      }
+      await ChatService.getChatForParticipant(chatId, userId);
+      socket.join(chatRoom(chatId));
+      respond(ack, { success: true });
+    } catch (error) {
+      handleError('chat:join', ack, error);
+    }
+  });
+
+  // Send a message; the room (including the sender's other devices) gets chat:message
+  socket.on('chat:send', async ({ chatId, message, messageType, imageUrl } = {}, ack) => {
+    try {
+      if (!isValidObjectId(chatId)) {
+        return respond(ack, { success: false, message: 'Invalid chatId' });
+      }
+      const result = await ChatService.sendMessage(userId, chatId, { message, messageType, imageUrl });
+      respond(ack, { success: true, message: result.message });
+    } catch (error) {
+      handleError('chat:send', ack, error);
+    }
+  });
+
+  // Read receipts; the room gets chat:read
+  socket.on('chat:read', async ({ chatId, messageIds } = {}, ack) => {
+    try {
+      if (!isValidObjectId(chatId)) {
+        return respond(ack, { success: false, message: 'Invalid chatId' });
+      }
+      await ChatService.markRead(userId, chatId, messageIds || []);
+      respond(ack, { success: true });
+    } catch (error) {
+      handleError('chat:read', ack, error);
+    }
+  });
+
+  // Typing indicators are relayed to the rest of the room without being stored
+  socket.on('chat:typing', ({ chatId, isTyping } = {}) => {
+    if (!isValidObjectId(chatId) || !socket.rooms.has(chatRoom(chatId))) return;
+    socket.to(chatRoom(chatId)).emit('chat:typing', { chatId, userId, isTyping: !!isTyping });
+  });
+};
+
+module.exports = { registerChatHandlers };
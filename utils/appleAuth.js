@@ -0,0 +1,53 @@
+// utils/appleAuth.js
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const APPLE_KEYS_URL = `${APPLE_ISSUER}/auth/keys`;
+const KEY_CACHE_TTL = 60 * 60 * 1000; // refresh Apple's signing keys hourly
+
+let cachedKeys = null;
+let cachedAt = 0;
+
+const getAppleKeys = async (forceRefresh = false) => {
+  if (!forceRefresh && cachedKeys && Date.now() - cachedAt < KEY_CACHE_TTL) {
+    return cachedKeys;
+  }
+
+  const response = await axios.get(APPLE_KEYS_URL);
+  cachedKeys = response.data.keys;
+  cachedAt = Date.now();
+  return cachedKeys;
+};
+
+// Verify an Apple identity token and return its payload ({ sub, email, ... })
+const verifyAppleIdentityToken = async (identityToken) => {
+  const decoded = jwt.decode(identityToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new Error('Malformed Apple identity token');
+  }
+
+  let keys = await getAppleKeys();
+  let jwk = keys.find((key) => key.kid === decoded.header.kid);
+
+  // Apple rotates keys; retry once with a fresh key set
+  if (!jwk) {
+    keys = await getAppleKeys(true);
+    jwk = keys.find((key) => key.kid === decoded.header.kid);
+  }
+
+  if (!jwk) {
+    throw new Error('Apple signing key not found');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+  return jwt.verify(identityToken, publicKey, {
+    algorithms: ['RS256'],
+    issuer: APPLE_ISSUER,
+    audience: process.env.APPLE_CLIENT_ID
+  });
+};
+
+module.exports = { verifyAppleIdentityToken };
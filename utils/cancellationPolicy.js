@@ -0,0 +1,63 @@
+// utils/cancellationPolicy.js
+const { roundCurrency } = require('./pricing');
+
+const CUSTOMER_REASON_CODES = [
+  'changed_mind',
+  'wrong_details',
+  'found_alternative',
+  'driver_delayed',
+  'price_too_high',
+  'other'
+];
+
+const DRIVER_REASON_CODES = [
+  'vehicle_issue',
+  'cannot_reach_pickup',
+  'customer_unreachable',
+  'unsafe_item',
+  'personal_emergency',
+  'other'
+];
+
+// Flat fee charged once a driver has committed to the job
+const CANCELLATION_FEE = parseFloat(process.env.CANCELLATION_FEE) || 5;
+
+const FREE_STATUSES = ['upcoming'];
+
+const getReasonCodes = (actorType) =>
+  actorType === 'driver' ? DRIVER_REASON_CODES : CUSTOMER_REASON_CODES;
+
+// Decide whether `actorType` may cancel `delivery` right now, and at what cost.
+// Returns { allowed, fee, message }.
+const evaluateCancellation = (delivery, actorType) => {
+  if (delivery.status === 'in-transit') {
+    return { allowed: false, fee: 0, message: 'Deliveries already in transit cannot be cancelled' };
+  }
+
+  if (['completed', 'cancelled'].includes(delivery.status)) {
+    return { allowed: false, fee: 0, message: `Delivery is already ${delivery.status}` };
+  }
+
+  if (actorType === 'driver') {
+    // Drivers can only drop jobs they have accepted
+    if (delivery.status !== 'accepted') {
+      return { allowed: false, fee: 0, message: 'Only accepted deliveries can be cancelled by the driver' };
+    }
+    return { allowed: true, fee: roundCurrency(CANCELLATION_FEE), message: 'A cancellation fee applies' };
+  }
+
+  if (FREE_STATUSES.includes(delivery.status)) {
+    return { allowed: true, fee: 0, message: 'Free cancellation' };
+  }
+
+  // accepted: a driver is already on the way
+  return { allowed: true, fee: roundCurrency(CANCELLATION_FEE), message: 'A cancellation fee applies' };
+};
+
+module.exports = {
+  CUSTOMER_REASON_CODES,
+  DRIVER_REASON_CODES,
+  CANCELLATION_FEE,
+  getReasonCodes,
+  evaluateCancellation
+};
@@ -0,0 +1,38 @@
+// utils/geo.js
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres between two { lat, lng } points
+const haversineDistanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Lat/lng box that fully contains a circle of `radiusKm` around `center`.
+// Cheap pre-filter for range queries before an exact haversine check.
+const boundingBox = (center, radiusKm) => {
+  const latDelta = radiusKm / EARTH_RADIUS_KM * 180 / Math.PI;
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01);
+
+  return {
+    minLat: center.lat - latDelta,
+    maxLat: center.lat + latDelta,
+    minLng: center.lng - lngDelta,
+    maxLng: center.lng + lngDelta
+  };
+};
+
+// Convert a GeoJSON Point ([lng, lat]) into { lat, lng }
+const pointToLatLng = (point) => ({
+  lat: point.coordinates[1],
+  lng: point.coordinates[0]
+});
+
+module.exports = { EARTH_RADIUS_KM, haversineDistanceKm, boundingBox, pointToLatLng };
@@ -0,0 +1,26 @@
+// utils/ownership.js
+// Which records a principal (see middleware/auth.js) may see or change.
+// Filters are merged into queries so records owned by someone else simply
+// aren't found (404) rather than revealing that they exist.
+const { hasPermission } = require('../config/permissions');
+
+// Matches nothing, for principals with no claim on a collection
+const NO_ACCESS = { _id: null };
+
+// Deliveries: drivers see the ones assigned to them, customers the ones they
+// booked, back-office staff with deliveries:read_any see all of them
+const deliveryFilter = (principal) => {
+  if (principal?.type === 'driver') return { driverId: principal.id };
+  if (principal?.type === 'customer') return { senderId: principal.id };
+  return hasPermission(principal, 'deliveries:read_any') ? {} : NO_ACCESS;
+};
+
+// Routes belong to the driver they were planned for
+const routeFilter = (principal) => (
+  principal?.type === 'driver' ? { driverId: principal.id } : NO_ACCESS
+);
+
+module.exports = {
+  deliveryFilter,
+  routeFilter
+};
@@ -0,0 +1,56 @@
+// utils/packages.js
+
+// Package size classes, smallest first
+const SIZE_CLASSES = ['small', 'medium', 'large', 'extra_large'];
+
+const ITEM_CATEGORIES = [
+  'documents',
+  'food',
+  'groceries',
+  'electronics',
+  'clothing',
+  'medical',
+  'furniture',
+  'appliances',
+  'other'
+];
+
+// Total weight of all items in the package
+const totalWeightKg = (pkg) => (pkg.weightKg || 0) * (pkg.quantity || 1);
+
+const longestSideCm = (pkg) => {
+  const { lengthCm = 0, widthCm = 0, heightCm = 0 } = pkg.dimensions || {};
+  return Math.max(lengthCm, widthCm, heightCm);
+};
+
+// Whether a package fits a capacity ({ maxSizeClass, maxWeightKg,
+// maxLengthCm }). Bookings made before package details existed fit anything.
+const packageFits = (capacity, pkg) => {
+  if (!pkg?.sizeClass || !capacity) return true;
+
+  return SIZE_CLASSES.indexOf(pkg.sizeClass) <= SIZE_CLASSES.indexOf(capacity.maxSizeClass)
+    && totalWeightKg(pkg) <= capacity.maxWeightKg
+    && longestSideCm(pkg) <= capacity.maxLengthCm;
+};
+
+// One-line summary for drivers, e.g. "2 x medium electronics, 6 kg, fragile"
+const describePackage = (pkg) => {
+  if (!pkg?.sizeClass) return null;
+
+  const parts = [
+    `${(pkg.quantity || 1) > 1 ? `${pkg.quantity} x ` : ''}${pkg.sizeClass.replace('_', ' ')} ${pkg.category || 'other'}`
+  ];
+  if (pkg.weightKg) parts.push(`${Math.round(totalWeightKg(pkg) * 10) / 10} kg`);
+  if (pkg.fragile) parts.push('fragile');
+  if (pkg.perishable) parts.push('perishable');
+  return parts.join(', ');
+};
+
+module.exports = {
+  SIZE_CLASSES,
+  ITEM_CATEGORIES,
+  totalWeightKg,
+  longestSideCm,
+  packageFits,
+  describePackage
+};
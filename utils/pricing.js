@@ -0,0 +1,116 @@
+// utils/pricing.js
+const { haversineDistanceKm } = require('./geo');
+const { estimateTripMinutes } = require('./vehicles');
+
+// Default rate card per vehicle type (amounts in dollars). perStop is
+// charged for every drop-off after the first.
+const DEFAULT_RATE_CARD = {
+  motorcycle: { base: 4, perKm: 0.9, perMinute: 0.1, perStop: 1.5, minimum: 6 },
+  car: { base: 6, perKm: 1.2, perMinute: 0.15, perStop: 2, minimum: 8 },
+  van: { base: 10, perKm: 1.6, perMinute: 0.25, perStop: 3, minimum: 14 },
+  truck: { base: 18, perKm: 2.4, perMinute: 0.4, perStop: 4, minimum: 25 }
+};
+
+// City overrides, e.g. PRICING_CITY_RATE_CARDS='{"lagos":{"car":{"base":5}}}'.
+// Vehicle types or fields a city leaves out fall back to the default card.
+const parseCityRateCards = () => {
+  if (!process.env.PRICING_CITY_RATE_CARDS) return {};
+  try {
+    return JSON.parse(process.env.PRICING_CITY_RATE_CARDS);
+  } catch (error) {
+    console.error('Invalid PRICING_CITY_RATE_CARDS, using default rates:', error.message);
+    return {};
+  }
+};
+
+const CITY_RATE_CARDS = parseCityRateCards();
+
+// Time-of-day bands applied to the scheduled pickup time (local server hours)
+const TIME_BANDS = [
+  { name: 'night', fromHour: 22, toHour: 6, multiplier: 1.2 },
+  { name: 'standard', fromHour: 6, toHour: 22, multiplier: 1 }
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCity = (city) => (city ? String(city).trim().toLowerCase() : null);
+
+// Rates for a vehicle type in a city
+const getRates = (vehicleType, city) => {
+  const defaults = DEFAULT_RATE_CARD[vehicleType];
+  if (!defaults) {
+    throw new Error(`No rates configured for vehicle type: ${vehicleType}`);
+  }
+  const cityRates = CITY_RATE_CARDS[normalizeCity(city)]?.[vehicleType] || {};
+  return { ...defaults, ...cityRates };
+};
+
+const getTimeBand = (scheduledTime) => {
+  const hour = new Date(scheduledTime || Date.now()).getHours();
+  return TIME_BANDS.find(({ fromHour, toHour }) => (
+    fromHour < toHour
+      ? hour >= fromHour && hour < toHour
+      : hour >= fromHour || hour < toHour
+  ));
+};
+
+// Quote a delivery. The surge multiplier is supplied by the caller
+// (see services/PricingService.js); everything else is computed here.
+// Multi-stop deliveries pass their ordered drop-offs as `stops` and are
+// priced over every leg pickup -> stop 1 -> stop 2 -> ...
+const calculateDeliveryPrice = ({
+  pickupLocation,
+  dropoffLocation,
+  stops = [],
+  vehicleType,
+  scheduledTime,
+  city,
+  escrowFee = 0,
+  surgeMultiplier = 1
+}) => {
+  const rates = getRates(vehicleType, city);
+  const timeBand = getTimeBand(scheduledTime);
+
+  const dropPoints = stops && stops.length > 0 ? stops : [dropoffLocation];
+  const route = [pickupLocation, ...dropPoints];
+  const legs = dropPoints.map((point, index) => haversineDistanceKm(route[index], point));
+  const distanceKm = legs.reduce((sum, leg) => sum + leg, 0);
+  const durationMinutes = estimateTripMinutes(distanceKm, vehicleType);
+
+  const distanceCharge = distanceKm * rates.perKm;
+  const timeCharge = durationMinutes * rates.perMinute;
+  const stopCharge = (dropPoints.length - 1) * (rates.perStop || 0);
+  const subtotal = (rates.base + distanceCharge + timeCharge + stopCharge) * timeBand.multiplier * surgeMultiplier;
+  const price = roundCurrency(Math.max(subtotal, rates.minimum));
+
+  return {
+    distanceKm: roundCurrency(distanceKm),
+    durationMinutes,
+    price,
+    totalCost: roundCurrency(price + (escrowFee || 0)),
+    breakdown: {
+      city: normalizeCity(city),
+      base: rates.base,
+      distanceCharge: roundCurrency(distanceCharge),
+      timeCharge: roundCurrency(timeCharge),
+      stopCount: dropPoints.length,
+      stopCharge: roundCurrency(stopCharge),
+      legsKm: legs.map(roundCurrency),
+      timeBand: timeBand.name,
+      timeMultiplier: timeBand.multiplier,
+      surgeMultiplier,
+      minimumApplied: subtotal < rates.minimum,
+      escrowFee: escrowFee || 0
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_RATE_CARD,
+  CITY_RATE_CARDS,
+  TIME_BANDS,
+  normalizeCity,
+  getRates,
+  calculateDeliveryPrice,
+  roundCurrency
+};
@@ -0,0 +1,144 @@
+// utils/trip.js
+const { EARTH_RADIUS_KM, haversineDistanceKm } = require('./geo');
+
+// A driver who stays within IDLE_RADIUS_M for at least IDLE_MIN_MINUTES is idle
+const IDLE_RADIUS_M = 50;
+const IDLE_MIN_MINUTES = 3;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Distance in metres from `point` to the segment start-end, using a local
+// flat projection (accurate enough at city scale)
+const perpendicularDistanceM = (point, start, end) => {
+  const metresPerDegLat = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+  const metresPerDegLng = metresPerDegLat * Math.cos(toRadians(start.lat));
+
+  const px = (point.lng - start.lng) * metresPerDegLng;
+  const py = (point.lat - start.lat) * metresPerDegLat;
+  const ex = (end.lng - start.lng) * metresPerDegLng;
+  const ey = (end.lat - start.lat) * metresPerDegLat;
+
+  const lengthSquared = ex * ex + ey * ey;
+  if (lengthSquared === 0) {
+    return Math.sqrt(px * px + py * py);
+  }
+
+  const t = Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+  const dx = px - t * ex;
+  const dy = py - t * ey;
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Ramer-Douglas-Peucker simplification of [{ lat, lng, at }] points.
+// Points closer than `toleranceM` to the simplified line are dropped.
+const simplifyPath = (points, toleranceM = 10) => {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long trips
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistanceM(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceM) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+// Total length of a path in kilometres
+const pathDistanceKm = (points) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineDistanceKm(points[i - 1], points[i]);
+  }
+  return total;
+};
+
+// Periods where the driver stayed put, as [{ lat, lng, startedAt, endedAt, durationMinutes }]
+const detectIdleStops = (points, { radiusM = IDLE_RADIUS_M, minMinutes = IDLE_MIN_MINUTES } = {}) => {
+  const stops = [];
+  let anchor = 0;
+
+  const closeCluster = (endIndex) => {
+    const startedAt = new Date(points[anchor].at);
+    const endedAt = new Date(points[endIndex].at);
+    const durationMinutes = (endedAt - startedAt) / 60000;
+
+    if (durationMinutes >= minMinutes) {
+      stops.push({
+        lat: points[anchor].lat,
+        lng: points[anchor].lng,
+        startedAt,
+        endedAt,
+        durationMinutes: Math.round(durationMinutes * 10) / 10
+      });
+    }
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    if (haversineDistanceKm(points[anchor], points[i]) * 1000 > radiusM) {
+      closeCluster(i - 1);
+      anchor = i;
+    }
+  }
+  if (points.length > 0) {
+    closeCluster(points.length - 1);
+  }
+
+  return stops;
+};
+
+// Trip as a GeoJSON FeatureCollection: the path as a LineString plus one
+// Point per idle stop
+const tripToGeoJSON = ({ path, idleStops, ...properties }) => ({
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: path.map((point) => [point.lng, point.lat])
+      },
+      properties: {
+        ...properties,
+        timestamps: path.map((point) => point.at)
+      }
+    },
+    ...idleStops.map((stop) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+      properties: {
+        kind: 'idle_stop',
+        startedAt: stop.startedAt,
+        endedAt: stop.endedAt,
+        durationMinutes: stop.durationMinutes
+      }
+    }))
+  ]
+});
+
+module.exports = {
+  IDLE_RADIUS_M,
+  IDLE_MIN_MINUTES,
+  simplifyPath,
+  pathDistanceKm,
+  detectIdleStops,
+  tripToGeoJSON
+};
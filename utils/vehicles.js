@@ -0,0 +1,141 @@
+// utils/vehicles.js
+const { packageFits } = require('./packages');
+
+// Delivery vehicle types each driver earn type is allowed to carry
+const COMPATIBLE_VEHICLE_TYPES = {
+  bicycle: ['motorcycle'],
+  scooter: ['motorcycle'],
+  car: ['motorcycle', 'car'],
+  truck: ['car', 'van', 'truck']
+};
+
+// Average urban speed in km/h, used for rough pickup ETAs
+const AVERAGE_SPEED_KMH = {
+  bicycle: 15,
+  scooter: 25,
+  car: 30,
+  truck: 25
+};
+
+const DEFAULT_SPEED_KMH = 25;
+
+// Average urban speed in km/h per booked vehicle type, used for trip durations
+const VEHICLE_SPEED_KMH = {
+  motorcycle: 28,
+  car: 30,
+  van: 25,
+  truck: 22
+};
+
+const getCompatibleVehicleTypes = (earnType) => COMPATIBLE_VEHICLE_TYPES[earnType] || [];
+
+// Driver earn types that can take a delivery booked for `vehicleType`
+const getEarnTypesForVehicle = (vehicleType) =>
+  Object.keys(COMPATIBLE_VEHICLE_TYPES).filter((earnType) =>
+    COMPATIBLE_VEHICLE_TYPES[earnType].includes(vehicleType));
+
+const isVehicleCompatible = (earnType, vehicleType) =>
+  getCompatibleVehicleTypes(earnType).includes(vehicleType);
+
+// Minutes to cover `distanceKm` for a driver with the given earn type
+const estimateTravelMinutes = (distanceKm, earnType) => {
+  const speed = AVERAGE_SPEED_KMH[earnType] || DEFAULT_SPEED_KMH;
+  return Math.max(1, Math.round(distanceKm / speed * 60));
+};
+
+// Minutes for a delivery of `distanceKm` booked with the given vehicle type
+const estimateTripMinutes = (distanceKm, vehicleType) => {
+  const speed = VEHICLE_SPEED_KMH[vehicleType] || DEFAULT_SPEED_KMH;
+  return Math.max(1, Math.round(distanceKm / speed * 60));
+};
+
+// How much a driver may carry at once. maxJobs caps accepted and in-transit
+// deliveries; capacity is in load units (DELIVERY_LOAD_UNITS). Either can be
+// overridden per earn type, e.g. BATCH_MAX_JOBS_CAR=2, BATCH_CAPACITY_CAR=3.
+const DEFAULT_BATCH_LIMITS = {
+  bicycle: { maxJobs: 1, capacity: 1 },
+  scooter: { maxJobs: 2, capacity: 2 },
+  car: { maxJobs: 3, capacity: 4 },
+  truck: { maxJobs: 4, capacity: 12 }
+};
+
+// Space a delivery takes up, by the vehicle type it was booked for
+const DELIVERY_LOAD_UNITS = {
+  motorcycle: 1,
+  car: 2,
+  van: 4,
+  truck: 8
+};
+
+// Space a delivery takes up when its package size is known
+const PACKAGE_LOAD_UNITS = {
+  small: 1,
+  medium: 2,
+  large: 4,
+  extra_large: 8
+};
+
+// Largest single package each booked vehicle type takes
+const VEHICLE_CAPACITY = {
+  motorcycle: { maxSizeClass: 'medium', maxWeightKg: 20, maxLengthCm: 60 },
+  car: { maxSizeClass: 'large', maxWeightKg: 150, maxLengthCm: 150 },
+  van: { maxSizeClass: 'extra_large', maxWeightKg: 800, maxLengthCm: 300 },
+  truck: { maxSizeClass: 'extra_large', maxWeightKg: 3000, maxLengthCm: 600 }
+};
+
+// Largest single package each driver earn type can carry
+const EARN_TYPE_CAPACITY = {
+  bicycle: { maxSizeClass: 'small', maxWeightKg: 8, maxLengthCm: 45 },
+  scooter: { maxSizeClass: 'medium', maxWeightKg: 20, maxLengthCm: 60 },
+  car: { maxSizeClass: 'large', maxWeightKg: 150, maxLengthCm: 150 },
+  truck: { maxSizeClass: 'extra_large', maxWeightKg: 3000, maxLengthCm: 600 }
+};
+
+// Whether the package fits the vehicle type it was booked for
+const vehicleTypeFitsPackage = (vehicleType, pkg) => packageFits(VEHICLE_CAPACITY[vehicleType], pkg);
+
+const canCarryPackage = (earnType, pkg) => packageFits(EARN_TYPE_CAPACITY[earnType], pkg);
+
+// Whether a driver may be offered a delivery: right vehicle, and room for the package
+const canCarryDelivery = (earnType, delivery) => (
+  isVehicleCompatible(earnType, delivery.vehicleType) && canCarryPackage(earnType, delivery.package)
+);
+
+// Driver earn types that can take a delivery, package included
+const getEarnTypesForDelivery = (delivery) => getEarnTypesForVehicle(delivery.vehicleType)
+  .filter((earnType) => canCarryPackage(earnType, delivery.package));
+
+const getBatchLimits = (earnType) => {
+  const defaults = DEFAULT_BATCH_LIMITS[earnType] || { maxJobs: 1, capacity: 1 };
+  const key = String(earnType).toUpperCase();
+  return {
+    maxJobs: parseInt(process.env[`BATCH_MAX_JOBS_${key}`]) || defaults.maxJobs,
+    capacity: parseInt(process.env[`BATCH_CAPACITY_${key}`]) || defaults.capacity
+  };
+};
+
+const getDeliveryLoad = (delivery) => (
+  PACKAGE_LOAD_UNITS[delivery.package?.sizeClass] || DELIVERY_LOAD_UNITS[delivery.vehicleType] || 1
+);
+
+module.exports = {
+  COMPATIBLE_VEHICLE_TYPES,
+  DEFAULT_BATCH_LIMITS,
+  DELIVERY_LOAD_UNITS,
+  PACKAGE_LOAD_UNITS,
+  VEHICLE_CAPACITY,
+  EARN_TYPE_CAPACITY,
+  AVERAGE_SPEED_KMH,
+  VEHICLE_SPEED_KMH,
+  getCompatibleVehicleTypes,
+  getEarnTypesForVehicle,
+  isVehicleCompatible,
+  estimateTravelMinutes,
+  estimateTripMinutes,
+  getBatchLimits,
+  getDeliveryLoad,
+  vehicleTypeFitsPackage,
+  canCarryPackage,
+  canCarryDelivery,
+  getEarnTypesForDelivery
+};